@@ -1,8 +1,48 @@
-import { SPREADSHEET_ID, SHEET_NAME, SHEET_NAME_LOGS, DAYS } from "../config.js";
-import { displayAPIError, allSchedules, DOMElements, updateStatus, allCreatedCalendarEvents } from "../main.js";
+import { SHEET_NAME_LOGS, SHEET_NAME_EMPLOYEES, SHEET_NAME_SETTINGS, SHEET_NAME_HOLIDAYS, SHEET_NAME_CHANGE_LOG, SHEET_NAME_SWAP_REQUESTS, SHEET_NAME_AVAILABILITY, SHEET_NAME_TEMPLATES, SHEET_NAME_RECURRING, SHEET_NAME_ATTENDANCE, MANAGER_EMAIL, INITIAL_ROSTER, DAYS } from "../config.js";
+import { displayAPIError, allSchedules, allEmployees, DOMElements, updateStatus, allCreatedCalendarEvents, populateEmployeeSelects, updatePendingChangesBadge } from "../main.js";
 import { renderSchedule } from '../components/schedule.js';
+import { parseRosterRows, serializeRoster, setRoster, getActiveEmployees, getEmployeeByEmail } from '../services/roster.js';
+import { getShiftLabel } from '../services/shiftTypes.js';
+import { getShiftTypesForDate, getWeeklyPolicy, setWeeklyPolicy, WEEKLY_POLICY_SETTING_KEY } from '../services/operatingRules.js';
+import { parseHolidayOverrideRows, setHolidayOverrides } from '../services/holidays.js';
+import { diffSchedules, scheduleRowKey, mergeSchedules, applyConflictChoices, applyChangeSet, findQueuedConflicts, withoutCells } from '../services/scheduleDiff.js';
+import { saveSnapshot, loadSnapshot, clearOfflineData, addPendingSave, getPendingSaves, removePendingSave } from '../services/offlineStore.js';
+import { showMergeDialog } from '../components/mergeDialog.js';
+import { CHANGE_LOG_HEADERS, buildChangeLogRows, parseChangeLogRows } from '../services/changeLog.js';
+import { recordChange } from '../services/undoStack.js';
+import { getStorageBackend, isStorageReady } from './storage.js';
+import { buildBackup, buildRestoredSchedules, buildRestoredTable, BACKUP_TABLES, RESTORE_MODES } from '../services/backup.js';
+import { parseSwapRequestRows, serializeSwapRequests } from '../services/swapRequests.js';
+import { parseAvailabilityRows, serializeAvailability, setAvailability, getAvailability } from '../services/availability.js';
+import { parseTemplateRows, serializeTemplates } from '../services/weekTemplates.js';
+import { parseRecurringRows, serializeRecurring, setRecurringRules, getRecurringRules, carryRecurringMarks } from '../services/recurring.js';
+import { parseAttendanceRows, serializeAttendance, attendanceKey } from '../services/attendance.js';
+import { proposeRecurringWeek } from '../components/recurring.js';
 import { getWeekDates, getWeekId, createMessage, setButtonLoading, restoreButton } from "../utils.js";
 
+// What the storage backend holds, as of the last load or save. Saves only write the difference.
+let savedSchedules = {};
+let savedRowStamps = new Map();       // Row key -> last_updated, to detect edits made elsewhere
+
+let signedInUserEmail = null;
+
+// Saves made without a network connection wait in the IndexedDB queue
+let queuedSchedules = null;           // The offline copy (cache plus queued changes) that new offline changes are diffed against; null = savedSchedules
+let pendingSaveCount = 0;
+let isSyncing = false;
+let hasLoadedData = false;
+
+// Schedule saves (and loads) run one at a time: the backend's row bookkeeping (see sheetsBackend.js)
+// and savedSchedules are shared by all of them
+let scheduleLock = Promise.resolve();
+
+/** Runs a task once every earlier task on the schedule lock has finished. */
+function withScheduleLock(task) {
+    const run = scheduleLock.then(task);
+    scheduleLock = run.catch(() => {});
+    return run;
+}
+
 /**
  * Initializes the GAPI client for Sheets, Gmail, and Calendar.
  */
@@ -21,44 +61,58 @@ export async function initializeGapiClient() {
 }
 
 /**
- * [NEW] Logs a user login event to a separate Google Sheet.
+ * Returns the email of the signed-in Google account (fetched once per session).
+ * @returns {Promise<string>} The email, or an empty string if it could not be read.
+ */
+export async function getSignedInUserEmail() {
+    if (signedInUserEmail === null) {
+        try {
+            const profile = await gapi.client.gmail.users.getProfile({ 'userId': 'me' });
+            signedInUserEmail = profile.result.emailAddress || '';
+        } catch (err) {
+            console.error('Could not read the signed-in user profile:', err);
+            return '';
+        }
+    }
+    return signedInUserEmail;
+}
+
+/**
+ * Who is using the app, for features where employees act for themselves and the manager for anyone.
+ * With the local backend there is no sign-in, so the user counts as the manager.
+ * @returns {Promise<{email: string, employee: ?string, isManager: boolean}>}
+ */
+export async function getCurrentUser() {
+    if (!getStorageBackend().isRemote) return { email: '', employee: null, isManager: true };
+    const email = await getSignedInUserEmail();
+    return {
+        email,
+        employee: getEmployeeByEmail(email)?.name || null,
+        isManager: Boolean(email) && email.toLowerCase() === MANAGER_EMAIL.toLowerCase()
+    };
+}
+
+/**
+ * Reads the `change_log` tab, newest entry first.
+ * @returns {Promise<Array<Object>>} The parsed entries (see parseChangeLogRows).
+ */
+export async function loadChangeLog() {
+    const values = await getStorageBackend().readTable(SHEET_NAME_CHANGE_LOG);
+    return parseChangeLogRows(values);
+}
+
+const LOGIN_LOG_HEADERS = ['Login Timestamp', 'User Email'];
+
+/**
+ * [NEW] Logs a user login event to the `login_logs` table of the storage backend.
  * @param {string} userEmail - The email of the user who logged in.
  */
 export async function logLoginEvent(userEmail) {
-    if (gapi.client.getToken() === null) return; // Don't log if not authenticated
+    if (!isStorageReady()) return; // Don't log if not authenticated
 
     try {
-        const timestamp = new Date().toLocaleString('he-IL', { timeZone: 'Asia/Jerusalem' }); 
-        const values = [[timestamp, userEmail]]; // Data to append
-
-        // Check if headers exist
-        const headerResponse = await gapi.client.sheets.spreadsheets.values.get({
-            spreadsheetId: SPREADSHEET_ID,
-            range: `${SHEET_NAME_LOGS}!A1:B1`,
-        });
-
-        if (!headerResponse.result.values || headerResponse.result.values.length === 0) {
-            // Headers do not exist, so add them first
-            await gapi.client.sheets.spreadsheets.values.update({
-                spreadsheetId: SPREADSHEET_ID,
-                range: `${SHEET_NAME_LOGS}!A1`,
-                valueInputOption: 'RAW',
-                resource: {
-                    values: [["Login Timestamp", "User Email"]]
-                },
-            });
-        }
-        
-        // Append the login data
-        await gapi.client.sheets.spreadsheets.values.append({
-            spreadsheetId: SPREADSHEET_ID,
-            range: SHEET_NAME_LOGS,
-            valueInputOption: 'RAW',
-            insertDataOption: 'INSERT_ROWS',
-            resource: {
-                values: values
-            },
-        });
+        const timestamp = new Date().toLocaleString('he-IL', { timeZone: 'Asia/Jerusalem' });
+        await getStorageBackend().appendRows(SHEET_NAME_LOGS, LOGIN_LOG_HEADERS, [[timestamp, userEmail]]);
         console.log(`Login event for ${userEmail} logged successfully.`);
     } catch (err) {
         // This is a background task, so we just log the error without showing it to the user
@@ -68,136 +122,603 @@ export async function logLoginEvent(userEmail) {
 
 
 /**
- * Fetches all schedule data from the Google Sheet.
+ * Loads the employee roster from the `employees` tab into memory
+ * and refreshes every employee selector in the UI.
+ * A Google Sheet without the tab is seeded once with INITIAL_ROSTER.
+ */
+export async function loadEmployees() {
+    const backend = getStorageBackend();
+    let values = await backend.readTable(SHEET_NAME_EMPLOYEES);
+    if (values.length === 0 && backend.isRemote) {
+        values = serializeRoster(INITIAL_ROSTER);
+        await backend.replaceTable(SHEET_NAME_EMPLOYEES, values);
+    }
+    setRoster(parseRosterRows(values));
+    populateEmployeeSelects();
+}
+
+/**
+ * Writes the full roster back to the `employees` tab.
+ * @param {Array<Object>} employees - Roster entries ({ name, email, role, active }).
+ * @returns {Promise<boolean>} False if nothing was saved because no storage is connected.
+ */
+export async function saveEmployees(employees) {
+    if (!isStorageReady()) {
+        updateStatus('יש להתחבר עם חשבון Google כדי לשמור נתונים.', 'info', false);
+        return false;
+    }
+    await getStorageBackend().replaceTable(SHEET_NAME_EMPLOYEES, serializeRoster(employees));
+    setRoster(employees);
+    populateEmployeeSelects();
+    return true;
+}
+
+/**
+ * Reads the `settings` tab (key/value rows) into an object.
+ * Values are stored as JSON; a value that does not parse is kept as a plain string.
+ * @returns {Promise<Object>} The settings, keyed by name.
+ */
+export async function loadSettings() {
+    const values = await getStorageBackend().readTable(SHEET_NAME_SETTINGS);
+    const settings = {};
+    values.slice(1).forEach(([key, value]) => {
+        if (!key) return;
+        try {
+            settings[key] = JSON.parse(value);
+        } catch {
+            settings[key] = value;
+        }
+    });
+    return settings;
+}
+
+/**
+ * Stores a single setting in the `settings` tab, keeping the other keys.
+ * @param {string} key - The setting name.
+ * @param {*} value - Any JSON-serializable value.
+ */
+export async function saveSetting(key, value) {
+    const settings = await loadSettings();
+    settings[key] = value;
+    const rows = [['key', 'value'], ...Object.entries(settings).map(([name, v]) => [name, JSON.stringify(v)])];
+    await getStorageBackend().replaceTable(SHEET_NAME_SETTINGS, rows);
+}
+
+/**
+ * Loads the manager-defined closure days and eves from the `holidays` tab.
+ * They are added on top of the computed holiday calendar.
+ */
+export async function loadHolidayOverrides() {
+    const values = await getStorageBackend().readTable(SHEET_NAME_HOLIDAYS);
+    setHolidayOverrides(parseHolidayOverrideRows(values));
+}
+
+/**
+ * Loads the availability entries (time off and weekly constraints) from the `availability` tab.
+ */
+export async function loadAvailability() {
+    setAvailability(parseAvailabilityRows(await getStorageBackend().readTable(SHEET_NAME_AVAILABILITY)));
+}
+
+/**
+ * Adds an availability entry, or removes the entry with the given id. The tab is re-read first
+ * so entries written elsewhere are kept.
+ * @param {{add?: Object, removeId?: string}} change
+ */
+export async function updateAvailability({ add, removeId }) {
+    const entries = parseAvailabilityRows(await getStorageBackend().readTable(SHEET_NAME_AVAILABILITY))
+        .filter(entry => entry.id !== removeId);
+    if (add) entries.push(add);
+    await getStorageBackend().replaceTable(SHEET_NAME_AVAILABILITY, serializeAvailability(entries));
+    setAvailability(entries);
+    await cacheSnapshot();
+}
+
+/**
+ * Loads the recurring fixed assignments from the `recurring` tab.
+ */
+export async function loadRecurringRules() {
+    setRecurringRules(parseRecurringRows(await getStorageBackend().readTable(SHEET_NAME_RECURRING)));
+}
+
+/**
+ * Adds a recurring rule, or removes the rule with the given id. The tab is re-read first
+ * so rules written elsewhere are kept.
+ * @param {{add?: Object, removeId?: string}} change
+ */
+export async function updateRecurringRules({ add, removeId }) {
+    const rules = parseRecurringRows(await getStorageBackend().readTable(SHEET_NAME_RECURRING))
+        .filter(rule => rule.id !== removeId);
+    if (add) rules.push(add);
+    await getStorageBackend().replaceTable(SHEET_NAME_RECURRING, serializeRecurring(rules));
+    setRecurringRules(rules);
+    await cacheSnapshot();
+}
+
+/**
+ * Loads the shift swap requests from the `swap_requests` tab.
+ * @returns {Promise<Array<Object>>} Requests, newest first.
+ */
+export async function loadSwapRequests() {
+    return parseSwapRequestRows(await getStorageBackend().readTable(SHEET_NAME_SWAP_REQUESTS));
+}
+
+/**
+ * Adds or updates a swap request. The tab is re-read first so requests written elsewhere are kept.
+ * @param {Object} request - The request, matched by id.
+ * @returns {Promise<Array<Object>>} All requests after the save, newest first.
+ */
+export async function saveSwapRequest(request) {
+    const requests = (await loadSwapRequests()).filter(existing => existing.id !== request.id);
+    requests.push(request);
+    await getStorageBackend().replaceTable(SHEET_NAME_SWAP_REQUESTS, serializeSwapRequests(requests));
+    return parseSwapRequestRows(serializeSwapRequests(requests));
+}
+
+/**
+ * Loads the named week templates from the `templates` tab.
+ * @returns {Promise<Array<{name: string, week: Object}>>} Sorted by name.
+ */
+export async function loadTemplates() {
+    return parseTemplateRows(await getStorageBackend().readTable(SHEET_NAME_TEMPLATES));
+}
+
+/**
+ * Adds a template (replacing one with the same name), or removes the template with the given name.
+ * The tab is re-read first so templates written elsewhere are kept.
+ * @param {{add?: Object, removeName?: string}} change
+ * @returns {Promise<Array<{name: string, week: Object}>>} All templates after the save.
+ */
+export async function updateTemplates({ add, removeName }) {
+    const templates = (await loadTemplates())
+        .filter(template => template.name !== removeName && template.name !== add?.name);
+    if (add) templates.push(add);
+    await getStorageBackend().replaceTable(SHEET_NAME_TEMPLATES, serializeTemplates(templates));
+    return parseTemplateRows(serializeTemplates(templates));
+}
+
+/**
+ * Loads the actual attendance from the `attendance` tab.
+ * @returns {Promise<Array<Object>>}
+ */
+export async function loadAttendance() {
+    return parseAttendanceRows(await getStorageBackend().readTable(SHEET_NAME_ATTENDANCE));
+}
+
+/**
+ * Adds attendance records, replacing any record for the same employee, date and shift.
+ * The tab is re-read first so records written elsewhere are kept.
+ * @param {{add: Array<Object>}} change
+ * @returns {Promise<Array<Object>>} All records after the save.
+ */
+export async function updateAttendance({ add }) {
+    const addedKeys = new Set(add.map(attendanceKey));
+    const records = (await loadAttendance()).filter(record => !addedKeys.has(attendanceKey(record)));
+    records.push(...add);
+    await getStorageBackend().replaceTable(SHEET_NAME_ATTENDANCE, serializeAttendance(records));
+    return records;
+}
+
+/**
+ * Fetches the settings, the holiday overrides, the roster and all schedule data from the storage backend.
  */
 export async function fetchData() {
-    if (gapi.client.getToken() === null) {
+    if (!isStorageReady()) {
         updateStatus('יש להתחבר עם חשבון Google כדי לטעון נתונים.', 'info');
         return;
     }
     
+    if (getStorageBackend().isRemote && !navigator.onLine) {
+        updateStatus('אין חיבור לרשת. מוצג העותק השמור במכשיר.', 'info');
+        return;
+    }
+
     const button = DOMElements.refreshDataBtn;
     setButtonLoading(button, 'מרענן...');
 
     try {
         updateStatus('טוען נתונים...', 'loading', true);
-        const response = await gapi.client.sheets.spreadsheets.values.get({
-            spreadsheetId: SPREADSHEET_ID,
-            range: `${SHEET_NAME}!A:G`, // Read up to column G to include the new timestamp
+        const settings = await loadSettings();
+        if (settings[WEEKLY_POLICY_SETTING_KEY]) setWeeklyPolicy(settings[WEEKLY_POLICY_SETTING_KEY]);
+        await loadHolidayOverrides();
+        await loadAvailability();
+        await loadRecurringRules();
+        await loadEmployees();
+
+        const loaded = await withScheduleLock(async () => {
+            const result = await getStorageBackend().loadSchedules();
+            Object.keys(allSchedules).forEach(key => delete allSchedules[key]);
+            applyLoadedSchedules(result);
+            return result;
         });
+        if (pendingSaveCount === 0) queuedSchedules = null;
 
-        const values = response.result.values;
-        Object.keys(allSchedules).forEach(key => delete allSchedules[key]);
-
-        if (!values || values.length <= 1) {
+        if (loaded.stamps.size === 0 && pendingSaveCount === 0) {
             console.log('No data found.');
             updateStatus('לא נמצאו נתונים בגיליון. ניתן להתחיל להוסיף משמרות.', 'info');
             renderSchedule(getWeekId(DOMElements.datePicker.value));
+            await cacheSnapshot();
+            await proposeRecurringWeek(getWeekId(DOMElements.datePicker.value));
             return;
         }
 
-        const headers = values[0];
-        const weekIdIndex = headers.indexOf("week_id");
-        const dayIndex = headers.indexOf("day");
-        const shiftTypeIndex = headers.indexOf("shift_type");
-        const employeeIndex = headers.indexOf("employee");
-        const startTimeIndex = headers.indexOf("start_time");
-        const endTimeIndex = headers.indexOf("end_time");
-        // We don't need to read the last_updated index for the app logic itself
-
-        for (let i = 1; i < values.length; i++) {
-            const row = values[i];
-            if (!row || row.length === 0) continue;
-
-            const weekId = row[weekIdIndex];
-            const day = row[dayIndex];
-            const shiftType = row[shiftTypeIndex];
-            const employee = row[employeeIndex]?.trim(); 
-            const start = row[startTimeIndex];
-            const end = row[endTimeIndex];
-
-            if (weekId && day && shiftType && employee) {
-                if (!allSchedules[weekId]) allSchedules[weekId] = {};
-                if (!allSchedules[weekId][day]) allSchedules[weekId][day] = {};
-                allSchedules[weekId][day][shiftType] = { employee, start, end };
-            }
-        }
+        // Until the queued offline changes are synced, keep showing them
+        replaceScheduleContent(allSchedules, queuedSchedules || savedSchedules);
 
         const currentWeekId = getWeekId(DOMElements.datePicker.value);
         renderSchedule(currentWeekId);
-        updateStatus('הנתונים נטענו בהצלחה!', 'success');
+        await cacheSnapshot();
+        if (pendingSaveCount > 0) {
+            await syncPendingSaves();
+        } else if (getActiveEmployees().length === 0) {
+            updateStatus('הנתונים נטענו, אך רשימת העובדים ריקה. ניתן להוסיף עובדים במסך ניהול העובדים.', 'info');
+        } else {
+            updateStatus('הנתונים נטענו בהצלחה!', 'success');
+            await proposeRecurringWeek(currentWeekId);
+        }
 
     } catch (err) {
-        console.error('Error fetching data from Google Sheets:', err);
+        console.error('Error fetching data:', err);
         const errorMessage = err.result?.error?.message || err.message || 'תקלה לא ידועה';
-        displayAPIError(err, `שגיאה בטעינת הנתונים מ-Google Sheets: ${errorMessage}`);
+        displayAPIError(err, `שגיאה בטעינת הנתונים: ${errorMessage}`);
     } finally {
         restoreButton(button);
     }
 }
+function applyLoadedSchedules(loaded) {
+    hasLoadedData = true;
+    savedSchedules = loaded.schedules;
+    savedRowStamps = loaded.stamps;
+}
+
+/** True if rows were added, removed or rewritten in storage since they were last loaded or saved here. */
+function hasStorageChangedSinceLoad(loaded) {
+    if (loaded.stamps.size !== savedRowStamps.size) return true;
+    for (const [key, stamp] of loaded.stamps) {
+        if (savedRowStamps.get(key) !== stamp) return true;
+    }
+    return false;
+}
+
+/** Replaces the content of a schedule object in place, so shared references stay valid. */
+function replaceScheduleContent(target, source) {
+    Object.keys(target).forEach(key => delete target[key]);
+    Object.assign(target, JSON.parse(JSON.stringify(source)));
+}
+
 /**
- * [FEATURE ADDED] Saves the entire schedule object to the Google Sheet,
- * including a `last_updated` timestamp for each shift row.
+ * Brings the local edits on top of schedules that someone else changed in the meantime.
+ * Cells changed on one side only are merged silently; for cells changed on both sides
+ * the user picks a version in the merge dialog.
+ * @param {Object} scheduleData - The local schedules; updated in place with the merge result.
+ * @param {Object} loaded - The freshly loaded schedules.
+ * @returns {Promise<boolean>} False if the user cancelled the merge.
  */
-export async function saveFullSchedule(fullScheduleData) {
-    if (gapi.client.getToken() === null) {
-        updateStatus('יש להתחבר עם חשבון Google כדי לשמור נתונים.', 'info', false);
-        return;
+async function mergeConcurrentEdits(scheduleData, loaded) {
+    const { merged, conflicts } = mergeSchedules(savedSchedules, scheduleData, loaded.schedules);
+    let resolved = merged;
+    if (conflicts.length > 0) {
+        updateStatus('הסידור עודכן במקביל על ידי משתמש אחר. יש לבחור איזו גרסה לשמור.', 'info', false);
+        const choices = await showMergeDialog(conflicts);
+        if (!choices) return false;
+        resolved = applyConflictChoices(merged, conflicts, choices);
     }
-    updateStatus('שומר...', 'loading', true);
-    DOMElements.scheduleCard.classList.add('loading');
+    replaceScheduleContent(scheduleData, resolved);
+    renderSchedule(getWeekId(DOMElements.datePicker.value));
+    return true;
+}
+
+/** Stores the current roster, policy and schedules in IndexedDB for startup and offline use. */
+async function cacheSnapshot() {
     try {
-        // [FIX] Changed timestamp to local Israel time
-        const timestamp = new Date().toLocaleString('he-IL', { timeZone: 'Asia/Jerusalem' });
+        await saveSnapshot({
+            schedules: JSON.parse(JSON.stringify(allSchedules)),
+            employees: JSON.parse(JSON.stringify(allEmployees)),
+            weeklyPolicy: getWeeklyPolicy(),
+            availability: getAvailability(),
+            recurringRules: getRecurringRules()
+        });
+    } catch (err) {
+        console.warn('Could not cache the schedule for offline use:', err);
+    }
+}
+
+function setPendingSaveCount(count) {
+    pendingSaveCount = count;
+    updatePendingChangesBadge(count);
+}
+
+/**
+ * Renders the data cached by the last session, before (or without) reaching the storage backend.
+ * Changes still waiting in the offline queue are part of the cached schedules, and further
+ * offline changes are queued relative to them.
+ * @returns {Promise<boolean>} True if a cached snapshot was found and rendered.
+ */
+export async function loadCachedData() {
+    try {
+        const [snapshot, pendingSaves] = await Promise.all([loadSnapshot(), getPendingSaves()]);
+        setPendingSaveCount(pendingSaves.length);
+        // The sheet was already loaded while the cache was being read; it is newer
+        if (!snapshot || hasLoadedData) return false;
+
+        setWeeklyPolicy(snapshot.weeklyPolicy);
+        setRoster(snapshot.employees || []);
+        setAvailability(snapshot.availability || []);
+        setRecurringRules(snapshot.recurringRules || []);
+        populateEmployeeSelects();
+        replaceScheduleContent(allSchedules, snapshot.schedules || {});
+        queuedSchedules = JSON.parse(JSON.stringify(allSchedules));
+        // Offline, the sign-in check may never run to reveal the app
+        DOMElements.appContent.classList.remove('hidden');
+        renderSchedule(getWeekId(DOMElements.datePicker.value));
+        updateStatus(`מוצג עותק שמור מ-${new Date(snapshot.savedAt).toLocaleString('he-IL', { timeZone: 'Asia/Jerusalem' })}.`, 'info');
+        return true;
+    } catch (err) {
+        console.warn('Could not read the offline cache:', err);
+        return false;
+    }
+}
+
+/**
+ * Removes the cached copy when the user signs out. Changes that were not synced yet are kept
+ * (with the copy they belong to) so they reach the sheet on the next sign-in.
+ */
+export async function clearOfflineCache() {
+    if (pendingSaveCount > 0) return;
+    try {
+        await clearOfflineData();
+        queuedSchedules = null;
+    } catch (err) {
+        console.warn('Could not clear the offline cache:', err);
+    }
+}
 
-        const dataToWrite = [
-            // [NEW] Added "last_updated" to the header row
-            ["week_id", "day", "shift_type", "employee", "start_time", "end_time", "last_updated"]
-        ];
+/**
+ * Queues a save that cannot reach the sheet right now. Only the difference from the previous
+ * queued state is stored, so each queued entry keeps its own action for the change log.
+ * @returns {Promise<Object|null>} The queued change set, or null if it could not be stored.
+ */
+async function queueOfflineSave(scheduleData, action, undoable) {
+    const changes = diffSchedules(queuedSchedules || savedSchedules, scheduleData);
+    if (changes.upserts.length === 0 && changes.deletes.length === 0) return changes;
 
-        const sortedWeekIds = Object.keys(fullScheduleData).sort();
+    try {
+        await addPendingSave({ action, changes });
+    } catch (err) {
+        displayAPIError(err, 'אין חיבור לרשת, ולא ניתן היה לשמור את השינוי במכשיר');
+        return null;
+    }
+    queuedSchedules = JSON.parse(JSON.stringify(scheduleData));
+    setPendingSaveCount(pendingSaveCount + 1);
+    if (undoable) recordChange(action, changes);
+    await cacheSnapshot();
+    if (!navigator.onLine) {
+        updateStatus('אין חיבור לרשת. השינוי נשמר במכשיר ויסונכרן כשהחיבור יחזור.', 'info');
+    }
+    return changes;
+}
 
-        for (const weekId of sortedWeekIds) {
-            const scheduleDataForWeek = fullScheduleData[weekId];
-            const dayOrder = ['ראשון', 'שני', 'שלישי', 'רביעי', 'חמישי', 'שישי', 'שבת'];
-            const sortedDays = Object.keys(scheduleDataForWeek).sort((a, b) => dayOrder.indexOf(a) - dayOrder.indexOf(b));
+/**
+ * Writes the queued offline changes to the sheet, oldest first, each with its own action
+ * in the change log. Cells that someone else changed in the meantime go through the merge dialog.
+ * Entries are removed from the queue only once they were written.
+ */
+export async function syncPendingSaves() {
+    if (isSyncing || !navigator.onLine || !getStorageBackend().isRemote || !isStorageReady()) return;
+    isSyncing = true;
+    let syncAgain = false;
+    try {
+        const entries = await getPendingSaves();
+        setPendingSaveCount(entries.length);
+        if (entries.length === 0) {
+            queuedSchedules = null;
+            return;
+        }
 
-            for (const day of sortedDays) {
-                const dayData = scheduleDataForWeek[day];
-                if (dayData.morning && dayData.morning.employee && dayData.morning.employee !== 'none') {
-                    const shift = dayData.morning;
-                    // [NEW] Push the timestamp with the row data
-                    dataToWrite.push([weekId, day, 'morning', shift.employee.trim(), shift.start, shift.end, timestamp]);
-                }
-                if (dayData.evening && dayData.evening.employee && dayData.evening.employee !== 'none') {
-                    const shift = dayData.evening;
-                    // [NEW] Push the timestamp with the row data
-                    dataToWrite.push([weekId, day, 'evening', shift.employee.trim(), shift.start, shift.end, timestamp]);
-                }
+        updateStatus(`מסנכרן ${entries.length} שינויים שבוצעו ללא חיבור...`, 'loading', true);
+        const loaded = await getStorageBackend().loadSchedules();
+        applyLoadedSchedules(loaded);
+
+        const keepTheirs = new Set();
+        const conflicts = findQueuedConflicts(entries.map(entry => entry.changes), loaded.schedules);
+        if (conflicts.length > 0) {
+            const choices = await showMergeDialog(conflicts);
+            if (!choices) {
+                updateStatus('הסנכרון נדחה. השינויים נשארים שמורים במכשיר.', 'info', false);
+                return;
             }
+            choices.forEach((choice, key) => { if (choice === 'theirs') keepTheirs.add(key); });
         }
 
-        await gapi.client.sheets.spreadsheets.values.clear({
-            spreadsheetId: SPREADSHEET_ID,
-            range: SHEET_NAME,
-        });
+        const target = JSON.parse(JSON.stringify(loaded.schedules));
+        for (const entry of entries) {
+            applyChangeSet(target, withoutCells(entry.changes, keepTheirs), false);
+            const written = await saveScheduleChanges(target, entry.action, { undoable: false, allowQueue: false });
+            if (!written) return; // The rest stays queued for the next attempt
+            await removePendingSave(entry.id);
+            setPendingSaveCount(pendingSaveCount - 1);
+        }
 
-        if (dataToWrite.length > 1) {
-            await gapi.client.sheets.spreadsheets.values.update({
-                spreadsheetId: SPREADSHEET_ID,
-                range: `${SHEET_NAME}!A1`,
-                valueInputOption: 'RAW',
-                resource: { values: dataToWrite },
-            });
+        // Changes queued while this sync was running go out in another round
+        if ((await getPendingSaves()).length > 0) {
+            syncAgain = true;
+            return;
+        }
+        queuedSchedules = null;
+        replaceScheduleContent(allSchedules, target);
+        renderSchedule(getWeekId(DOMElements.datePicker.value));
+        await cacheSnapshot();
+        updateStatus('השינויים שבוצעו ללא חיבור סונכרנו בהצלחה!', 'success');
+    } catch (err) {
+        displayAPIError(err, 'שגיאה בסנכרון השינויים שבוצעו ללא חיבור');
+    } finally {
+        isSyncing = false;
+    }
+    if (syncAgain) await syncPendingSaves();
+}
+
+/**
+ * Appends the changes written by a save to the `change_log` tab.
+ * A failure here is only logged, since the schedule itself was already saved.
+ */
+async function logScheduleChanges(changes, timestamp, action) {
+    try {
+        const userEmail = getStorageBackend().isRemote ? await getSignedInUserEmail() : '';
+        const rows = buildChangeLogRows(changes, { timestamp, userEmail, action });
+        if (rows.length > 0) await getStorageBackend().appendRows(SHEET_NAME_CHANGE_LOG, CHANGE_LOG_HEADERS, rows);
+    } catch (err) {
+        console.error('Failed to write the change log:', err);
+    }
+}
+
+/**
+ * Saves the schedule through the storage backend, writing only the rows that changed since the
+ * last load or save. If the data was changed elsewhere in the meantime, the edits are merged first.
+ * Every written change is appended to the `change_log` table with the signed-in user's email.
+ * Without a network connection, changes to the Google Sheet are queued in IndexedDB and synced once the connection returns.
+ * Saves run one after the other, so callers need not serialize them.
+ * @param {Object} scheduleData - The full schedule object (usually `allSchedules`).
+ * @param {string} [action='עריכה'] - What caused the change, as shown in the history panel.
+ * @param {{undoable: boolean, allowQueue: boolean}} [options] - `undoable: false` keeps the save off the undo stack
+ *   (used by undo/redo themselves); `allowQueue: false` never queues the save for offline sync (used by the sync itself).
+ * @returns {Promise<{upserts: Array<Object>, deletes: Array<Object>}|null>} The rows written, or null if nothing was saved.
+ */
+export async function saveScheduleChanges(scheduleData, action = 'עריכה', options = {}) {
+    if (!isStorageReady()) {
+        updateStatus('יש להתחבר עם חשבון Google כדי לשמור נתונים.', 'info', false);
+        return null;
+    }
+
+    const { changes, syncQueued } = await withScheduleLock(() => writeSchedule(scheduleData, action, options));
+    // The sync saves every queued change in turn, so it may only start once this save is done
+    if (syncQueued) await syncPendingSaves();
+    return changes;
+}
+
+/**
+ * The body of saveScheduleChanges, run while no other save is in progress.
+ * @returns {Promise<{changes: ?Object, syncQueued: boolean}>} The rows written (or queued), and whether
+ *   the offline queue should be synced now.
+ */
+async function writeSchedule(scheduleData, action, { undoable = true, allowQueue = true }) {
+    carryRecurringMarks(queuedSchedules || savedSchedules, scheduleData);
+    const backend = getStorageBackend();
+    // Offline, or with older offline changes still waiting: queue this one too, so they reach the sheet in order
+    if (allowQueue && backend.isRemote && (!navigator.onLine || pendingSaveCount > 0)) {
+        const queued = await queueOfflineSave(scheduleData, action, undoable);
+        return { changes: queued, syncQueued: Boolean(queued) && navigator.onLine };
+    }
+
+    updateStatus('שומר...', 'loading', true);
+    DOMElements.scheduleCard.classList.add('loading');
+    try {
+        // Load again first, so edits saved elsewhere since the last load are not overwritten
+        const loaded = await backend.loadSchedules();
+        if (hasStorageChangedSinceLoad(loaded)) {
+            const merged = await mergeConcurrentEdits(scheduleData, loaded);
+            if (!merged) {
+                updateStatus('השמירה בוטלה. השינויים שלך עדיין לא נשמרו.', 'info', false);
+                return { changes: null, syncQueued: false };
+            }
         }
+        applyLoadedSchedules(loaded);
+
+        const changes = diffSchedules(savedSchedules, scheduleData);
+        if (changes.upserts.length === 0 && changes.deletes.length === 0) {
+            updateStatus('אין שינויים לשמירה.', 'info', false);
+            return { changes, syncQueued: false };
+        }
+
+        const timestamp = new Date().toLocaleString('he-IL', { timeZone: 'Asia/Jerusalem' });
+        await backend.writeScheduleChanges(changes, timestamp);
+
+        changes.deletes.forEach(({ weekId, day, shiftType }) => savedRowStamps.delete(scheduleRowKey(weekId, day, shiftType)));
+        changes.upserts.forEach(({ weekId, day, shiftType }) => savedRowStamps.set(scheduleRowKey(weekId, day, shiftType), timestamp));
+        savedSchedules = JSON.parse(JSON.stringify(scheduleData));
+
+        await logScheduleChanges(changes, timestamp, action);
+        if (undoable) recordChange(action, changes);
+        await cacheSnapshot();
         updateStatus('השינויים נשמרו בהצלחה!', 'success', false);
+        return { changes, syncQueued: false };
     } catch (err) {
-        displayAPIError(err, 'שגיאה בשמירת הנתונים ל-Google Sheets');
+        // The connection dropped during the save: keep the change in the offline queue instead
+        if (allowQueue && backend.isRemote && !navigator.onLine) {
+            return { changes: await queueOfflineSave(scheduleData, action, undoable), syncQueued: false };
+        }
+        displayAPIError(err, 'שגיאה בשמירת הנתונים');
+        return { changes: null, syncQueued: false };
     } finally {
         DOMElements.scheduleCard.classList.remove('loading');
     }
 }
 
+/**
+ * Collects the full dataset for a backup file: the stored schedules, every data table and
+ * the calendar event mappings of this session.
+ * @returns {Promise<Object>} The backup (see buildBackup).
+ */
+export async function createBackup() {
+    const backend = getStorageBackend();
+    const { schedules } = await backend.loadSchedules();
+    const tables = {};
+    for (const name of BACKUP_TABLES) {
+        tables[name] = await backend.readTable(name);
+    }
+    return buildBackup({ schedules, tables, calendarEvents: { ...allCreatedCalendarEvents } });
+}
+
+/**
+ * Restores a validated backup. The schedules go through the normal save path, so they are merged
+ * with concurrent edits, logged as one action and can be undone. Every other table in the backup is
+ * then written back (see buildRestoredTable); on merge, the roster only gets the employees that are missing.
+ * @param {Object} backup - A backup that passed validateBackup.
+ * @param {string} mode - One of RESTORE_MODES.
+ * @returns {Promise<boolean>} True if the backup was restored.
+ */
+export async function restoreBackup(backup, mode) {
+    const backend = getStorageBackend();
+    if (backend.isRemote && !navigator.onLine) {
+        updateStatus('שחזור מגיבוי דורש חיבור לרשת.', 'info', false);
+        return false;
+    }
+
+    const before = JSON.parse(JSON.stringify(allSchedules));
+    replaceScheduleContent(allSchedules, buildRestoredSchedules(before, backup.schedules, mode));
+    renderSchedule(getWeekId(DOMElements.datePicker.value));
+    const action = mode === RESTORE_MODES.REPLACE ? 'שחזור מגיבוי (החלפה)' : 'שחזור מגיבוי (מיזוג)';
+    const written = await saveScheduleChanges(allSchedules, action);
+    if (!written) {
+        replaceScheduleContent(allSchedules, before);
+        renderSchedule(getWeekId(DOMElements.datePicker.value));
+        return false;
+    }
+
+    const backupRoster = parseRosterRows(backup.tables[SHEET_NAME_EMPLOYEES]);
+    if (mode === RESTORE_MODES.REPLACE) {
+        if (backup.tables[SHEET_NAME_EMPLOYEES]) await saveEmployees(backupRoster);
+        Object.keys(allCreatedCalendarEvents).forEach(key => delete allCreatedCalendarEvents[key]);
+    } else {
+        const missing = backupRoster.filter(emp => !allEmployees.some(current => current.name === emp.name));
+        if (missing.length > 0) await saveEmployees([...allEmployees, ...missing]);
+    }
+    for (const name of BACKUP_TABLES.filter(table => table !== SHEET_NAME_EMPLOYEES)) {
+        if (!backup.tables[name]) continue;
+        const rows = buildRestoredTable(await backend.readTable(name), backup.tables[name], name, mode);
+        if (rows.length > 0) await backend.replaceTable(name, rows);
+    }
+    Object.assign(allCreatedCalendarEvents, backup.calendarEvents || {});
+
+    const settings = await loadSettings();
+    if (settings[WEEKLY_POLICY_SETTING_KEY]) setWeeklyPolicy(settings[WEEKLY_POLICY_SETTING_KEY]);
+    await loadHolidayOverrides();
+    await loadAvailability();
+    await loadRecurringRules();
+
+    renderSchedule(getWeekId(DOMElements.datePicker.value));
+    await cacheSnapshot();
+    return true;
+}
 
 /**
  * Sends an email using the Gmail API.
@@ -255,17 +776,23 @@ export async function handleCreateCalendarEvents(selectedEmployees) {
             const dayData = scheduleDataForWeek[dayName] || {};
             const dateISO = date.toISOString().split('T')[0];
 
-            ['morning', 'evening'].forEach(shiftType => {
-                if (dayName === 'שבת' || (dayName === 'שישי' && shiftType === 'evening')) return;
-
+            getShiftTypesForDate(date).forEach(({ id: shiftType }) => {
                 const shiftDetails = dayData[shiftType];
                 if (shiftDetails && shiftDetails.employee !== 'none' && selectedEmployees.includes(shiftDetails.employee)) {
                     
+                    // Overnight shifts (e.g. night) end on the following day
+                    let endDateISO = dateISO;
+                    if (shiftDetails.end < shiftDetails.start) {
+                        const nextDay = new Date(date);
+                        nextDay.setDate(nextDay.getDate() + 1);
+                        endDateISO = nextDay.toISOString().split('T')[0];
+                    }
+
                     const event = {
-                        'summary': `משמרת ${shiftType === 'morning' ? 'בוקר' : 'ערב'} (${shiftDetails.employee})`,
+                        'summary': `משמרת ${getShiftLabel(shiftType)} (${shiftDetails.employee})`,
                         'location': 'אסותא',
                         'start': { 'dateTime': `${dateISO}T${shiftDetails.start}`, 'timeZone': timeZone },
-                        'end': { 'dateTime': `${dateISO}T${shiftDetails.end}`, 'timeZone': timeZone }
+                        'end': { 'dateTime': `${endDateISO}T${shiftDetails.end}`, 'timeZone': timeZone }
                     };
 
                     creationTasks.push({
@@ -330,7 +857,7 @@ export async function handleDeleteCalendarEvents(selectedEmployees) {
 
         Object.keys(scheduleDataForWeek).forEach(dayName => {
             const dayData = scheduleDataForWeek[dayName];
-            ['morning', 'evening'].forEach(shiftType => {
+            Object.keys(dayData).forEach(shiftType => {
                 const shiftDetails = dayData[shiftType];
                 if (shiftDetails && selectedEmployees.includes(shiftDetails.employee)) {
                     const shiftKey = `${weekId}-${dayName}-${shiftType}`;
@@ -0,0 +1,54 @@
+import { applyChangeSet, scheduleRowKey } from '../services/scheduleDiff.js';
+
+// Storage backend that keeps everything in the browser (see storage.js for the interface),
+// for teams without Google Workspace and for demos. Tables are stored as the same rows the
+// Sheets backend reads, so the parsers are shared.
+
+const KEY_PREFIX = 'shift-schedule-app:';
+const SCHEDULES_KEY = 'schedules';
+
+/**
+ * Creates a local storage backend.
+ * @param {Storage} [storage=window.localStorage] - Where to keep the data. Anything with
+ *   getItem/setItem works, e.g. an in-memory object standing in for Sheets in tests.
+ * @returns {import('./storage.js').StorageBackend}
+ */
+export function createLocalBackend(storage = window.localStorage) {
+    const read = (key, fallback) => {
+        const raw = storage.getItem(KEY_PREFIX + key);
+        return raw ? JSON.parse(raw) : fallback;
+    };
+    const write = (key, value) => storage.setItem(KEY_PREFIX + key, JSON.stringify(value));
+    const tableKey = name => `table:${name}`;
+
+    return {
+        id: 'local',
+        isRemote: false,
+
+        async readTable(name) {
+            return read(tableKey(name), []);
+        },
+
+        async replaceTable(name, rows) {
+            write(tableKey(name), rows);
+        },
+
+        async appendRows(name, headers, rows) {
+            const existing = read(tableKey(name), []);
+            write(tableKey(name), existing.length > 0 ? [...existing, ...rows] : [headers, ...rows]);
+        },
+
+        async loadSchedules() {
+            const { schedules = {}, stamps = {} } = read(SCHEDULES_KEY, {});
+            return { schedules, stamps: new Map(Object.entries(stamps)) };
+        },
+
+        async writeScheduleChanges(changes, timestamp) {
+            const { schedules = {}, stamps = {} } = read(SCHEDULES_KEY, {});
+            applyChangeSet(schedules, changes, false);
+            changes.upserts.forEach(row => { stamps[scheduleRowKey(row.weekId, row.day, row.shiftType)] = timestamp; });
+            changes.deletes.forEach(row => { delete stamps[scheduleRowKey(row.weekId, row.day, row.shiftType)]; });
+            write(SCHEDULES_KEY, { schedules, stamps });
+        }
+    };
+}
@@ -0,0 +1,269 @@
+import { SPREADSHEET_ID, SHEET_NAME } from "../config.js";
+import { scheduleRowKey } from '../services/scheduleDiff.js';
+
+// Storage backend on the production Google Sheet (see storage.js for the interface).
+
+const SCHEDULE_HEADERS = ["week_id", "day", "shift_type", "employee", "start_time", "end_time", "last_updated", "recurring_employee"];
+
+// Row bookkeeping of the `schedules` tab, refreshed by every loadSchedules()
+const scheduleRowNumbers = new Map(); // Row key -> sheet row number (1-based)
+let freeScheduleRows = [];            // Empty rows that can be reused for new shifts
+let staleScheduleRows = [];           // Rows to blank on the next save ('none' placeholders, duplicates, half-filled rows)
+let lastScheduleRow = 0;              // Last used row (1 = header only, 0 = empty sheet)
+let hasRecurringColumn = false;       // Sheets created before recurring shifts lack the `recurring_employee` header
+
+/**
+ * Reads all values of a sheet tab. A tab that does not exist yet is treated as empty,
+ * so optional tabs (like `employees`) don't break loading of the main schedule.
+ * @param {string} sheetName - The name of the tab to read.
+ * @param {string} [columns='A:Z'] - The column range to read.
+ * @returns {Promise<Array<Array<string>>>} The raw rows, including the header row.
+ */
+async function readSheetValues(sheetName, columns = 'A:Z') {
+    try {
+        const response = await gapi.client.sheets.spreadsheets.values.get({
+            spreadsheetId: SPREADSHEET_ID,
+            range: `${sheetName}!${columns}`,
+        });
+        return response.result.values || [];
+    } catch (err) {
+        // The Sheets API answers 400 ("Unable to parse range") for a missing tab
+        if (err.result?.error?.code === 400) {
+            console.warn(`Sheet "${sheetName}" was not found, treating it as empty.`);
+            return [];
+        }
+        throw err;
+    }
+}
+
+/**
+ * Creates a tab in the spreadsheet if it does not exist yet.
+ * @param {string} sheetName - The name of the tab.
+ */
+async function ensureSheetExists(sheetName) {
+    const response = await gapi.client.sheets.spreadsheets.get({
+        spreadsheetId: SPREADSHEET_ID,
+        fields: 'sheets.properties.title',
+    });
+    const exists = (response.result.sheets || []).some(sheet => sheet.properties.title === sheetName);
+    if (exists) return;
+
+    await gapi.client.sheets.spreadsheets.batchUpdate({
+        spreadsheetId: SPREADSHEET_ID,
+        resource: { requests: [{ addSheet: { properties: { title: sheetName } } }] },
+    });
+}
+
+/**
+ * Makes sure a tab has at least the given number of rows, since value writes
+ * cannot go past the end of the grid.
+ * @param {string} sheetName - The name of the tab.
+ * @param {number} rowCount - The number of rows needed.
+ */
+async function ensureRowCapacity(sheetName, rowCount) {
+    const response = await gapi.client.sheets.spreadsheets.get({
+        spreadsheetId: SPREADSHEET_ID,
+        fields: 'sheets.properties(sheetId,title,gridProperties.rowCount)',
+    });
+    const sheet = (response.result.sheets || []).find(s => s.properties.title === sheetName);
+    if (!sheet) return;
+    const missingRows = rowCount - sheet.properties.gridProperties.rowCount;
+    if (missingRows <= 0) return;
+
+    await gapi.client.sheets.spreadsheets.batchUpdate({
+        spreadsheetId: SPREADSHEET_ID,
+        resource: { requests: [{ appendDimension: { sheetId: sheet.properties.sheetId, dimension: 'ROWS', length: missingRows } }] },
+    });
+}
+
+/**
+ * Replaces the whole content of a small tab (header row included).
+ * Meant for lookup tables such as the roster, not for the schedules tab.
+ * @param {string} sheetName - The name of the tab.
+ * @param {Array<Array<string>>} rows - The rows to write, header first.
+ */
+async function replaceSheetValues(sheetName, rows) {
+    await ensureSheetExists(sheetName);
+    await gapi.client.sheets.spreadsheets.values.clear({
+        spreadsheetId: SPREADSHEET_ID,
+        range: sheetName,
+    });
+    await gapi.client.sheets.spreadsheets.values.update({
+        spreadsheetId: SPREADSHEET_ID,
+        range: `${sheetName}!A1`,
+        valueInputOption: 'RAW',
+        resource: { values: rows },
+    });
+}
+
+/**
+ * Appends rows to a log tab, creating the tab and its header row on first use.
+ * @param {string} sheetName - The name of the tab.
+ * @param {Array<string>} headers - The header row.
+ * @param {Array<Array<string>>} rows - The rows to append.
+ */
+async function appendSheetRows(sheetName, headers, rows) {
+    await ensureSheetExists(sheetName);
+    const headerResponse = await gapi.client.sheets.spreadsheets.values.get({
+        spreadsheetId: SPREADSHEET_ID,
+        range: `${sheetName}!A1:1`,
+    });
+    const values = headerResponse.result.values && headerResponse.result.values.length > 0 ? rows : [headers, ...rows];
+    await gapi.client.sheets.spreadsheets.values.append({
+        spreadsheetId: SPREADSHEET_ID,
+        range: sheetName,
+        valueInputOption: 'RAW',
+        insertDataOption: 'INSERT_ROWS',
+        resource: { values },
+    });
+}
+
+/**
+ * Parses the raw `schedules` rows and records the sheet row and `last_updated` of every shift,
+ * so a save can write only the rows that changed and notice rows changed by someone else.
+ * @param {Array<Array<string>>} values - Raw sheet values, including the header row.
+ * @returns {Object} The parsed schedules and row bookkeeping.
+ */
+function parseScheduleSheet(values) {
+    const state = {
+        schedules: {},
+        rowNumbers: new Map(),
+        stamps: new Map(),
+        freeRows: [],
+        staleRows: [],
+        lastRow: values.length,
+        hasRecurringColumn: false
+    };
+    if (values.length === 0) return state;
+
+    const headers = values[0];
+    const weekIdIndex = headers.indexOf("week_id");
+    const dayIndex = headers.indexOf("day");
+    const shiftTypeIndex = headers.indexOf("shift_type");
+    const employeeIndex = headers.indexOf("employee");
+    const startTimeIndex = headers.indexOf("start_time");
+    const endTimeIndex = headers.indexOf("end_time");
+    const lastUpdatedIndex = headers.indexOf("last_updated");
+    const recurringEmployeeIndex = headers.indexOf("recurring_employee");
+    state.hasRecurringColumn = recurringEmployeeIndex !== -1;
+
+    for (let i = 1; i < values.length; i++) {
+        const rowNumber = i + 1;
+        const row = values[i];
+        const weekId = row?.[weekIdIndex];
+        const day = row?.[dayIndex];
+        const shiftType = row?.[shiftTypeIndex];
+        const employee = row?.[employeeIndex]?.trim();
+
+        if (!weekId || !day || !shiftType || !employee) {
+            // Rows cleared by earlier saves are reused; half-filled rows are blanked first
+            if (row && row.some(cell => cell)) state.staleRows.push(rowNumber);
+            else state.freeRows.push(rowNumber);
+            continue;
+        }
+
+        const key = scheduleRowKey(weekId, day, shiftType);
+        if (employee === 'none') {
+            state.staleRows.push(rowNumber);
+            continue;
+        }
+        // The last row of a duplicated key wins, as it always did; the earlier one is blanked
+        if (state.rowNumbers.has(key)) state.staleRows.push(state.rowNumbers.get(key));
+        state.rowNumbers.set(key, rowNumber);
+        state.stamps.set(key, row[lastUpdatedIndex] || '');
+
+        if (!state.schedules[weekId]) state.schedules[weekId] = {};
+        if (!state.schedules[weekId][day]) state.schedules[weekId][day] = {};
+        const shift = { employee, start: row[startTimeIndex], end: row[endTimeIndex] };
+        const recurringEmployee = row[recurringEmployeeIndex]?.trim();
+        if (recurringEmployee) shift.recurringEmployee = recurringEmployee;
+        state.schedules[weekId][day][shiftType] = shift;
+    }
+    return state;
+}
+
+/**
+ * Reads the `schedules` tab and keeps its row layout for the next write.
+ * @returns {Promise<{schedules: Object, stamps: Map<string, string>}>}
+ */
+async function loadSchedules() {
+    const state = parseScheduleSheet(await readSheetValues(SHEET_NAME, 'A:H'));
+    scheduleRowNumbers.clear();
+    state.rowNumbers.forEach((rowNumber, key) => scheduleRowNumbers.set(key, rowNumber));
+    freeScheduleRows = state.freeRows;
+    staleScheduleRows = state.staleRows;
+    lastScheduleRow = state.lastRow;
+    hasRecurringColumn = state.hasRecurringColumn;
+    return { schedules: state.schedules, stamps: state.stamps };
+}
+
+/**
+ * Writes a change set to the `schedules` tab in a single batch request. New shifts reuse empty
+ * rows before the sheet grows, removed shifts are blanked, and only the written rows get a new
+ * `last_updated`. Relies on the row layout read by the last loadSchedules().
+ * @param {{upserts: Array<Object>, deletes: Array<Object>}} changes - As returned by diffSchedules.
+ * @param {string} timestamp - The `last_updated` value of the written rows.
+ */
+async function writeScheduleChanges({ upserts, deletes }, timestamp) {
+    const rowRange = rowNumber => `${SHEET_NAME}!A${rowNumber}:H${rowNumber}`;
+    const blankRow = SCHEDULE_HEADERS.map(() => '');
+
+    const rowNumbers = new Map(scheduleRowNumbers);
+    const availableRows = [...freeScheduleRows].sort((a, b) => a - b);
+    const blankedRows = [...staleScheduleRows];
+    let lastRow = lastScheduleRow;
+    const data = [];
+
+    if (lastRow === 0) {
+        data.push({ range: rowRange(1), values: [SCHEDULE_HEADERS] });
+        lastRow = 1;
+    } else if (!hasRecurringColumn) {
+        data.push({ range: `${SHEET_NAME}!H1`, values: [[SCHEDULE_HEADERS[7]]] });
+    }
+
+    deletes.forEach(({ weekId, day, shiftType }) => {
+        const key = scheduleRowKey(weekId, day, shiftType);
+        if (rowNumbers.has(key)) blankedRows.push(rowNumbers.get(key));
+        rowNumbers.delete(key);
+    });
+    blankedRows.forEach(rowNumber => data.push({ range: rowRange(rowNumber), values: [blankRow] }));
+
+    // Rows blanked in this batch are only reused by the next save, so no row is written twice here
+    upserts.forEach(({ weekId, day, shiftType, shift }) => {
+        const key = scheduleRowKey(weekId, day, shiftType);
+        let rowNumber = rowNumbers.get(key);
+        if (!rowNumber) {
+            rowNumber = availableRows.length > 0 ? availableRows.shift() : ++lastRow;
+            rowNumbers.set(key, rowNumber);
+        }
+        data.push({
+            range: rowRange(rowNumber),
+            values: [[weekId, day, shiftType, shift.employee.trim(), shift.start, shift.end, timestamp, shift.recurringEmployee || '']]
+        });
+    });
+
+    if (lastRow > lastScheduleRow) await ensureRowCapacity(SHEET_NAME, lastRow);
+
+    await gapi.client.sheets.spreadsheets.values.batchUpdate({
+        spreadsheetId: SPREADSHEET_ID,
+        resource: { valueInputOption: 'RAW', data },
+    });
+
+    scheduleRowNumbers.clear();
+    rowNumbers.forEach((rowNumber, key) => scheduleRowNumbers.set(key, rowNumber));
+    freeScheduleRows = [...availableRows, ...blankedRows];
+    staleScheduleRows = [];
+    lastScheduleRow = lastRow;
+    hasRecurringColumn = true;
+}
+
+/** @type {import('./storage.js').StorageBackend} */
+export const sheetsBackend = {
+    id: 'sheets',
+    isRemote: true,
+    readTable: sheetName => readSheetValues(sheetName),
+    replaceTable: replaceSheetValues,
+    appendRows: appendSheetRows,
+    loadSchedules,
+    writeScheduleChanges
+};
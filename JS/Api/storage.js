@@ -0,0 +1,47 @@
+import { sheetsBackend } from './sheetsBackend.js';
+import { createLocalBackend } from './localBackend.js';
+
+/**
+ * Where the app keeps its data. googleApi.js goes through the active backend for every read and write,
+ * so the Sheets implementation can be swapped for the local one.
+ * @typedef {Object} StorageBackend
+ * @property {string} id - 'sheets' or 'local'.
+ * @property {boolean} isRemote - True if the data lives on a server (needs sign-in and a network connection).
+ * @property {function(string): Promise<Array<Array<string>>>} readTable - Reads a table (e.g. `employees`), header row first.
+ * @property {function(string, Array<Array<string>>): Promise<void>} replaceTable - Replaces a whole table.
+ * @property {function(string, Array<string>, Array<Array<string>>): Promise<void>} appendRows - Appends log rows,
+ *   writing the header row first if the table is new.
+ * @property {function(): Promise<{schedules: Object, stamps: Map<string, string>}>} loadSchedules - Loads all shifts and
+ *   the `last_updated` stamp of each row key, used to notice changes saved elsewhere.
+ * @property {function({upserts: Array<Object>, deletes: Array<Object>}, string): Promise<void>} writeScheduleChanges -
+ *   Writes a change set (as returned by diffSchedules), stamping the written rows with the given timestamp.
+ */
+
+export const STORAGE_BACKENDS = { SHEETS: 'sheets', LOCAL: 'local' };
+
+const BACKEND_SETTING_KEY = 'storage_backend';
+
+function createBackend(id) {
+    return id === STORAGE_BACKENDS.LOCAL ? createLocalBackend() : sheetsBackend;
+}
+
+let activeBackend = createBackend(localStorage.getItem(BACKEND_SETTING_KEY));
+
+/** @returns {StorageBackend} The backend in use. */
+export function getStorageBackend() {
+    return activeBackend;
+}
+
+/**
+ * Switches the storage backend and remembers the choice for the next visit.
+ * @param {string} id - One of STORAGE_BACKENDS.
+ */
+export function setStorageBackend(id) {
+    activeBackend = createBackend(id);
+    localStorage.setItem(BACKEND_SETTING_KEY, activeBackend.id);
+}
+
+/** True if data can be read and saved: always for the local backend, after sign-in for Sheets. */
+export function isStorageReady() {
+    return !activeBackend.isRemote || gapi.client.getToken() !== null;
+}
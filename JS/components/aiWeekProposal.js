@@ -0,0 +1,208 @@
+import { saveScheduleChanges } from "../Api/googleApi.js";
+import { isStorageReady } from "../Api/storage.js";
+import { DOMElements, updateStatus, displayAPIError, allSchedules } from "../main.js";
+import { DAYS } from "../config.js";
+import { validateWeekProposals, getOpenWeekCells, PROPOSAL_STATUSES } from "../services/aiProposals.js";
+import { getUnavailableEmployees } from "../services/availability.js";
+import { getShiftTypesForDate } from "../services/operatingRules.js";
+import { getSchedulableEmployees } from "../services/roster.js";
+import { getAssignmentViolations, MAX_WEEKLY_SHIFTS } from "../services/schedulingRules.js";
+import { getShiftLabel } from "../services/shiftTypes.js";
+import { applyCellUpdates } from "../services/shiftMoves.js";
+import { escapeHtml, formatDate, getWeekDates, getWeekId, toDateString, setButtonLoading, restoreButton } from "../utils.js";
+import { renderSchedule } from "./schedule.js";
+
+// The checked proposals being reviewed; nothing is saved until the manager applies them
+let proposals = null;
+let proposalWeekId = null;
+
+export function showAiWeekModal() {
+    if (!isStorageReady()) {
+        updateStatus('יש להתחבר עם חשבון Google כדי לבצע פעולה זו.', 'info', false);
+        return;
+    }
+    resetAiWeekDraft();
+    DOMElements.aiWeekModal.classList.remove('hidden');
+}
+
+export function closeAiWeekModal() {
+    DOMElements.aiWeekModal.classList.add('hidden');
+    resetAiWeekDraft();
+}
+
+export function resetAiWeekDraft() {
+    proposals = null;
+    proposalWeekId = null;
+    DOMElements.aiWeekBody.innerHTML = '';
+    DOMElements.aiWeekSummary.textContent = '';
+    DOMElements.aiWeekApplyBtn.disabled = true;
+    DOMElements.aiWeekApplyBtn.classList.add('opacity-50', 'cursor-not-allowed');
+}
+
+/** Builds the prompt: the week as it stands, the open shifts with who is unavailable for each, and the rules. */
+function buildWeekPrompt(weekId, openCells, employees) {
+    const weekDates = getWeekDates(new Date(weekId));
+    const [year, month, dayOfMonth] = weekId.split('-').map(Number);
+    const previousWeekId = getWeekId(toDateString(new Date(year, month - 1, dayOfMonth - 7)));
+    const lastFridayWorkers = Object.values(allSchedules[previousWeekId]?.['שישי'] || {})
+        .map(shift => shift?.employee)
+        .filter(employee => employee && employee !== 'none')
+        .join(', ') || 'אף אחד';
+
+    const scheduleContext = DAYS.map((dayName, index) => {
+        const dayShiftTypes = getShiftTypesForDate(weekDates[index]);
+        if (dayShiftTypes.length === 0) return null;
+        const shiftsText = dayShiftTypes
+            .map(type => `${type.label} (${type.id}) - ${allSchedules[weekId]?.[dayName]?.[type.id]?.employee || 'פנוי'}`)
+            .join(', ');
+        return `- יום ${dayName}: ${shiftsText}`;
+    }).filter(Boolean).join('\n');
+
+    const openText = openCells.map(({ cell }) => {
+        const unavailable = [...getUnavailableEmployees(cell, employees).keys()];
+        return `- {"day": "${cell.day}", "shiftType": "${cell.shiftType}"}${unavailable.length > 0 ? ` — unavailable: ${unavailable.join(', ')}` : ''}`;
+    }).join('\n');
+
+    return `
+        <SYSTEM INSTRUCTION>
+        You are an expert system for work shift scheduling.
+        Your task is to propose an employee for EVERY open shift of the week below, following the rules.
+        Your output MUST be JSON only, in this exact shape:
+        {"assignments": [{"day": "<day as given>", "shiftType": "<shiftType as given>", "employee": "<employee name or 'אף אחד'>", "reason": "<one short sentence in Hebrew>"}]}
+        Return exactly one assignment per open shift. Use only the employees listed. DO NOT add any other text.
+        </SYSTEM INSTRUCTION>
+
+        **1. DATA:**
+        - **Employees:** ${employees.join(', ')}.
+        - **Who worked last Friday:** ${lastFridayWorkers}.
+        - **Current Week's Schedule:**
+        ${scheduleContext}
+        - **Open shifts to fill:**
+        ${openText}
+
+        **2. RULES (in order of priority):**
+        - **Rule 0 (Availability):** Never propose an employee for a shift they are listed as unavailable for.
+        - **Rule 1 (No Same-Day Duplicates):** An employee cannot work two shifts on the same day.
+        - **Rule 2 (Thursday-Friday):** An employee scheduled for Friday morning cannot work Thursday evening.
+        - **Rule 3 (Friday Rotation):** Whoever worked last Friday (${lastFridayWorkers}) cannot work this Friday.
+        - **Rule 4 (Max Shifts):** An employee cannot work more than ${MAX_WEEKLY_SHIFTS} shifts in a week.
+        - **Rule 5 (Rest):** Leave at least 8 hours between the end of one shift and the start of the next.
+
+        **3. BALANCE:**
+        Spread the shifts evenly, preferring employees with fewer shifts this week. If no one fits a shift, use 'אף אחד'.
+    `;
+}
+
+/** Asks the model for the whole displayed week and shows every proposal with the result of the local check. */
+export async function handleGenerateAiWeek() {
+    const employees = getSchedulableEmployees();
+    if (employees.length === 0) {
+        updateStatus('אין עובדים פעילים ברשימת העובדים.', 'info');
+        return;
+    }
+    const weekId = getWeekId(DOMElements.datePicker.value);
+    const openCells = getOpenWeekCells(allSchedules, weekId);
+    if (openCells.length === 0) {
+        updateStatus('אין משמרות פנויות בשבוע המוצג.', 'info', false);
+        return;
+    }
+
+    const button = DOMElements.aiWeekGenerateBtn;
+    setButtonLoading(button, 'חושב...');
+    resetAiWeekDraft();
+    updateStatus('מבקש הצעה לשבוע מ-Gemini...', 'loading', true);
+    try {
+        const response = await fetch('/.netlify/functions/suggest-shift', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ prompt: buildWeekPrompt(weekId, openCells, employees), mode: 'week' })
+        });
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to get suggestion');
+        }
+        const { assignments } = await response.json();
+
+        proposals = validateWeekProposals(allSchedules, weekId, assignments, employees);
+        proposalWeekId = weekId;
+        renderProposals();
+        updateStatus('ההצעה התקבלה ונבדקה מול כללי הסידור.', 'success', false);
+    } catch (error) {
+        displayAPIError(error, 'שגיאה בקבלת הצעה לשבוע מ-Gemini');
+    } finally {
+        restoreButton(button);
+    }
+}
+
+function renderProposals() {
+    const accepted = proposals.filter(entry => entry.status === PROPOSAL_STATUSES.ACCEPTED).length;
+    const rejected = proposals.filter(entry => entry.status === PROPOSAL_STATUSES.REJECTED).length;
+    DOMElements.aiWeekSummary.textContent = `${accepted} הצעות עומדות בכללים, ${rejected} נדחו, ${proposals.length - accepted - rejected} משמרות ללא הצעה (שבוע ${formatDate(proposalWeekId)}).`;
+
+    const cellClass = 'p-2 border border-slate-300 dark:border-slate-600';
+    DOMElements.aiWeekBody.innerHTML = proposals.map((entry, index) => {
+        const dayText = entry.date ? `${entry.cell.day} ${formatDate(entry.date, { day: '2-digit', month: '2-digit' })}` : escapeHtml(entry.cell.day);
+        let statusCell;
+        if (entry.status === PROPOSAL_STATUSES.ACCEPTED) {
+            statusCell = `<label class="inline-flex items-center gap-1"><input type="checkbox" data-proposal-index="${index}" checked> לשמירה</label>`;
+        } else if (entry.status === PROPOSAL_STATUSES.REJECTED) {
+            statusCell = `<span class="text-red-600 dark:text-red-400">נדחתה: ${escapeHtml(entry.problems.join(', '))}</span>`;
+        } else {
+            statusCell = '<span class="text-slate-400">ללא שיבוץ</span>';
+        }
+        const rowClass = entry.status === PROPOSAL_STATUSES.REJECTED ? ' class="bg-red-50 dark:bg-red-900/20"' : '';
+        return `
+            <tr${rowClass}>
+                <td class="${cellClass} whitespace-nowrap">${dayText}</td>
+                <td class="${cellClass}">${escapeHtml(getShiftLabel(entry.cell.shiftType))}</td>
+                <td class="${cellClass}">${entry.employee ? escapeHtml(entry.employee) : '—'}</td>
+                <td class="${cellClass} text-right text-xs">${escapeHtml(entry.reason)}</td>
+                <td class="${cellClass} text-xs">${statusCell}</td>
+            </tr>`;
+    }).join('');
+
+    DOMElements.aiWeekApplyBtn.disabled = accepted === 0;
+    DOMElements.aiWeekApplyBtn.classList.toggle('opacity-50', accepted === 0);
+    DOMElements.aiWeekApplyBtn.classList.toggle('cursor-not-allowed', accepted === 0);
+}
+
+/** Saves the accepted proposals the manager kept checked. */
+export async function handleApplyAiWeek() {
+    if (!proposals) return;
+    const updates = proposals
+        .filter((entry, index) => entry.status === PROPOSAL_STATUSES.ACCEPTED &&
+            DOMElements.aiWeekBody.querySelector(`input[data-proposal-index="${index}"]`)?.checked)
+        .filter(({ cell }) => {
+            // The schedule may have changed since the proposal was made
+            const current = allSchedules[cell.weekId]?.[cell.day]?.[cell.shiftType]?.employee;
+            return !current || current === 'none';
+        })
+        .map(({ cell, employee, start, end }) => ({ cell, shift: { employee, start, end } }));
+    if (updates.length === 0) {
+        updateStatus('לא נבחרו הצעות לשמירה.', 'info', false);
+        return;
+    }
+    // Check again: other edits may have landed since the proposals were checked
+    const result = JSON.parse(JSON.stringify(allSchedules));
+    applyCellUpdates(result, updates);
+    for (const { cell, shift } of updates) {
+        const [violation] = getAssignmentViolations(result, cell, shift.employee);
+        if (violation) {
+            updateStatus(`${shift.employee}, ${cell.day} משמרת ${getShiftLabel(cell.shiftType)}: ${violation.message}.`, 'error');
+            return;
+        }
+    }
+
+    const button = DOMElements.aiWeekApplyBtn;
+    setButtonLoading(button, 'שומר...');
+    applyCellUpdates(allSchedules, updates);
+    renderSchedule(getWeekId(DOMElements.datePicker.value));
+    const written = await saveScheduleChanges(allSchedules, 'הצעת Gemini לשבוע');
+    restoreButton(button);
+    if (!written) {
+        applyCellUpdates(allSchedules, updates.map(({ cell }) => ({ cell, shift: null })));
+        renderSchedule(getWeekId(DOMElements.datePicker.value));
+        return;
+    }
+    closeAiWeekModal();
+}
@@ -0,0 +1,129 @@
+import { loadAttendance } from "../Api/googleApi.js";
+import { isStorageReady } from "../Api/storage.js";
+import { DOMElements, updateStatus, displayAPIError, allSchedules } from "../main.js";
+import { buildAttendanceReport, attendanceReportToRows, ATTENDANCE_STATUSES } from "../services/attendance.js";
+import { getAllStaffNames } from "../services/roster.js";
+import { escapeHtml, formatDate, formatMonthYear } from "../utils.js";
+
+let records = [];
+
+const cellClass = 'p-2 border border-slate-300 dark:border-slate-600';
+const time = value => (value ? value.substring(0, 5) : '—');
+
+/**
+ * Opens the planned vs actual window.
+ * @param {{employee?: string, monthKey?: string}} [selection] - What to show first; defaults to the displayed week's month.
+ */
+export async function showAttendanceModal({ employee, monthKey } = {}) {
+    if (!isStorageReady()) {
+        updateStatus('יש להתחבר עם חשבון Google כדי לבצע פעולה זו.', 'info', false);
+        return;
+    }
+    try {
+        records = await loadAttendance();
+    } catch (err) {
+        displayAPIError(err, 'שגיאה בטעינת נתוני הנוכחות');
+        return;
+    }
+
+    const select = DOMElements.attendanceEmployeeSelect;
+    select.innerHTML = '';
+    const names = [...new Set([...getAllStaffNames(), ...records.map(record => record.employee)])];
+    names.forEach(name => select.add(new Option(name, name)));
+    if (employee && names.includes(employee)) select.value = employee;
+    DOMElements.attendanceMonthInput.value = monthKey || DOMElements.datePicker.value.substring(0, 7);
+
+    renderAttendance();
+    DOMElements.attendanceModal.classList.remove('hidden');
+}
+
+export function closeAttendanceModal() {
+    DOMElements.attendanceModal.classList.add('hidden');
+}
+
+function getMonthReports(monthKey) {
+    return [...DOMElements.attendanceEmployeeSelect.options]
+        .map(option => buildAttendanceReport(allSchedules, records, option.value, monthKey))
+        .filter(report => report.rows.length > 0);
+}
+
+/** Renders the month's summary for every employee and the selected employee's shifts. */
+export function renderAttendance() {
+    const monthKey = DOMElements.attendanceMonthInput.value;
+    if (!monthKey) return;
+
+    const reports = getMonthReports(monthKey);
+    DOMElements.attendanceSummaryBody.innerHTML = reports.length === 0
+        ? `<tr><td colspan="7" class="${cellClass} text-center">אין משמרות או נוכחות בחודש ${formatMonthYear(monthKey)}.</td></tr>`
+        : reports.map(({ employee, totals }) => `
+            <tr class="cursor-pointer hover:bg-slate-100 dark:hover:bg-slate-700" data-employee="${escapeHtml(employee)}">
+                <td class="${cellClass} font-semibold">${escapeHtml(employee)}</td>
+                <td class="${cellClass}">${totals.planned}</td>
+                <td class="${cellClass}">${totals.attended}</td>
+                <td class="${cellClass}">${totals.late}${totals.lateMinutes > 0 ? ` (${totals.lateMinutes} ד')` : ''}</td>
+                <td class="${cellClass}">${totals.leftEarly}${totals.earlyMinutes > 0 ? ` (${totals.earlyMinutes} ד')` : ''}</td>
+                <td class="${cellClass}">${totals.unplanned}</td>
+                <td class="${cellClass}">${totals.missed}</td>
+            </tr>`).join('');
+
+    const employee = DOMElements.attendanceEmployeeSelect.value;
+    const { rows } = buildAttendanceReport(allSchedules, records, employee, monthKey);
+    DOMElements.attendanceDetailBody.innerHTML = rows.length === 0
+        ? `<tr><td colspan="5" class="${cellClass} text-center">אין משמרות או נוכחות ל${escapeHtml(employee)} בחודש זה.</td></tr>`
+        : rows.map(row => {
+            const notes = [];
+            if (row.lateMinutes > 0) notes.push(`איחור ${row.lateMinutes} ד'`);
+            if (row.earlyMinutes > 0) notes.push(`יציאה מוקדמת ${row.earlyMinutes} ד'`);
+            if (row.status === ATTENDANCE_STATUSES.UNPLANNED) notes.push('משמרת לא מתוכננת');
+            if (row.status === ATTENDANCE_STATUSES.MISSED) notes.push('לא נרשמה נוכחות');
+            const rowClass = {
+                [ATTENDANCE_STATUSES.DEVIATION]: 'bg-yellow-100 dark:bg-yellow-800/30',
+                [ATTENDANCE_STATUSES.UNPLANNED]: 'bg-green-100 dark:bg-green-900/40',
+                [ATTENDANCE_STATUSES.MISSED]: 'bg-red-100 dark:bg-red-900/40'
+            }[row.status] || '';
+            return `
+            <tr class="${rowClass}">
+                <td class="${cellClass} whitespace-nowrap">${row.dayName} ${formatDate(row.date, { day: '2-digit', month: '2-digit' })}</td>
+                <td class="${cellClass}">${escapeHtml(row.shiftLabel)}</td>
+                <td class="${cellClass}">${row.planned ? `${time(row.planned.start)}-${time(row.planned.end)}` : '—'}</td>
+                <td class="${cellClass}">${row.actual ? `${time(row.actual.clockIn)}-${time(row.actual.clockOut)}` : '—'}</td>
+                <td class="${cellClass} text-xs">${notes.join(', ')}</td>
+            </tr>`;
+        }).join('');
+}
+
+/** Shows the shifts of the employee whose summary row was clicked (delegated from the summary table). */
+export function handleAttendanceSummaryClick(event) {
+    const row = event.target.closest('tr[data-employee]');
+    if (!row) return;
+    DOMElements.attendanceEmployeeSelect.value = row.dataset.employee;
+    renderAttendance();
+}
+
+/** Exports the month: a summary sheet and a planned vs actual sheet per employee. */
+export function handleExportAttendance() {
+    const monthKey = DOMElements.attendanceMonthInput.value;
+    const reports = monthKey ? getMonthReports(monthKey) : [];
+    if (reports.length === 0) {
+        updateStatus('אין נתונים לייצוא בחודש שנבחר.', 'info');
+        return;
+    }
+
+    const summaryRows = [
+        ['עובד/ת', 'משמרות מתוכננות', 'משמרות עם נוכחות', 'איחורים', 'דקות איחור', 'יציאות מוקדמות', 'דקות יציאה מוקדמת', 'משמרות לא מתוכננות', 'ללא נוכחות'],
+        ...reports.map(({ employee, totals }) => [
+            employee, totals.planned, totals.attended, totals.late, totals.lateMinutes,
+            totals.leftEarly, totals.earlyMinutes, totals.unplanned, totals.missed
+        ])
+    ];
+
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(summaryRows), 'סיכום');
+    reports.forEach(report => {
+        // Sheet names are limited to 31 characters and some symbols
+        const sheetName = report.employee.replace(/[\\/?*[\]:]/g, '').substring(0, 31) || 'עובד';
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(attendanceReportToRows(report)), sheetName);
+    });
+    XLSX.writeFile(workbook, `נוכחות_${monthKey}.xlsx`);
+    updateStatus('דוח הנוכחות יוצא בהצלחה.', 'success');
+}
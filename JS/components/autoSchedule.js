@@ -0,0 +1,135 @@
+import { saveScheduleChanges } from "../Api/googleApi.js";
+import { isStorageReady } from "../Api/storage.js";
+import { DOMElements, updateStatus, allSchedules } from "../main.js";
+import { planAutoSchedule } from "../services/autoScheduler.js";
+import { getSchedulableEmployees } from "../services/roster.js";
+import { getShiftLabel } from "../services/shiftTypes.js";
+import { applyCellUpdates } from "../services/shiftMoves.js";
+import { getAssignmentViolations } from "../services/schedulingRules.js";
+import { escapeHtml, formatDate, getWeekId, toDateString, setButtonLoading, restoreButton } from "../utils.js";
+import { renderSchedule } from "./schedule.js";
+
+const AUTO_SCHEDULE_SCOPES = { WEEK: 'week', MONTH: 'month' };
+
+// The draft being reviewed; nothing is saved until the manager applies it
+let draft = null;
+
+export function showAutoScheduleModal() {
+    if (!isStorageReady()) {
+        updateStatus('יש להתחבר עם חשבון Google כדי לבצע פעולה זו.', 'info', false);
+        return;
+    }
+    resetAutoScheduleDraft();
+    DOMElements.autoScheduleModal.classList.remove('hidden');
+}
+
+export function closeAutoScheduleModal() {
+    DOMElements.autoScheduleModal.classList.add('hidden');
+    resetAutoScheduleDraft();
+}
+
+export function resetAutoScheduleDraft() {
+    draft = null;
+    DOMElements.autoScheduleBody.innerHTML = '';
+    DOMElements.autoScheduleSummary.textContent = '';
+    DOMElements.autoScheduleApplyBtn.disabled = true;
+    DOMElements.autoScheduleApplyBtn.classList.add('opacity-50', 'cursor-not-allowed');
+}
+
+/** The dates to fill: the displayed week or month, from today on. */
+function getScopeRange() {
+    const selected = DOMElements.datePicker.value;
+    let startDate;
+    let endDate;
+    if (DOMElements.autoScheduleScopeSelect.value === AUTO_SCHEDULE_SCOPES.MONTH) {
+        const [year, month] = selected.split('-').map(Number);
+        startDate = toDateString(new Date(year, month - 1, 1));
+        endDate = toDateString(new Date(year, month, 0));
+    } else {
+        const [year, month, day] = getWeekId(selected).split('-').map(Number);
+        startDate = toDateString(new Date(year, month - 1, day));
+        endDate = toDateString(new Date(year, month - 1, day + 6));
+    }
+    const today = toDateString(new Date());
+    return { startDate: startDate < today ? today : startDate, endDate };
+}
+
+/** Runs the scheduler and shows the draft, one row per empty shift, with a picker to tweak each choice. */
+export function handleGenerateAutoSchedule() {
+    const employees = getSchedulableEmployees();
+    if (employees.length === 0) {
+        updateStatus('אין עובדים פעילים ברשימת העובדים.', 'info');
+        return;
+    }
+    const { startDate, endDate } = getScopeRange();
+    if (endDate < startDate) {
+        updateStatus('התקופה שנבחרה כבר עברה.', 'info', false);
+        return;
+    }
+
+    draft = planAutoSchedule(allSchedules, startDate, endDate, employees);
+    const filled = draft.filter(entry => entry.employee).length;
+    DOMElements.autoScheduleSummary.textContent = draft.length === 0
+        ? `אין משמרות ריקות בין ${formatDate(startDate)} ל-${formatDate(endDate)}.`
+        : `${filled} מתוך ${draft.length} המשמרות הריקות בין ${formatDate(startDate)} ל-${formatDate(endDate)} שובצו בטיוטה.`;
+
+    const cellClass = 'p-2 border border-slate-300 dark:border-slate-600';
+    const selectClass = 'p-1 border border-slate-300 dark:border-slate-600 rounded-md bg-white dark:bg-slate-700 text-slate-700 dark:text-slate-300';
+    DOMElements.autoScheduleBody.innerHTML = draft.map((entry, index) => `
+        <tr>
+            <td class="${cellClass} whitespace-nowrap">${entry.cell.day} ${formatDate(entry.date, { day: '2-digit', month: '2-digit' })}</td>
+            <td class="${cellClass}">${escapeHtml(getShiftLabel(entry.cell.shiftType))}</td>
+            <td class="${cellClass}">
+                <select class="${selectClass}" data-draft-index="${index}">
+                    ${entry.candidates.map(name => `<option value="${escapeHtml(name)}"${name === entry.employee ? ' selected' : ''}>${escapeHtml(name)}</option>`).join('')}
+                    <option value="none"${entry.employee ? '' : ' selected'}>ללא שיבוץ</option>
+                </select>
+            </td>
+            <td class="${cellClass} text-right text-xs">${escapeHtml(entry.explanation)}</td>
+        </tr>`).join('');
+
+    const hasRows = draft.length > 0;
+    DOMElements.autoScheduleApplyBtn.disabled = !hasRows;
+    DOMElements.autoScheduleApplyBtn.classList.toggle('opacity-50', !hasRows);
+    DOMElements.autoScheduleApplyBtn.classList.toggle('cursor-not-allowed', !hasRows);
+}
+
+/** Saves the draft as reviewed, skipping rows left without an employee. */
+export async function handleApplyAutoSchedule() {
+    if (!draft) return;
+    // Only cells that are still empty; the schedule may have changed since the draft was made
+    const updates = draft
+        .map((entry, index) => ({ entry, choice: DOMElements.autoScheduleBody.querySelector(`select[data-draft-index="${index}"]`).value }))
+        .filter(({ entry, choice }) => {
+            const current = allSchedules[entry.cell.weekId]?.[entry.cell.day]?.[entry.cell.shiftType]?.employee;
+            return choice !== 'none' && (!current || current === 'none');
+        })
+        .map(({ entry, choice }) => ({ cell: entry.cell, shift: { employee: choice, start: entry.start, end: entry.end } }));
+    if (updates.length === 0) {
+        updateStatus('אין שיבוצים לשמירה בטיוטה.', 'info', false);
+        return;
+    }
+    // Manual tweaks may break a rule the draft respected; check the whole result
+    const result = JSON.parse(JSON.stringify(allSchedules));
+    applyCellUpdates(result, updates);
+    for (const { cell, shift } of updates) {
+        const [violation] = getAssignmentViolations(result, cell, shift.employee);
+        if (violation) {
+            updateStatus(`${shift.employee}, ${cell.day} משמרת ${getShiftLabel(cell.shiftType)}: ${violation.message}.`, 'error');
+            return;
+        }
+    }
+
+    const button = DOMElements.autoScheduleApplyBtn;
+    setButtonLoading(button, 'שומר...');
+    applyCellUpdates(allSchedules, updates);
+    renderSchedule(getWeekId(DOMElements.datePicker.value));
+    const written = await saveScheduleChanges(allSchedules, 'שיבוץ אוטומטי');
+    restoreButton(button);
+    if (!written) {
+        applyCellUpdates(allSchedules, updates.map(({ cell }) => ({ cell, shift: null })));
+        renderSchedule(getWeekId(DOMElements.datePicker.value));
+        return;
+    }
+    closeAutoScheduleModal();
+}
@@ -0,0 +1,128 @@
+import { getCurrentUser, loadAvailability, updateAvailability } from "../Api/googleApi.js";
+import { getStorageBackend, isStorageReady } from "../Api/storage.js";
+import { DAYS } from "../config.js";
+import { DOMElements, updateStatus, displayAPIError } from "../main.js";
+import { getAvailability, createAvailabilityEntry, describeAvailabilityEntry } from "../services/availability.js";
+import { getSchedulableEmployees, canActAs } from "../services/roster.js";
+import { getShiftTypes } from "../services/shiftTypes.js";
+import { escapeHtml, toDateString, setButtonLoading, restoreButton } from "../utils.js";
+
+const AVAILABILITY_KINDS = { DATES: 'dates', WEEKLY: 'weekly' };
+
+let currentUser = { email: '', employee: null, isManager: false };
+
+/** Opens the availability window. Employees mark their own constraints; the manager marks anyone's. */
+export async function showAvailabilityModal() {
+    if (!isStorageReady()) {
+        updateStatus('יש להתחבר עם חשבון Google כדי לבצע פעולה זו.', 'info', false);
+        return;
+    }
+
+    currentUser = await getCurrentUser();
+    if (!getStorageBackend().isRemote || navigator.onLine) {
+        try {
+            await loadAvailability();
+        } catch (err) {
+            displayAPIError(err, 'שגיאה בטעינת נתוני הזמינות');
+            return;
+        }
+    }
+
+    const employees = getSchedulableEmployees().filter(name => canActAs(currentUser, name));
+    const employeeSelect = DOMElements.availabilityEmployeeSelect;
+    employeeSelect.innerHTML = '';
+    employees.forEach(name => employeeSelect.add(new Option(name, name)));
+    if (employees.includes(currentUser.employee)) employeeSelect.value = currentUser.employee;
+    DOMElements.availabilityForm.classList.toggle('hidden', employees.length === 0);
+
+    if (DOMElements.availabilityDaySelect.options.length === 0) {
+        DAYS.forEach(day => DOMElements.availabilityDaySelect.add(new Option(`יום ${day}`, day)));
+    }
+    const shiftSelect = DOMElements.availabilityShiftSelect;
+    shiftSelect.innerHTML = '';
+    shiftSelect.add(new Option('כל היום', ''));
+    getShiftTypes().forEach(type => shiftSelect.add(new Option(`משמרת ${type.label}`, type.id)));
+    if (!DOMElements.availabilityStartDate.value) DOMElements.availabilityStartDate.value = toDateString(new Date());
+
+    updateAvailabilityForm();
+    renderAvailability();
+    DOMElements.availabilityModal.classList.remove('hidden');
+}
+
+/** Shows the date inputs or the weekday select, by the chosen kind. */
+export function updateAvailabilityForm() {
+    const isWeekly = DOMElements.availabilityKindSelect.value === AVAILABILITY_KINDS.WEEKLY;
+    DOMElements.availabilityStartDate.classList.toggle('hidden', isWeekly);
+    DOMElements.availabilityEndDate.classList.toggle('hidden', isWeekly);
+    DOMElements.availabilityDaySelect.classList.toggle('hidden', !isWeekly);
+}
+
+/** Lists the weekly constraints and the time off that has not ended yet, by employee. */
+function renderAvailability() {
+    const today = toDateString(new Date());
+    const entries = getAvailability()
+        .filter(entry => !entry.startDate || entry.endDate >= today)
+        .sort((a, b) => a.employee.localeCompare(b.employee, 'he') || (a.startDate || '').localeCompare(b.startDate || ''));
+
+    const list = DOMElements.availabilityList;
+    if (entries.length === 0) {
+        list.innerHTML = '<li class="p-4 text-center">לא סומנו אילוצים.</li>';
+        return;
+    }
+    list.innerHTML = entries.map(entry => `
+        <li class="p-2 flex justify-between items-center gap-4">
+            <span><b>${escapeHtml(entry.employee)}</b>: ${escapeHtml(describeAvailabilityEntry(entry))}${entry.reason ? ` <span class="text-sm text-slate-500 dark:text-slate-400">(${escapeHtml(entry.reason)})</span>` : ''}</span>
+            ${canActAs(currentUser, entry.employee) ? `<button class="btn btn-red text-sm px-3 py-1" data-availability-id="${escapeHtml(entry.id)}">הסרה</button>` : ''}
+        </li>`).join('');
+}
+
+async function saveChange(change, button, successMessage) {
+    if (getStorageBackend().isRemote && !navigator.onLine) {
+        updateStatus('עדכון הזמינות דורש חיבור לרשת.', 'info', false);
+        return;
+    }
+    setButtonLoading(button, 'שומר...');
+    try {
+        await updateAvailability(change);
+        renderAvailability();
+        updateStatus(successMessage, 'success');
+    } catch (err) {
+        displayAPIError(err, 'שגיאה בשמירת הזמינות');
+    } finally {
+        restoreButton(button);
+    }
+}
+
+/** Adds the constraint described by the form. */
+export function handleAddAvailability() {
+    const isWeekly = DOMElements.availabilityKindSelect.value === AVAILABILITY_KINDS.WEEKLY;
+    const startDate = isWeekly ? '' : DOMElements.availabilityStartDate.value;
+    const endDate = isWeekly ? '' : (DOMElements.availabilityEndDate.value || startDate);
+    if (!isWeekly && (!startDate || endDate < startDate)) {
+        updateStatus('יש לבחור תאריך התחלה, ותאריך סיום שאינו לפניו.', 'info', false);
+        return;
+    }
+
+    const entry = createAvailabilityEntry({
+        employee: DOMElements.availabilityEmployeeSelect.value,
+        day: isWeekly ? DOMElements.availabilityDaySelect.value : '',
+        startDate,
+        endDate,
+        shiftType: DOMElements.availabilityShiftSelect.value,
+        reason: DOMElements.availabilityReasonInput.value.trim()
+    }, currentUser.email || DOMElements.availabilityEmployeeSelect.value);
+    DOMElements.availabilityReasonInput.value = '';
+    saveChange({ add: entry }, DOMElements.availabilityAddBtn, 'האילוץ נשמר!');
+}
+
+/** Handles the remove buttons in the list (delegated from the list element). */
+export function handleAvailabilityListClick(event) {
+    const button = event.target.closest('button[data-availability-id]');
+    // An empty id would match every row without one
+    if (!button?.dataset.availabilityId) return;
+    saveChange({ removeId: button.dataset.availabilityId }, button, 'האילוץ הוסר.');
+}
+
+export function closeAvailabilityModal() {
+    DOMElements.availabilityModal.classList.add('hidden');
+}
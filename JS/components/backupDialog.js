@@ -0,0 +1,143 @@
+import { createBackup, restoreBackup } from "../Api/googleApi.js";
+import { isStorageReady } from "../Api/storage.js";
+import { DOMElements, updateStatus, displayAPIError, allSchedules } from "../main.js";
+import { validateBackup, summarizeBackup, RESTORE_MODES } from "../services/backup.js";
+import { diffSchedules } from "../services/scheduleDiff.js";
+import { getShiftLabel } from "../services/shiftTypes.js";
+import { escapeHtml, formatDate, setButtonLoading, restoreButton, showCustomConfirmation } from "../utils.js";
+
+const MAX_PREVIEW_ROWS = 300;
+
+// The backup being previewed; restored only on merge or replace
+let pendingBackup = null;
+
+function describeShift(shift) {
+    if (!shift) return '—';
+    return `${escapeHtml(shift.employee)} (${shift.start.substring(0, 5)}-${shift.end.substring(0, 5)})`;
+}
+
+/** Downloads the full dataset as a versioned JSON file. */
+export async function handleExportBackup() {
+    if (!isStorageReady()) {
+        updateStatus('יש להתחבר עם חשבון Google כדי לבצע פעולה זו.', 'info', false);
+        return;
+    }
+
+    const button = DOMElements.backupExportBtn;
+    setButtonLoading(button, 'מכין גיבוי...');
+    try {
+        const backup = await createBackup();
+        const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `shift-schedule-backup-${backup.exportedAt.substring(0, 10)}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+        updateStatus('קובץ הגיבוי נוצר בהצלחה!', 'success');
+    } catch (err) {
+        displayAPIError(err, 'שגיאה ביצירת הגיבוי');
+    } finally {
+        restoreButton(button);
+    }
+}
+
+/**
+ * Reads a backup file chosen by the user, validates it and opens the restore preview.
+ * @param {Event} event - The change event of the file input.
+ */
+export async function handleBackupFileSelected(event) {
+    const file = event.target.files[0];
+    event.target.value = ''; // Allow choosing the same file again
+    if (!file) return;
+    if (!isStorageReady()) {
+        updateStatus('יש להתחבר עם חשבון Google כדי לבצע פעולה זו.', 'info', false);
+        return;
+    }
+
+    let backup;
+    try {
+        backup = JSON.parse(await file.text());
+    } catch {
+        updateStatus('לא ניתן לקרוא את הקובץ: הוא אינו קובץ JSON תקין.', 'error');
+        return;
+    }
+    const errors = validateBackup(backup);
+    if (errors.length > 0) {
+        updateStatus(`קובץ הגיבוי אינו תקין: ${escapeHtml(errors.join(' · '))}`, 'error');
+        return;
+    }
+
+    pendingBackup = backup;
+    renderPreview(backup);
+    DOMElements.backupModal.classList.remove('hidden');
+}
+
+/** Shows what the backup holds and how each shift would change compared to the current schedule. */
+function renderPreview(backup) {
+    const summary = summarizeBackup(backup);
+    const { upserts, deletes } = diffSchedules(allSchedules, backup.schedules);
+    const added = upserts.filter(change => !change.previous).length;
+
+    DOMElements.backupSummary.innerHTML = `
+        <p>גיבוי מ-${new Date(backup.exportedAt).toLocaleString('he-IL', { timeZone: 'Asia/Jerusalem' })}:
+            ${summary.weeks} שבועות, ${summary.shifts} משמרות, ${summary.employees} עובדים, ${summary.calendarEvents} אירועי יומן.</p>
+        <p>לעומת הסידור הנוכחי: ${added} משמרות חדשות, ${upserts.length - added} משמרות שונות, ${deletes.length} משמרות שאינן בגיבוי.</p>
+        <p><b>מיזוג</b> כותב את משמרות הגיבוי ואת רשומות הגיבוי בכל הטבלאות (הגדרות, חגים, בקשות החלפה, זמינות, תבניות, משמרות קבועות, נוכחות) ומוסיף עובדים חסרים.
+            <b>החלפה</b> גם מסירה משמרות ורשומות שאינן בגיבוי ומחליפה את רשימת העובדים. ביומן השינויים וביומן הכניסות, בשני המצבים, רק מתווספות הרשומות החסרות.</p>`;
+
+    const cellClass = 'p-2 border border-slate-300 dark:border-slate-600';
+    const rows = [
+        ...upserts.map(change => ({ change, current: change.previous, backup: change.shift, effect: change.previous ? 'יעודכן' : 'יתווסף' })),
+        ...deletes.map(change => ({ change, current: change.shift, backup: null, effect: 'יוסר בהחלפה בלבד' }))
+    ].sort((a, b) => a.change.weekId.localeCompare(b.change.weekId));
+
+    if (rows.length === 0) {
+        DOMElements.backupDiffBody.innerHTML = `<tr><td colspan="6" class="${cellClass} text-center">הסידור הנוכחי זהה לגיבוי.</td></tr>`;
+        return;
+    }
+    const html = rows.slice(0, MAX_PREVIEW_ROWS).map(({ change, current, backup: backupShift, effect }) => `
+        <tr>
+            <td class="${cellClass}">${formatDate(new Date(change.weekId))}</td>
+            <td class="${cellClass}">${escapeHtml(change.day)}</td>
+            <td class="${cellClass}">${escapeHtml(getShiftLabel(change.shiftType))}</td>
+            <td class="${cellClass}">${describeShift(current)}</td>
+            <td class="${cellClass}">${describeShift(backupShift)}</td>
+            <td class="${cellClass}">${effect}</td>
+        </tr>`);
+    if (rows.length > MAX_PREVIEW_ROWS) {
+        html.push(`<tr><td colspan="6" class="${cellClass} text-center">ועוד ${rows.length - MAX_PREVIEW_ROWS} שינויים.</td></tr>`);
+    }
+    DOMElements.backupDiffBody.innerHTML = html.join('');
+}
+
+export function closeBackupModal() {
+    DOMElements.backupModal.classList.add('hidden');
+    pendingBackup = null;
+}
+
+async function restore(mode, button) {
+    const backup = pendingBackup;
+    if (!backup) return;
+    setButtonLoading(button, 'משחזר...');
+    try {
+        const restored = await restoreBackup(backup, mode);
+        if (restored) {
+            closeBackupModal();
+            updateStatus('הגיבוי שוחזר בהצלחה!', 'success');
+        }
+    } catch (err) {
+        displayAPIError(err, 'שגיאה בשחזור הגיבוי');
+    } finally {
+        restoreButton(button);
+    }
+}
+
+export function handleMergeBackup() {
+    restore(RESTORE_MODES.MERGE, DOMElements.backupMergeBtn);
+}
+
+export function handleReplaceWithBackup() {
+    showCustomConfirmation('ההחלפה תסיר את כל המשמרות והרשומות שאינן בגיבוי ותחליף את רשימת העובדים וההגדרות. להמשיך?',
+        () => restore(RESTORE_MODES.REPLACE, DOMElements.backupReplaceBtn));
+}
@@ -1,30 +1,25 @@
 import { DAYS } from "../config.js";
+import { isStorageReady } from "../Api/storage.js";
 import { updateStatus, DOMElements, allSchedules, displayAPIError, setupMonthlyChartEventListeners } from "../main.js";
-import { getWeekId, formatDate, getWeekDates, formatMonthYear, setButtonLoading, restoreButton } from "../utils.js";
+import { getSchedulableEmployees, getAllStaffNames } from "../services/roster.js";
+import { getShiftLabel, getShiftType } from "../services/shiftTypes.js";
+import { getActiveShiftTypes, getShiftTypesForDate } from "../services/operatingRules.js";
+import { countVacationDays } from "../services/availability.js";
+import { buildFairnessReport, listMonths, FAIRNESS_METRICS, FAIRNESS_METRIC_LABELS } from "../services/fairness.js";
+import { buildMonthlyPayroll, payrollToRows } from "../services/payroll.js";
+import { escapeHtml, getWeekId, formatDate, getWeekDates, formatMonthYear, calculateHours, setButtonLoading, restoreButton } from "../utils.js";
 
 let weeklyChart = null;
 let monthlySummaryChart = null;
+let fairnessChart = null;
 
-/** Helper function to calculate duration in hours between two time strings (HH:MM:SS) */
-function calculateHours(start, end) {
-    if (!start || !end) return 0;
-    try {
-        const startTime = new Date(`1970-01-01T${start}`);
-        const endTime = new Date(`1970-01-01T${end}`);
-        if (isNaN(startTime.getTime()) || isNaN(endTime.getTime())) return 0;
-        let diff = (endTime - startTime) / (1000 * 60 * 60);
-        if (diff < 0) diff += 24; // Handle overnight shifts if ever needed
-        return diff;
-    } catch (e) {
-        console.error("Error calculating hours", e);
-        return 0;
-    }
-}
+// Line colors for the fairness trend, one per employee (repeating for larger teams)
+const FAIRNESS_COLORS = ['#3B82F6', '#8B5CF6', '#10B981', '#F59E0B', '#EF4444', '#0EA5E9', '#EC4899', '#84CC16'];
 
 /** * [FIXED] Displays charts and ensures the monthly summary opens on the first click.
  */
 export async function handleShowChart() {
-    if (gapi.client.getToken() === null) {
+    if (!isStorageReady()) {
         updateStatus('יש להתחבר עם חשבון Google כדי לבצע פעולה זו.', 'info', false);
         return;
     }
@@ -50,18 +45,16 @@ export async function handleShowChart() {
         const weekId = getWeekId(DOMElements.datePicker.value);
         const scheduleDataForWeek = allSchedules[weekId] || {};
         const employeeShiftCounts = {};
-        const daysToCheck = ['ראשון', 'שני', 'שלישי', 'רביעי', 'חמישי', 'שישי'];
+        const activeShiftTypes = getActiveShiftTypes();
 
-        daysToCheck.forEach(day => {
-            const dayData = scheduleDataForWeek[day] || {};
-            ['morning', 'evening'].forEach(shiftType => {
-                if (day === 'שישי' && shiftType === 'evening') return;
-                
+        getWeekDates(new Date(weekId)).forEach((date, dayIndex) => {
+            const dayData = scheduleDataForWeek[DAYS[dayIndex]] || {};
+            getShiftTypesForDate(date).forEach(({ id: shiftType }) => {
                 const shift = dayData[shiftType];
                 if (shift && shift.employee && shift.employee !== 'none') {
                     const emp = shift.employee;
-                    if (!employeeShiftCounts[emp]) employeeShiftCounts[emp] = { morning: 0, evening: 0 };
-                    employeeShiftCounts[emp][shiftType]++;
+                    if (!employeeShiftCounts[emp]) employeeShiftCounts[emp] = {};
+                    employeeShiftCounts[emp][shiftType] = (employeeShiftCounts[emp][shiftType] || 0) + 1;
                 }
             });
         });
@@ -77,9 +70,6 @@ export async function handleShowChart() {
         } else {
             if(weeklyChartCanvas) weeklyChartCanvas.style.display = 'block';
 
-            const morningData = employees.map(emp => employeeShiftCounts[emp].morning);
-            const eveningData = employees.map(emp => employeeShiftCounts[emp].evening);
-            
             const isDarkMode = document.documentElement.classList.contains('dark');
             const gridColor = isDarkMode ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)';
             const textColor = isDarkMode ? '#e5e7eb' : '#374151';
@@ -88,15 +78,11 @@ export async function handleShowChart() {
                 type: 'bar',
                 data: {
                     labels: employees,
-                    datasets: [{
-                        label: 'משמרות בוקר',
-                        data: morningData,
-                        backgroundColor: '#3B82F6'
-                    }, {
-                        label: 'משמרות ערב',
-                        data: eveningData,
-                        backgroundColor: '#8B5CF6'
-                    }]
+                    datasets: activeShiftTypes.map(type => ({
+                        label: `משמרות ${type.label}`,
+                        data: employees.map(emp => employeeShiftCounts[emp][type.id] || 0),
+                        backgroundColor: type.color
+                    }))
                 },
                 options: {
                     responsive: true, maintainAspectRatio: false,
@@ -116,7 +102,7 @@ export async function handleShowChart() {
         }
 
         // --- Monthly Summary Logic (FIXED FOR IMMEDIATE DISPLAY) ---
-        DOMElements.monthlySummaryEmployeeSelect.value = 'מאור'; 
+        DOMElements.monthlySummaryEmployeeSelect.value = getSchedulableEmployees()[0] || '';
         DOMElements.monthlySummaryChartCard.classList.remove('hidden'); // Ensure card is visible
         DOMElements.monthlyAnalysisContainer.classList.add('hidden'); // Hide old analysis
         
@@ -161,8 +147,8 @@ function getMonthlyDataForEmployee(employeeName) {
             const dayData = weekData[dayName] || {};
             const monthYearKey = dateObj.toISOString().substring(0, 7); // YYYY-MM
 
-            // Iterate through morning and evening shifts
-            ['morning', 'evening'].forEach(shiftType => {
+            // Iterate through every shift recorded on that day
+            Object.keys(dayData).forEach(shiftType => {
                 const shift = dayData[shiftType];
 
                 // **CRITICAL LOGIC**: Check if the shift exists AND belongs to the specified employee.
@@ -170,18 +156,19 @@ function getMonthlyDataForEmployee(employeeName) {
                     
                     // Initialize the data structure for the month if it doesn't exist
                     if (!monthlyData[monthYearKey]) {
-                        monthlyData[monthYearKey] = { morning: 0, evening: 0, totalHours: 0, shifts: [] };
+                        monthlyData[monthYearKey] = { counts: {}, totalHours: 0, shifts: [] };
                     }
                     
                     const duration = calculateHours(shift.start, shift.end);
                     
                     // Aggregate the data
-                    monthlyData[monthYearKey][shiftType] += 1;
+                    monthlyData[monthYearKey].counts[shiftType] = (monthlyData[monthYearKey].counts[shiftType] || 0) + 1;
                     monthlyData[monthYearKey].totalHours += duration;
                     monthlyData[monthYearKey].shifts.push({
                         date: dateObj.toISOString().split('T')[0],
                         dayName: dayName,
                         shiftType: shiftType,
+                        shiftLabel: getShiftLabel(shiftType),
                         start: shift.start,
                         end: shift.end,
                         duration: duration
@@ -262,17 +249,23 @@ export async function updateMonthlySummaryChart() {
     const isDarkMode = document.documentElement.classList.contains('dark');
     const textColor = isDarkMode ? '#e5e7eb' : '#374151';
 
-    const totalShifts = dataForMonth.morning + dataForMonth.evening;
-    const titleText = `סיכום ל${selectedEmployee} - ${formatMonthYear(selectedMonth)} (סה"כ: ${totalShifts} משמרות, ${dataForMonth.totalHours.toFixed(2)} שעות)`;
+    const totalShifts = dataForMonth.shifts.length;
+    const shiftTypeIds = Object.keys(dataForMonth.counts);
+    const vacationDays = countVacationDays(selectedEmployee, selectedMonth);
+    const vacationText = vacationDays > 0 ? `, ${vacationDays} ימי חופשה` : '';
+    const { totals } = buildMonthlyPayroll(allSchedules, selectedEmployee, selectedMonth);
+    const overtime = totals.overtime125 + totals.overtime150;
+    const overtimeText = overtime > 0 ? `, מתוכן ${overtime.toFixed(2)} נוספות` : '';
+    const titleText = `סיכום ל${selectedEmployee} - ${formatMonthYear(selectedMonth)} (סה"כ: ${totalShifts} משמרות, ${totals.net.toFixed(2)} שעות נטו${overtimeText}${vacationText})`;
 
     const chartConfig = {
         type: 'doughnut',
         data: {
-            labels: ['משמרות בוקר', 'משמרות ערב'],
+            labels: shiftTypeIds.map(id => `משמרות ${getShiftLabel(id)}`),
             datasets: [{
                 label: 'כמות משמרות',
-                data: [dataForMonth.morning, dataForMonth.evening],
-                backgroundColor: ['#3B82F6', '#8B5CF6'],
+                data: shiftTypeIds.map(id => dataForMonth.counts[id]),
+                backgroundColor: shiftTypeIds.map(id => getShiftType(id)?.color || '#94A3B8'),
                 borderColor: [isDarkMode ? '#374151' : '#fff'],
                 borderWidth: 2
             }]
@@ -319,13 +312,25 @@ export function handleExportMonthlySummary() {
         return;
     }
 
-    let csvContent = "data:text/csv;charset=utf-8,\uFEFF"; 
-    csvContent += "Date,Day,Shift Type,Start Time,End Time,Duration (Hours)\n";
+    const payroll = buildMonthlyPayroll(allSchedules, selectedEmployee, selectedMonth);
+    const hoursColumns = day => [day.gross, day.breakHours, day.net, day.regular, day.overtime125, day.overtime150, day.premiumHours].map(value => value.toFixed(2));
 
-    dataToExport.shifts.forEach(shift => {
-        const row = [shift.date, shift.dayName, shift.shiftType, shift.start, shift.end, shift.duration.toFixed(2)];
+    let csvContent = "data:text/csv;charset=utf-8,\uFEFF"; 
+    csvContent += "Date,Day,Shift Type,Start Time,End Time,Gross Hours,Unpaid Break,Net Hours,Regular Hours,Overtime 125%,Overtime 150%,Friday/Eve Premium Hours\n";
+
+    payroll.days.forEach(day => {
+        const row = [
+            day.date, day.dayName,
+            day.shifts.map(shift => shift.shiftLabel).join(' + '),
+            day.shifts.map(shift => shift.start).join(' + '),
+            day.shifts.map(shift => shift.end).join(' + '),
+            ...hoursColumns(day)
+        ];
         csvContent += row.join(",") + "\n";
     });
+    csvContent += ["Total", "", "", "", "", ...hoursColumns(payroll.totals)].join(",") + "\n";
+    csvContent += `Payable Hours,${payroll.payableHours.toFixed(2)}\n`;
+    csvContent += `Vacation Days,${countVacationDays(selectedEmployee, selectedMonth)}\n`;
 
     const encodedUri = encodeURI(csvContent);
     const link = document.createElement("a");
@@ -337,6 +342,42 @@ export function handleExportMonthlySummary() {
     updateStatus('הנתונים יוצאו בהצלחה.', 'success');
 }
 
+/** Exports the selected month's payroll to an XLSX file: a summary sheet, then one sheet per employee who worked. */
+export function handleExportPayroll() {
+    const selectedMonth = DOMElements.monthlySummaryMonthSelect.value;
+    if (!selectedMonth) {
+        updateStatus('יש לבחור חודש לייצוא.', 'info');
+        return;
+    }
+
+    const payrolls = getAllStaffNames()
+        .map(name => buildMonthlyPayroll(allSchedules, name, selectedMonth))
+        .filter(payroll => payroll.days.length > 0);
+    if (payrolls.length === 0) {
+        updateStatus(`לא נמצאו משמרות בחודש ${formatMonthYear(selectedMonth)}.`, 'info');
+        return;
+    }
+
+    const round = value => Math.round(value * 100) / 100;
+    const summaryRows = [
+        ['עובד/ת', 'ימי עבודה', 'נטו', 'רגילות', '125%', '150%', 'תוספת ערב שבת/חג', 'ימי חופשה', 'שעות לתשלום'],
+        ...payrolls.map(({ employee, days, totals, payableHours }) => [
+            employee, days.length, round(totals.net), round(totals.regular), round(totals.overtime125),
+            round(totals.overtime150), round(totals.premiumHours), countVacationDays(employee, selectedMonth), round(payableHours)
+        ])
+    ];
+
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(summaryRows), 'סיכום');
+    payrolls.forEach(payroll => {
+        // Sheet names are limited to 31 characters and some symbols
+        const sheetName = payroll.employee.replace(/[\\/?*[\]:]/g, '').substring(0, 31) || 'עובד';
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(payrollToRows(payroll)), sheetName);
+    });
+    XLSX.writeFile(workbook, `שכר_${selectedMonth}.xlsx`);
+    updateStatus('קובץ השכר יוצא בהצלחה.', 'success');
+}
+
 /** Analyzes the selected month's data using an AI model. */
 export async function handleAnalyzeMonth() {
     const selectedEmployee = DOMElements.monthlySummaryEmployeeSelect.value;
@@ -392,6 +433,113 @@ export async function handleAnalyzeMonth() {
 }
 
 
+/** Shows or hides the fairness dashboard, defaulting to the six months up to the displayed one. */
+export function handleShowFairness() {
+    if (!isStorageReady()) {
+        updateStatus('יש להתחבר עם חשבון Google כדי לבצע פעולה זו.', 'info', false);
+        return;
+    }
+    if (!DOMElements.fairnessCard.classList.contains('hidden')) {
+        DOMElements.fairnessCard.classList.add('hidden');
+        if (fairnessChart) fairnessChart.destroy();
+        fairnessChart = null;
+        return;
+    }
+
+    if (!DOMElements.fairnessToMonth.value) {
+        const [year, month] = DOMElements.datePicker.value.split('-').map(Number);
+        const from = new Date(year, month - 6, 1);
+        DOMElements.fairnessToMonth.value = `${year}-${String(month).padStart(2, '0')}`;
+        DOMElements.fairnessFromMonth.value = `${from.getFullYear()}-${String(from.getMonth() + 1).padStart(2, '0')}`;
+    }
+    if (DOMElements.fairnessMetricSelect.options.length === 0) {
+        DOMElements.fairnessMetricSelect.innerHTML = Object.values(FAIRNESS_METRICS)
+            .map(metric => `<option value="${metric}">${FAIRNESS_METRIC_LABELS[metric]}</option>`).join('');
+    }
+    DOMElements.fairnessCard.classList.remove('hidden');
+    updateFairnessDashboard();
+    setTimeout(() => {
+        DOMElements.fairnessCard.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }, 100);
+}
+
+/** Recomputes the fairness table, the "owed a Friday off" line and the trend chart for the chosen range. */
+export function updateFairnessDashboard() {
+    const fromMonth = DOMElements.fairnessFromMonth.value;
+    const toMonth = DOMElements.fairnessToMonth.value;
+    if (!fromMonth || !toMonth || toMonth < fromMonth) {
+        updateStatus('יש לבחור חודש התחלה וחודש סיום שאינו לפניו.', 'info');
+        return;
+    }
+
+    const months = listMonths(fromMonth, toMonth);
+    const employees = getSchedulableEmployees();
+    const report = buildFairnessReport(
+        Object.fromEntries(employees.map(name => [name, getMonthlyDataForEmployee(name)])), months);
+
+    const cellClass = 'p-2 border border-slate-300 dark:border-slate-600';
+    const formatValue = (metric, value) => (metric === FAIRNESS_METRICS.HOURS ? value.toFixed(1) : String(value));
+    const formatDeviation = deviation => {
+        const rounded = Math.round(deviation * 10) / 10;
+        if (rounded === 0) return '<span class="text-slate-400">(0)</span>';
+        const color = rounded > 0 ? 'text-red-600 dark:text-red-400' : 'text-green-600 dark:text-green-500';
+        return `<span class="${color}">(${rounded > 0 ? '+' : ''}${rounded})</span>`;
+    };
+    const columns = [FAIRNESS_METRICS.SHIFTS, FAIRNESS_METRICS.FRIDAYS, FAIRNESS_METRICS.EVENINGS, FAIRNESS_METRICS.HOURS, FAIRNESS_METRICS.WEEKEND_ADJACENT];
+    DOMElements.fairnessTableBody.innerHTML = report.rows.length === 0
+        ? `<tr><td colspan="${columns.length + 1}" class="${cellClass}">אין עובדים פעילים ברשימת העובדים.</td></tr>`
+        : report.rows.map(row => `
+            <tr>
+                <td class="${cellClass} font-medium">${escapeHtml(row.employee)}</td>
+                ${columns.map(metric => `<td class="${cellClass}">${formatValue(metric, row.totals[metric])} ${formatDeviation(row.deviations[metric])}</td>`).join('')}
+            </tr>`).join('');
+
+    DOMElements.fairnessOwed.textContent = report.owedFridayOff.length === 0
+        ? 'ימי שישי מחולקים באופן שווה בתקופה זו.'
+        : `זכאים ליום שישי הבא חופשי: ${report.owedFridayOff.map(({ employee, surplus, lastFriday }) =>
+            `${employee} (+${Math.round(surplus * 10) / 10}${lastFriday ? `, אחרון ב-${formatDate(lastFriday)}` : ''})`).join(', ')}`;
+
+    const metric = DOMElements.fairnessMetricSelect.value || FAIRNESS_METRICS.SHIFTS;
+    const isDarkMode = document.documentElement.classList.contains('dark');
+    const gridColor = isDarkMode ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)';
+    const textColor = isDarkMode ? '#e5e7eb' : '#374151';
+    const datasets = report.rows.map((row, index) => ({
+        label: row.employee,
+        data: months.map(monthKey => row.byMonth[monthKey][metric]),
+        borderColor: FAIRNESS_COLORS[index % FAIRNESS_COLORS.length],
+        backgroundColor: FAIRNESS_COLORS[index % FAIRNESS_COLORS.length],
+        tension: 0.2
+    }));
+    if (report.rows.length > 0) {
+        datasets.push({
+            label: 'חלק שווה',
+            data: months.map(monthKey => report.rows.reduce((sum, row) => sum + row.byMonth[monthKey][metric], 0) / report.rows.length),
+            borderColor: '#94A3B8',
+            borderDash: [6, 4],
+            pointRadius: 0
+        });
+    }
+
+    const chartConfig = {
+        type: 'line',
+        data: { labels: months.map(formatMonthYear), datasets },
+        options: {
+            responsive: true, maintainAspectRatio: false,
+            scales: {
+                y: { beginAtZero: true, title: { display: true, text: FAIRNESS_METRIC_LABELS[metric], color: textColor }, ticks: { color: textColor }, grid: { color: gridColor } },
+                x: { ticks: { color: textColor }, grid: { color: gridColor } }
+            },
+            plugins: {
+                legend: { display: true, position: 'top', labels: { color: textColor } },
+                title: { display: true, text: `מגמה חודשית: ${FAIRNESS_METRIC_LABELS[metric]}`, color: textColor, font: { size: 16 } }
+            }
+        }
+    };
+    const ctx = document.getElementById('fairness-chart').getContext('2d');
+    if (fairnessChart) fairnessChart.destroy();
+    fairnessChart = new Chart(ctx, chartConfig);
+}
+
 export function destroyAllCharts() {
     if (weeklyChart) {
         weeklyChart.destroy();
@@ -401,4 +549,8 @@ export function destroyAllCharts() {
         monthlySummaryChart.destroy();
         monthlySummaryChart = null;
     }
+    if (fairnessChart) {
+        fairnessChart.destroy();
+        fairnessChart = null;
+    }
 }
\ No newline at end of file
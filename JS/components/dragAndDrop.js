@@ -0,0 +1,109 @@
+import { saveScheduleChanges } from "../Api/googleApi.js";
+import { isStorageReady } from "../Api/storage.js";
+import { DOMElements, updateStatus, displayAPIError, allSchedules, processingQueue } from "../main.js";
+import { getSchedulableEmployees } from "../services/roster.js";
+import { planCellDrop, planEmployeeDrop, applyCellUpdates } from "../services/shiftMoves.js";
+import { findUnavailability } from "../services/availability.js";
+import { getWeekId } from "../utils.js";
+import { renderSchedule } from "./schedule.js";
+
+const DROP_HIGHLIGHT_CLASSES = ['ring-2', 'ring-inset', 'ring-blue-400'];
+
+const cellOf = element => ({ weekId: element.dataset.weekId, day: element.dataset.day, shiftType: element.dataset.shift });
+
+/**
+ * Makes the shift cells under a container draggable (when assigned) and drop targets.
+ * Dropping a cell moves or swaps the assignment; dropping a roster name assigns it.
+ * @param {HTMLElement} container - The rendered schedule body.
+ */
+export function enableShiftDragAndDrop(container) {
+    container.querySelectorAll('.shift-cell').forEach(cell => {
+        cell.addEventListener('dragstart', event => {
+            event.dataTransfer.setData('text/plain', JSON.stringify({ source: cellOf(cell) }));
+            event.dataTransfer.effectAllowed = 'move';
+        });
+        cell.addEventListener('dragover', event => {
+            event.preventDefault();
+            cell.classList.add(...DROP_HIGHLIGHT_CLASSES);
+        });
+        cell.addEventListener('dragleave', () => cell.classList.remove(...DROP_HIGHLIGHT_CLASSES));
+        cell.addEventListener('drop', event => {
+            event.preventDefault();
+            cell.classList.remove(...DROP_HIGHLIGHT_CLASSES);
+            let payload;
+            try {
+                payload = JSON.parse(event.dataTransfer.getData('text/plain'));
+            } catch {
+                return; // Not something dragged from the schedule or the roster
+            }
+            handleDrop(payload, cellOf(cell));
+        });
+    });
+}
+
+async function handleDrop(payload, target) {
+    if (!isStorageReady()) {
+        updateStatus('יש להתחבר עם חשבון Google כדי לערוך.', 'info', false);
+        return;
+    }
+
+    let plan;
+    let action;
+    if (payload.source) {
+        plan = planCellDrop(allSchedules, payload.source, target);
+        action = plan.swapped ? 'החלפת משמרות בגרירה' : 'העברת משמרת בגרירה';
+    } else if (payload.employee) {
+        plan = planEmployeeDrop(allSchedules, payload.employee, target);
+        action = 'שיבוץ בגרירה';
+    } else {
+        return;
+    }
+
+    if (plan.conflict) {
+        updateStatus(`${plan.conflict.employee} כבר משובץ/ת למשמרת אחרת ביום ${plan.conflict.day}.`, 'error');
+        return;
+    }
+    const unavailable = plan.updates.find(({ cell, shift }) => shift && findUnavailability(shift.employee, cell));
+    if (unavailable) {
+        updateStatus(`${unavailable.shift.employee} סימן/ה שאינו/ה זמין/ה ביום ${unavailable.cell.day} למשמרת זו.`, 'error');
+        return;
+    }
+    if (plan.updates.length === 0) return;
+
+    // The cells as they were, to put back if the move is not saved
+    let previous = [];
+    const revert = () => {
+        applyCellUpdates(allSchedules, previous);
+        renderSchedule(getWeekId(DOMElements.datePicker.value));
+    };
+    try {
+        await processingQueue.add(async () => {
+            previous = plan.updates.map(({ cell }) => ({ cell, shift: allSchedules[cell.weekId]?.[cell.day]?.[cell.shiftType] || null }));
+            applyCellUpdates(allSchedules, plan.updates);
+            renderSchedule(getWeekId(DOMElements.datePicker.value));
+            const written = await saveScheduleChanges(allSchedules, action);
+            if (!written) revert();
+        }, 1);
+    } catch (error) {
+        revert();
+        displayAPIError(error, 'שגיאה בשמירת השינוי בגרירה');
+    }
+}
+
+/** Lists the schedulable employees in the sidebar as names that can be dragged onto shifts. */
+export function renderRosterSidebar() {
+    const list = DOMElements.rosterSidebarList;
+    if (!list) return;
+    list.innerHTML = '';
+    getSchedulableEmployees().forEach(name => {
+        const chip = document.createElement('li');
+        chip.textContent = name;
+        chip.draggable = true;
+        chip.className = 'p-2 rounded-md bg-slate-100 dark:bg-slate-700 text-slate-700 dark:text-slate-200 text-sm text-center cursor-grab';
+        chip.addEventListener('dragstart', event => {
+            event.dataTransfer.setData('text/plain', JSON.stringify({ employee: name }));
+            event.dataTransfer.effectAllowed = 'copy';
+        });
+        list.appendChild(chip);
+    });
+}
@@ -0,0 +1,83 @@
+import { loadChangeLog } from "../Api/googleApi.js";
+import { isStorageReady } from "../Api/storage.js";
+import { DOMElements, updateStatus, displayAPIError } from "../main.js";
+import { getShiftLabel } from "../services/shiftTypes.js";
+import { escapeHtml, getWeekId, formatDate } from "../utils.js";
+
+function describeShift(shift) {
+    if (!shift) return '—';
+    const hours = shift.start && shift.end ? ` (${shift.start.substring(0, 5)}-${shift.end.substring(0, 5)})` : '';
+    return `${escapeHtml(shift.employee)}${hours}`;
+}
+
+/**
+ * Opens the history panel and fills it with the change log entries that match a filter.
+ * @param {string} title - The panel title.
+ * @param {function(Object): boolean} filter - Selects the entries to show.
+ * @param {boolean} showCellColumns - Whether to show the day and shift columns.
+ */
+async function showHistory(title, filter, showCellColumns) {
+    if (!isStorageReady()) {
+        updateStatus('יש להתחבר עם חשבון Google כדי לבצע פעולה זו.', 'info', false);
+        return;
+    }
+
+    DOMElements.historyModalTitle.textContent = title;
+    DOMElements.historyList.innerHTML = '<p class="p-4 text-center">טוען היסטוריה...</p>';
+    DOMElements.historyModal.classList.remove('hidden');
+
+    try {
+        const entries = (await loadChangeLog()).filter(filter);
+        if (entries.length === 0) {
+            DOMElements.historyList.innerHTML = '<p class="p-4 text-center">לא נמצאו שינויים.</p>';
+            return;
+        }
+
+        const cellClass = 'p-2 border border-slate-300 dark:border-slate-600';
+        const headers = ['מתי', 'מי', 'פעולה', ...(showCellColumns ? ['יום', 'משמרת'] : []), 'לפני', 'אחרי'];
+        const rows = entries.map(entry => {
+            const cells = [
+                escapeHtml(entry.timestamp),
+                escapeHtml(entry.userEmail || '—'),
+                escapeHtml(entry.action),
+                ...(showCellColumns ? [escapeHtml(entry.day), escapeHtml(getShiftLabel(entry.shiftType))] : []),
+                describeShift(entry.oldShift),
+                describeShift(entry.newShift)
+            ];
+            return `<tr>${cells.map(cell => `<td class="${cellClass}">${cell}</td>`).join('')}</tr>`;
+        });
+
+        DOMElements.historyList.innerHTML = `
+            <table class="w-full border-collapse text-sm text-slate-700 dark:text-slate-200">
+                <thead>
+                    <tr class="bg-slate-100 dark:bg-slate-700 text-slate-800 dark:text-slate-200">
+                        ${headers.map(header => `<th class="${cellClass}">${header}</th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>${rows.join('')}</tbody>
+            </table>`;
+    } catch (err) {
+        DOMElements.historyList.innerHTML = '';
+        displayAPIError(err, 'שגיאה בטעינת היסטוריית השינויים');
+    }
+}
+
+/** Shows every logged change in the displayed week. */
+export function showWeekHistory() {
+    const weekId = getWeekId(DOMElements.datePicker.value);
+    showHistory(`היסטוריית שינויים לשבוע של ${formatDate(new Date(weekId))}`, entry => entry.weekId === weekId, true);
+}
+
+/** Shows the logged changes of the shift currently open in the shift modal. */
+export function showCellHistory() {
+    const { weekId, day, shift } = DOMElements.shiftModal.dataset;
+    showHistory(
+        `היסטוריית משמרת ${getShiftLabel(shift)}, יום ${day}`,
+        entry => entry.weekId === weekId && entry.day === day && entry.shiftType === shift,
+        false
+    );
+}
+
+export function closeHistoryModal() {
+    DOMElements.historyModal.classList.add('hidden');
+}
@@ -0,0 +1,78 @@
+import { DOMElements } from "../main.js";
+import { scheduleRowKey } from "../services/scheduleDiff.js";
+import { getShiftLabel } from "../services/shiftTypes.js";
+import { escapeHtml, formatDate, getDateOfDay } from "../utils.js";
+
+const CHOICES = { MINE: 'mine', THEIRS: 'theirs' };
+
+function describeShift(shift) {
+    if (!shift) return 'לא משובץ';
+    return `${escapeHtml(shift.employee)} (${shift.start.substring(0, 5)}-${shift.end.substring(0, 5)})`;
+}
+
+/**
+ * Shows the merge dialog for cells that were changed both here and, in the meantime, by
+ * someone else. Each cell can keep "mine" or "theirs"; the header buttons pick one side for all.
+ * @param {Array<Object>} conflicts - Conflicts as returned by mergeSchedules.
+ * @returns {Promise<Map<string, string>|null>} The choice per row key, or null if the user cancelled.
+ */
+export function showMergeDialog(conflicts) {
+    return new Promise(resolve => {
+        const tbody = DOMElements.mergeTableBody;
+        tbody.innerHTML = '';
+        const cellClass = 'p-2 border border-slate-300 dark:border-slate-600';
+
+        conflicts.forEach((conflict, index) => {
+            const key = scheduleRowKey(conflict.weekId, conflict.day, conflict.shiftType);
+            const date = formatDate(getDateOfDay(conflict.weekId, conflict.day), { day: '2-digit', month: '2-digit' });
+            const row = tbody.insertRow();
+            row.innerHTML = `
+                <td class="${cellClass}">${escapeHtml(conflict.day)} ${date}</td>
+                <td class="${cellClass}">${escapeHtml(getShiftLabel(conflict.shiftType))}</td>
+                <td class="${cellClass}">
+                    <label class="flex items-center gap-2 cursor-pointer">
+                        <input type="radio" name="merge-choice-${index}" value="${CHOICES.MINE}" data-key="${escapeHtml(key)}" checked>
+                        <span>${describeShift(conflict.mine)}</span>
+                    </label>
+                </td>
+                <td class="${cellClass}">
+                    <label class="flex items-center gap-2 cursor-pointer">
+                        <input type="radio" name="merge-choice-${index}" value="${CHOICES.THEIRS}" data-key="${escapeHtml(key)}">
+                        <span>${describeShift(conflict.theirs)}</span>
+                    </label>
+                </td>`;
+        });
+
+        const selectAll = choice => {
+            tbody.querySelectorAll(`input[type="radio"][value="${choice}"]`).forEach(input => { input.checked = true; });
+        };
+        const onAllMine = () => selectAll(CHOICES.MINE);
+        const onAllTheirs = () => selectAll(CHOICES.THEIRS);
+
+        const finish = result => {
+            DOMElements.mergeModal.classList.add('hidden');
+            DOMElements.mergeAllMineBtn.removeEventListener('click', onAllMine);
+            DOMElements.mergeAllTheirsBtn.removeEventListener('click', onAllTheirs);
+            DOMElements.mergeApplyBtn.removeEventListener('click', onApply);
+            DOMElements.mergeCancelBtn.removeEventListener('click', onCancel);
+            document.removeEventListener('keydown', onKeydown);
+            resolve(result);
+        };
+        const onApply = () => {
+            const choices = new Map();
+            tbody.querySelectorAll('input[type="radio"]:checked').forEach(input => choices.set(input.dataset.key, input.value));
+            finish(choices);
+        };
+        const onCancel = () => finish(null);
+        // The global Escape handler hides every open modal; treat that as cancelling
+        const onKeydown = event => { if (event.key === 'Escape') finish(null); };
+
+        DOMElements.mergeAllMineBtn.addEventListener('click', onAllMine);
+        DOMElements.mergeAllTheirsBtn.addEventListener('click', onAllTheirs);
+        DOMElements.mergeApplyBtn.addEventListener('click', onApply);
+        DOMElements.mergeCancelBtn.addEventListener('click', onCancel);
+        document.addEventListener('keydown', onKeydown);
+
+        DOMElements.mergeModal.classList.remove('hidden');
+    });
+}
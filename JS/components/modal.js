@@ -1,7 +1,12 @@
-import { DEFAULT_SHIFT_TIMES, EMPLOYEES, VACATION_EMPLOYEE_REPLACEMENT, DAYS, EMPLOYEE_EMAILS } from "../config.js";
-import { saveFullSchedule } from "../Api/googleApi.js";
+import { DAYS } from "../config.js";
+import { saveScheduleChanges } from "../Api/googleApi.js";
+import { isStorageReady } from "../Api/storage.js";
 import { updateStatus, DOMElements, allSchedules } from "../main.js";
-import { getWeekId, formatDate } from "../utils.js";
+import { getSchedulableEmployees, getActiveEmployees, getAllEmployeeNames, getReplacementEmployee, getEmployeeEmail } from "../services/roster.js";
+import { getShiftLabel } from "../services/shiftTypes.js";
+import { getDefaultShiftTimes } from "../services/operatingRules.js";
+import { getUnavailableEmployees, describeAvailabilityEntry } from "../services/availability.js";
+import { escapeHtml, formatDate, getDateOfDay } from "../utils.js";
 import { renderSchedule, handleSendEmail } from "./schedule.js";
 
 
@@ -11,31 +16,41 @@ import { renderSchedule, handleSendEmail } from "./schedule.js";
  */
 
 export function handleShiftCellClick(e) {
-    if (gapi.client.getToken() === null) {
+    if (!isStorageReady()) {
         updateStatus('יש להתחבר עם חשבון Google כדי לערוך.', 'info', false);
         return;
     }
     const target = e.currentTarget;
+    const weekId = target.dataset.weekId;
     const day = target.dataset.day;
     const shift = target.dataset.shift;
-    const otherShiftEmployee = target.dataset.otherShiftEmployee;
+    // Employees already assigned to other shifts on the same day ('|'-separated)
+    const otherShiftEmployees = (target.dataset.otherShiftEmployee || '').split('|').filter(Boolean);
 
-    const currentWeekId = getWeekId(DOMElements.datePicker.value);
-    const currentEmployee = allSchedules[currentWeekId]?.[day]?.[shift]?.employee || 'none';
-    const currentStartTime = allSchedules[currentWeekId]?.[day]?.[shift]?.start || DEFAULT_SHIFT_TIMES[shift].start;
-    const currentEndTime = allSchedules[currentWeekId]?.[day]?.[shift]?.end || DEFAULT_SHIFT_TIMES[shift].end;
+    const defaultTimes = getDefaultShiftTimes(shift, getDateOfDay(weekId, day));
+    const currentEmployee = allSchedules[weekId]?.[day]?.[shift]?.employee || 'none';
+    const currentStartTime = allSchedules[weekId]?.[day]?.[shift]?.start || defaultTimes.start;
+    const currentEndTime = allSchedules[weekId]?.[day]?.[shift]?.end || defaultTimes.end;
 
-    DOMElements.modalTitle.textContent = `שיבוץ למשמרת ${shift === 'morning' ? 'בוקר' : 'ערב'}, יום ${day}`;
+    const date = formatDate(getDateOfDay(weekId, day), { day: '2-digit', month: '2-digit' });
+    DOMElements.modalTitle.textContent = `שיבוץ למשמרת ${getShiftLabel(shift)}, יום ${day} ${date}`;
     DOMElements.modalOptions.innerHTML = '';
 
     DOMElements.shiftStartTimeInput.value = currentStartTime.substring(0, 5);
     DOMElements.shiftEndTimeInput.value = currentEndTime.substring(0, 5);
 
+    DOMElements.shiftModal.dataset.weekId = weekId;
     DOMElements.shiftModal.dataset.day = day;
     DOMElements.shiftModal.dataset.shift = shift;
 
-    const availableEmployees = EMPLOYEES.filter(emp => emp !== VACATION_EMPLOYEE_REPLACEMENT);
+    const availableEmployees = getSchedulableEmployees();
+    // Keep a deactivated (or replacement) employee selectable for shifts they already hold
+    if (currentEmployee !== 'none' && !availableEmployees.includes(currentEmployee)) {
+        availableEmployees.push(currentEmployee);
+    }
     const options = availableEmployees.concat(['none']);
+    // Employees who marked this day or shift as unavailable
+    const unavailableEmployees = getUnavailableEmployees({ weekId, day, shiftType: shift }, availableEmployees);
 
     options.forEach(emp => {
         const button = document.createElement('button');
@@ -43,11 +58,19 @@ export function handleShiftCellClick(e) {
         button.textContent = emp === 'none' ? 'ללא שיבוץ' : emp;
         button.className = 'w-full p-3 text-center rounded-lg font-semibold';
 
+        const unavailability = unavailableEmployees.get(emp);
+        if (unavailability) {
+            button.textContent = `${emp} (לא זמין/ה)`;
+            button.title = [describeAvailabilityEntry(unavailability), unavailability.reason].filter(Boolean).join(' · ');
+        }
+
         if (emp === currentEmployee) {
             button.classList.add('bg-blue-200', 'text-blue-800');
+            // Already assigned despite being unavailable: keep it selectable, but flag it
+            if (unavailability) button.classList.add('ring-2', 'ring-amber-400');
         }
 
-        if (emp === otherShiftEmployee && otherShiftEmployee !== 'none' && emp !== currentEmployee) {
+        if ((otherShiftEmployees.includes(emp) || unavailability) && emp !== currentEmployee) {
             button.disabled = true;
             button.classList.add('bg-slate-100', 'text-slate-400', 'cursor-not-allowed');
         } else {
@@ -77,19 +100,24 @@ export function handleShiftCellClick(e) {
         DOMElements.shiftModal.dataset.selectedEmployee = currentEmployee;
     }
 
+    if (unavailableEmployees.has(currentEmployee)) {
+        updateStatus(`שימו לב: ${currentEmployee} סימן/ה שאינו/ה זמין/ה למשמרת זו.`, 'info', false);
+    }
     DOMElements.shiftModal.classList.remove('hidden');
 }
 
 
 export async function handleModalSave() {
     const employee = DOMElements.shiftModal.dataset.selectedEmployee || 'none';
-    const weekId = getWeekId(DOMElements.datePicker.value);
-    const day = DOMElements.shiftModal.dataset.day;
-    const shift = DOMElements.shiftModal.dataset.shift;
+    const { weekId, day, shift } = DOMElements.shiftModal.dataset;
     const startTime = DOMElements.shiftStartTimeInput.value;
     const endTime = DOMElements.shiftEndTimeInput.value;
 
-    if (endTime < startTime) {
+    // Overnight shift types (e.g. night) legitimately end before they start
+    const defaultTimes = getDefaultShiftTimes(shift, getDateOfDay(weekId, day));
+    const isOvernightShift = defaultTimes.end < defaultTimes.start;
+
+    if (endTime < startTime && !isOvernightShift) {
         updateStatus('שגיאה: שעת הסיום אינה יכולה להיות לפני שעת ההתחלה.', 'error');
         return;
     }
@@ -104,15 +132,15 @@ export async function handleModalSave() {
 
     closeModal();
     renderSchedule(weekId);
-    await saveFullSchedule(allSchedules);
+    await saveScheduleChanges(allSchedules, 'שיבוץ משמרת');
 }
 
 export function closeModal() {
     DOMElements.shiftModal.classList.add('hidden');
 }
 
-export function showEmployeeSelectionModal(actionCallback, modalTitleText, preSelectedEmployees = [], singleSelection = false, allowedEmployees = EMPLOYEES) {
-    if (gapi.client.getToken() === null) {
+export function showEmployeeSelectionModal(actionCallback, modalTitleText, preSelectedEmployees = [], singleSelection = false, allowedEmployees = getAllEmployeeNames()) {
+    if (!isStorageReady()) {
         updateStatus('יש להתחבר עם חשבון Google כדי לבצע פעולה זו.', 'info', false);
         return;
     }
@@ -180,26 +208,6 @@ export function closeEmployeeSelectionModal() {
     }
 }
 
-export function showVacationModal() {
-    if (gapi.client.getToken() === null) {
-        updateStatus('יש להתחבר עם חשבון Google כדי לבצע פעולה זו.', 'info', false);
-        return;
-    }
-    const today = new Date();
-    const currentWeekId = getWeekId(today.toISOString().split('T')[0]);
-    const sundayOfCurrentWeek = new Date(currentWeekId);
-    const saturdayOfCurrentWeek = new Date(sundayOfCurrentWeek);
-    saturdayOfCurrentWeek.setDate(saturdayOfCurrentWeek.getDate() + 6);
-
-    DOMElements.vacationStartDateInput.value = sundayOfCurrentWeek.toISOString().split('T')[0];
-    DOMElements.vacationEndDateInput.value = saturdayOfCurrentWeek.toISOString().split('T')[0];
-    DOMElements.vacationModal.classList.remove('hidden');
-}
-
-export function closeVacationModal() {
-    DOMElements.vacationModal.classList.add('hidden');
-}
-
 export function displayDifferences(differences) {
     const displayArea = DOMElements.differencesDisplay;
     const container = DOMElements.differencesContainer;
@@ -214,14 +222,14 @@ export function displayDifferences(differences) {
 
     displayArea.innerHTML = '';
 
+    // Every shift in the report is saved as attendance; the differences are only shown for review
+    importBtn.style.display = 'inline-block';
     if (differences.length === 0) {
         statusArea.textContent = 'לא נמצאו פערים בין סידור העבודה לקובץ חילנט.';
         displayArea.innerHTML = '<p class="text-center p-4">הכל מעודכן! ✅</p>';
-        importBtn.style.display = 'none';
         downloadBtn.style.display = 'none';
     } else {
-        statusArea.textContent = `נמצאו ${differences.length} פערים:`;
-        importBtn.style.display = 'inline-block';
+        statusArea.textContent = `נמצאו ${differences.length} פערים. כל המשמרות בקובץ יישמרו כנוכחות בפועל:`;
         downloadBtn.style.display = 'inline-block';
 
         const table = document.createElement('table');
@@ -230,11 +238,6 @@ export function displayDifferences(differences) {
         table.innerHTML = `
             <thead>
                 <tr class="bg-slate-100 dark:bg-slate-700 text-slate-800 dark:text-slate-200">
-                    <th class="p-2 border border-slate-300 dark:border-slate-600 w-10">
-                        <div class="flex items-center justify-center">
-                            <input type="checkbox" id="select-all-differences" class="h-4 w-4 text-blue-600 rounded">
-                        </div>
-                    </th>
                     <th class="p-2 border border-slate-300 dark:border-slate-600">סוג שינוי</th>
                     <th class="p-2 border border-slate-300 dark:border-slate-600">תאריך</th>
                     <th class="p-2 border border-slate-300 dark:border-slate-600">משמרת</th>
@@ -268,38 +271,22 @@ export function displayDifferences(differences) {
             }
             row.className = rowClass;
 
-            const formatDetails = (shift) => shift ? `${shift.employee} (${shift.start.substring(0, 5)}-${shift.end.substring(0, 5)})` : '—';
+            const formatDetails = (shift) => shift ? `${escapeHtml(shift.employee)} (${shift.start.substring(0, 5)}-${shift.end.substring(0, 5)})` : '—';
             
             const gsDetails = formatDetails(diff.googleSheets);
             const hlDetails = formatDetails(diff.hilanet);
 
-            const canImport = diff.type === 'added' || diff.type === 'changed';
-            const checkboxHTML = canImport 
-                ? `<input type="checkbox" class="difference-checkbox h-4 w-4 text-blue-600 rounded" data-diff-id="${diff.id}">`
-                : '';
-            
             // [FIX] Added dark mode border classes for cells
             row.innerHTML = `
-                <td class="p-2 border border-slate-300 dark:border-slate-600 text-center">${checkboxHTML}</td>
                 <td class="p-2 border border-slate-300 dark:border-slate-600 font-medium">${typeHebrew}</td>
                 <td class="p-2 border border-slate-300 dark:border-slate-600">${formatDate(diff.date, { day: '2-digit', month: '2-digit' })} (${diff.dayName})</td>
-                <td class="p-2 border border-slate-300 dark:border-slate-600">${diff.shiftType === 'morning' ? 'בוקר' : 'ערב'}</td>
+                <td class="p-2 border border-slate-300 dark:border-slate-600">${getShiftLabel(diff.shiftType)}</td>
                 <td class="p-2 border border-slate-300 dark:border-slate-600">${gsDetails}</td>
                 <td class="p-2 border border-slate-300 dark:border-slate-600">${hlDetails}</td>
             `;
         });
 
         displayArea.appendChild(table);
-        
-        const selectAllCheckbox = document.getElementById('select-all-differences');
-        if (selectAllCheckbox) {
-            selectAllCheckbox.addEventListener('change', (e) => {
-                const checkboxes = document.querySelectorAll('.difference-checkbox');
-                checkboxes.forEach(checkbox => {
-                    checkbox.checked = e.target.checked;
-                });
-            });
-        }
     }
 
     container.classList.remove('hidden');
@@ -327,7 +314,10 @@ export function showEmailSelectionModal() {
 
     container.innerHTML = '';
 
-    const emailOptions = Object.keys(EMPLOYEE_EMAILS).filter(emp => emp !== 'טכנאי מרכז');
+    const replacement = getReplacementEmployee();
+    const emailOptions = getActiveEmployees()
+        .filter(emp => emp.email && emp.name !== replacement)
+        .map(emp => emp.name);
     const options = [...emailOptions, 'אחר'];
 
     options.forEach((option, index) => {
@@ -378,7 +368,7 @@ export function showEmailSelectionModal() {
                 return;
             }
         } else {
-            recipientEmail = EMPLOYEE_EMAILS[selected];
+            recipientEmail = getEmployeeEmail(selected);
         }
 
         closeEmailSelectionModal();
@@ -0,0 +1,89 @@
+import { getSignedInUserEmail } from "../Api/googleApi.js";
+import { getStorageBackend, isStorageReady } from "../Api/storage.js";
+import { DOMElements, updateStatus, allSchedules } from "../main.js";
+import { collectEmployeeShifts, findNextShift } from "../services/agenda.js";
+import { getAllEmployeeNames, getEmployeeByEmail } from "../services/roster.js";
+import { getShiftLabel } from "../services/shiftTypes.js";
+import { formatDate, getWeekId, toDateString } from "../utils.js";
+
+const formatHours = hours => Number.isInteger(hours) ? String(hours) : hours.toFixed(1);
+
+/**
+ * Opens the personal agenda. The first time, the employee defaults to the signed-in user,
+ * matched by Google email against the roster.
+ */
+export async function showMyShiftsModal() {
+    if (!isStorageReady()) {
+        updateStatus('יש להתחבר עם חשבון Google כדי לבצע פעולה זו.', 'info', false);
+        return;
+    }
+
+    const select = DOMElements.myShiftsEmployeeSelect;
+    const previousValue = select.value;
+    select.innerHTML = '';
+    getAllEmployeeNames().forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        select.appendChild(option);
+    });
+
+    let employee = previousValue;
+    if (!employee && getStorageBackend().isRemote) {
+        employee = getEmployeeByEmail(await getSignedInUserEmail())?.name || '';
+    }
+    if (employee && getAllEmployeeNames().includes(employee)) select.value = employee;
+
+    renderMyShifts();
+    DOMElements.myShiftsModal.classList.remove('hidden');
+}
+
+/** Renders the selected employee's shifts from the current week on, grouped by week. */
+export function renderMyShifts() {
+    const employee = DOMElements.myShiftsEmployeeSelect.value;
+    const weekCount = Number(DOMElements.myShiftsWeeksSelect.value);
+    const list = DOMElements.myShiftsList;
+    if (!employee) {
+        DOMElements.myShiftsSummary.textContent = '';
+        list.innerHTML = '<p class="p-4 text-center">אין עובדים ברשימה.</p>';
+        return;
+    }
+
+    const shifts = collectEmployeeShifts(allSchedules, employee, getWeekId(toDateString(new Date())), weekCount);
+    const totalHours = shifts.reduce((sum, shift) => sum + shift.hours, 0);
+    DOMElements.myShiftsSummary.textContent = `${shifts.length} משמרות, ${formatHours(totalHours)} שעות ב-${weekCount} השבועות הקרובים`;
+    if (shifts.length === 0) {
+        list.innerHTML = '<p class="p-4 text-center">אין משמרות בתקופה זו.</p>';
+        return;
+    }
+
+    const nextShift = findNextShift(shifts);
+    const weeks = new Map();
+    shifts.forEach(shift => {
+        if (!weeks.has(shift.weekId)) weeks.set(shift.weekId, []);
+        weeks.get(shift.weekId).push(shift);
+    });
+
+    list.innerHTML = [...weeks].map(([weekId, weekShifts]) => {
+        const weekHours = weekShifts.reduce((sum, shift) => sum + shift.hours, 0);
+        const rows = weekShifts.map(shift => {
+            const isNext = shift === nextShift;
+            const rowClass = isNext ? 'bg-amber-100 dark:bg-amber-900/40 font-semibold' : '';
+            return `
+                <li class="flex justify-between items-center gap-4 p-2 rounded ${rowClass}">
+                    <span>${shift.day} ${formatDate(shift.date, { day: '2-digit', month: '2-digit' })}${isNext ? ' <span class="text-xs text-amber-700 dark:text-amber-300">· המשמרת הבאה</span>' : ''}</span>
+                    <span>משמרת ${getShiftLabel(shift.shiftType)}</span>
+                    <span>${shift.start.substring(0, 5)}-${shift.end.substring(0, 5)} (${formatHours(shift.hours)} ש')</span>
+                </li>`;
+        }).join('');
+        return `
+            <div class="mb-4">
+                <h4 class="font-semibold mb-1 text-slate-800 dark:text-slate-200">שבוע של ${formatDate(new Date(weekId))} · ${formatHours(weekHours)} שעות</h4>
+                <ul class="divide-y divide-slate-200 dark:divide-slate-700">${rows}</ul>
+            </div>`;
+    }).join('');
+}
+
+export function closeMyShiftsModal() {
+    DOMElements.myShiftsModal.classList.add('hidden');
+}
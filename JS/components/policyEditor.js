@@ -0,0 +1,134 @@
+import { saveSetting } from "../Api/googleApi.js";
+import { isStorageReady } from "../Api/storage.js";
+import { DAYS, DEFAULT_WEEKLY_POLICY } from "../config.js";
+import { DOMElements, updateStatus, displayAPIError } from "../main.js";
+import { getShiftTypes } from "../services/shiftTypes.js";
+import { getWeeklyPolicy, setWeeklyPolicy, normalizePolicy, WEEKLY_POLICY_SETTING_KEY } from "../services/operatingRules.js";
+import { getWeekId, setButtonLoading, restoreButton } from "../utils.js";
+import { renderSchedule } from "./schedule.js";
+
+// Working copy edited in the modal; only applied on save
+let draftPolicy = [];
+
+/**
+ * Opens the weekly operating-rules editor with a working copy of the policy in effect.
+ */
+export function showPolicyModal() {
+    if (!isStorageReady()) {
+        updateStatus('יש להתחבר עם חשבון Google כדי לבצע פעולה זו.', 'info', false);
+        return;
+    }
+    draftPolicy = getWeeklyPolicy();
+    renderPolicyTable();
+    DOMElements.policyModal.classList.remove('hidden');
+}
+
+export function closePolicyModal() {
+    DOMElements.policyModal.classList.add('hidden');
+    draftPolicy = [];
+}
+
+/** Replaces the working copy with the built-in default policy (applied only on save). */
+export function resetPolicyToDefault() {
+    draftPolicy = normalizePolicy(DEFAULT_WEEKLY_POLICY);
+    renderPolicyTable();
+}
+
+/**
+ * Renders one row per weekday and, for every shift type, a checkbox with start/end hours.
+ * Unchecked shifts are prefilled with the shift type's usual hours.
+ */
+function renderPolicyTable() {
+    const shiftTypes = getShiftTypes();
+    const cellClass = 'p-2 border border-slate-300 dark:border-slate-600';
+    const inputClass = 'p-1 border border-slate-300 dark:border-slate-600 rounded-md bg-white dark:bg-slate-700 text-slate-700 dark:text-slate-300';
+
+    DOMElements.policyTableHead.innerHTML = '<tr class="bg-slate-100 dark:bg-slate-700 text-slate-800 dark:text-slate-200">' +
+        `<th class="${cellClass}">יום</th>` +
+        shiftTypes.map(type => `<th class="${cellClass}" style="border-bottom: 4px solid ${type.color};">משמרת ${type.label}</th>`).join('') +
+        `<th class="${cellClass}">כיתוב ליום/משמרת סגורים</th>` +
+        '</tr>';
+
+    const tbody = DOMElements.policyTableBody;
+    tbody.innerHTML = '';
+
+    draftPolicy.forEach((day, dayIndex) => {
+        const row = tbody.insertRow();
+        const dayCell = row.insertCell();
+        dayCell.className = cellClass + ' font-medium';
+        dayCell.textContent = DAYS[dayIndex];
+
+        shiftTypes.forEach(type => {
+            const cell = row.insertCell();
+            cell.className = cellClass;
+            const wrapper = document.createElement('div');
+            wrapper.className = 'flex items-center gap-1';
+
+            const enabledInput = document.createElement('input');
+            enabledInput.type = 'checkbox';
+            enabledInput.checked = Boolean(day.shifts[type.id]);
+            enabledInput.className = 'h-4 w-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500';
+
+            const timeInputs = ['start', 'end'].map(field => {
+                const input = document.createElement('input');
+                input.type = 'time';
+                input.className = inputClass;
+                input.value = (day.shifts[type.id]?.[field] || type[field]).substring(0, 5);
+                input.disabled = !enabledInput.checked;
+                input.addEventListener('change', () => {
+                    if (day.shifts[type.id]) day.shifts[type.id][field] = `${input.value}:00`;
+                });
+                return input;
+            });
+
+            enabledInput.addEventListener('change', () => {
+                if (enabledInput.checked) {
+                    day.shifts[type.id] = { start: `${timeInputs[0].value}:00`, end: `${timeInputs[1].value}:00` };
+                } else {
+                    delete day.shifts[type.id];
+                }
+                timeInputs.forEach(input => { input.disabled = !enabledInput.checked; });
+            });
+
+            wrapper.append(enabledInput, timeInputs[0], '–', timeInputs[1]);
+            cell.appendChild(wrapper);
+        });
+
+        const labelCell = row.insertCell();
+        labelCell.className = cellClass;
+        const labelInput = document.createElement('input');
+        labelInput.type = 'text';
+        labelInput.value = day.closedLabel;
+        labelInput.className = inputClass + ' w-full';
+        labelInput.addEventListener('input', () => { day.closedLabel = labelInput.value; });
+        labelCell.appendChild(labelInput);
+    });
+}
+
+/**
+ * Validates the working copy, stores it in the `settings` tab and re-renders the week.
+ */
+export async function handleSavePolicy() {
+    const incompleteDay = draftPolicy.findIndex(day =>
+        Object.values(day.shifts).some(shift => !shift.start || !shift.end || shift.start.length < 8 || shift.end.length < 8)
+    );
+    if (incompleteDay !== -1) {
+        updateStatus(`יש להזין שעת התחלה וסיום לכל משמרת פעילה ביום ${DAYS[incompleteDay]}.`, 'error');
+        return;
+    }
+
+    const policy = normalizePolicy(draftPolicy);
+    const button = DOMElements.policySaveBtn;
+    setButtonLoading(button, 'שומר...');
+    try {
+        await saveSetting(WEEKLY_POLICY_SETTING_KEY, policy);
+        setWeeklyPolicy(policy);
+        closePolicyModal();
+        renderSchedule(getWeekId(DOMElements.datePicker.value));
+        updateStatus('ימי ושעות הפעילות נשמרו בהצלחה!', 'success');
+    } catch (err) {
+        displayAPIError(err, 'שגיאה בשמירת ימי ושעות הפעילות');
+    } finally {
+        restoreButton(button);
+    }
+}
@@ -0,0 +1,201 @@
+import { getCurrentUser, loadRecurringRules, updateRecurringRules, saveScheduleChanges, loadChangeLog } from "../Api/googleApi.js";
+import { getStorageBackend, isStorageReady } from "../Api/storage.js";
+import { DAYS } from "../config.js";
+import { DOMElements, updateStatus, displayAPIError, allSchedules } from "../main.js";
+import { getRecurringRules, createRecurringRule, describeRecurringRule, planRecurringPrefill, getRecurringProposal, setRecurringProposal, wasWeekCleared } from "../services/recurring.js";
+import { getSchedulableEmployees } from "../services/roster.js";
+import { getShiftTypes, getShiftLabel } from "../services/shiftTypes.js";
+import { applyCellUpdates } from "../services/shiftMoves.js";
+import { escapeHtml, getWeekId, toDateString, setButtonLoading, restoreButton } from "../utils.js";
+import { renderSchedule } from "./schedule.js";
+
+let currentUser = { email: '', employee: null, isManager: false };
+// Weeks whose proposal the manager dismissed in this session
+const dismissedWeeks = new Set();
+
+/** Opens the recurring assignments window. Everyone can see the rules; only the manager changes them. */
+export async function showRecurringModal() {
+    if (!isStorageReady()) {
+        updateStatus('יש להתחבר עם חשבון Google כדי לבצע פעולה זו.', 'info', false);
+        return;
+    }
+
+    currentUser = await getCurrentUser();
+    if (!getStorageBackend().isRemote || navigator.onLine) {
+        try {
+            await loadRecurringRules();
+        } catch (err) {
+            displayAPIError(err, 'שגיאה בטעינת המשמרות הקבועות');
+            return;
+        }
+    }
+
+    const employeeSelect = DOMElements.recurringEmployeeSelect;
+    employeeSelect.innerHTML = '';
+    getSchedulableEmployees().forEach(name => employeeSelect.add(new Option(name, name)));
+    if (DOMElements.recurringDaySelect.options.length === 0) {
+        DAYS.forEach(day => DOMElements.recurringDaySelect.add(new Option(`יום ${day}`, day)));
+    }
+    const shiftSelect = DOMElements.recurringShiftSelect;
+    shiftSelect.innerHTML = '';
+    getShiftTypes().forEach(type => shiftSelect.add(new Option(`משמרת ${type.label}`, type.id)));
+    if (!DOMElements.recurringStartDate.value) DOMElements.recurringStartDate.value = toDateString(new Date());
+    DOMElements.recurringForm.classList.toggle('hidden', !currentUser.isManager);
+
+    renderRecurringRules();
+    DOMElements.recurringModal.classList.remove('hidden');
+}
+
+export function closeRecurringModal() {
+    DOMElements.recurringModal.classList.add('hidden');
+}
+
+/** Lists the rules that have not ended, by day. */
+function renderRecurringRules() {
+    const today = toDateString(new Date());
+    const rules = getRecurringRules()
+        .filter(rule => !rule.endDate || rule.endDate >= today)
+        .sort((a, b) => DAYS.indexOf(a.day) - DAYS.indexOf(b.day) || a.employee.localeCompare(b.employee, 'he'));
+
+    const list = DOMElements.recurringList;
+    if (rules.length === 0) {
+        list.innerHTML = '<li class="p-4 text-center">לא הוגדרו משמרות קבועות.</li>';
+        return;
+    }
+    list.innerHTML = rules.map(rule => `
+        <li class="p-2 flex justify-between items-center gap-4">
+            <span><b>${escapeHtml(rule.employee)}</b>: ${escapeHtml(describeRecurringRule(rule))}</span>
+            ${currentUser.isManager ? `<button class="btn btn-red text-sm px-3 py-1" data-recurring-id="${escapeHtml(rule.id)}">הסרה</button>` : ''}
+        </li>`).join('');
+}
+
+async function saveChange(change, button, successMessage) {
+    if (getStorageBackend().isRemote && !navigator.onLine) {
+        updateStatus('עדכון המשמרות הקבועות דורש חיבור לרשת.', 'info', false);
+        return;
+    }
+    setButtonLoading(button, 'שומר...');
+    try {
+        await updateRecurringRules(change);
+        renderRecurringRules();
+        updateStatus(successMessage, 'success');
+        const weekId = getWeekId(DOMElements.datePicker.value);
+        setRecurringProposal(null);
+        renderSchedule(weekId);
+        await proposeRecurringWeek(weekId);
+    } catch (err) {
+        displayAPIError(err, 'שגיאה בשמירת המשמרות הקבועות');
+    } finally {
+        restoreButton(button);
+    }
+}
+
+/** Adds the rule described by the form. */
+export function handleAddRecurringRule() {
+    const startDate = DOMElements.recurringStartDate.value;
+    const endDate = DOMElements.recurringEndDate.value;
+    if (!DOMElements.recurringEmployeeSelect.value || !startDate || (endDate && endDate < startDate)) {
+        updateStatus('יש לבחור עובד, תאריך התחלה, ותאריך סיום (אם יש) שאינו לפניו.', 'info', false);
+        return;
+    }
+    const rule = createRecurringRule({
+        employee: DOMElements.recurringEmployeeSelect.value,
+        day: DOMElements.recurringDaySelect.value,
+        shiftType: DOMElements.recurringShiftSelect.value,
+        startDate,
+        endDate
+    }, currentUser.email || 'local');
+    saveChange({ add: rule }, DOMElements.recurringAddBtn, 'המשמרת הקבועה נשמרה. היא תוצע בשבועות ריקים.');
+}
+
+/** Handles the remove buttons in the list (delegated from the list element). */
+export function handleRecurringListClick(event) {
+    const button = event.target.closest('button[data-recurring-id]');
+    if (!button) return;
+    saveChange({ removeId: button.dataset.recurringId }, button, 'המשמרת הקבועה הוסרה.');
+}
+
+/** Shows the proposal bar for the displayed week, or hides it when nothing is proposed. */
+function renderRecurringProposalBar() {
+    const proposal = getRecurringProposal();
+    DOMElements.recurringProposalBar.classList.toggle('hidden', !proposal);
+    if (!proposal) return;
+    const skippedText = proposal.skipped.map(({ cell, employee, problems }) =>
+        `${employee}, ${cell.day} משמרת ${getShiftLabel(cell.shiftType)}: ${problems.join(', ')}`).join('; ');
+    DOMElements.recurringProposalText.textContent =
+        `השבוע ריק. מוצעות ${proposal.updates.length} משמרות קבועות (מסומנות בסידור). הן יישמרו רק לאחר אישור.` +
+        (skippedText ? ` לא הוצעו, כי הן מפרות את כללי הסידור: ${skippedText}.` : '');
+    DOMElements.recurringProposalConfirmBtn.classList.toggle('hidden', proposal.updates.length === 0);
+}
+
+/**
+ * Proposes the recurring shifts for a displayed week, without saving anything. Only the manager gets
+ * a proposal, and only for an empty week that is not over and was never cleared. Never rejects.
+ * @param {string} weekId - The week (a Sunday, YYYY-MM-DD).
+ */
+export async function proposeRecurringWeek(weekId) {
+    const hadProposal = Boolean(getRecurringProposal());
+    setRecurringProposal(null);
+    renderRecurringProposalBar();
+    try {
+        if (!isStorageReady() || getRecurringRules().length === 0 || dismissedWeeks.has(weekId)) return;
+        const hasAssignments = Object.values(allSchedules[weekId] || {})
+            .some(dayData => Object.values(dayData || {}).some(shift => shift?.employee && shift.employee !== 'none'));
+        const [year, month, day] = weekId.split('-').map(Number);
+        const isOver = toDateString(new Date(year, month - 1, day + 6)) < toDateString(new Date());
+        if (hasAssignments || isOver) return;
+        if (getStorageBackend().isRemote && !navigator.onLine) return;
+
+        currentUser = await getCurrentUser();
+        if (!currentUser.isManager || wasWeekCleared(await loadChangeLog(), weekId)) return;
+        // The manager may have moved on to another week in the meantime
+        if (getWeekId(DOMElements.datePicker.value) !== weekId) return;
+
+        const { updates, skipped } = planRecurringPrefill(allSchedules, weekId);
+        if (updates.length === 0 && skipped.length === 0) return;
+        setRecurringProposal({ weekId, updates, skipped });
+        renderSchedule(weekId);
+        renderRecurringProposalBar();
+    } catch (err) {
+        console.warn('Could not propose the recurring shifts:', err);
+    } finally {
+        // Drop the marks of a proposal that no longer applies
+        if (hadProposal && !getRecurringProposal()) renderSchedule(getWeekId(DOMElements.datePicker.value));
+    }
+}
+
+/** Saves the proposed recurring shifts of the displayed week, planned again against the current schedule. */
+export async function handleConfirmRecurringProposal() {
+    const proposal = getRecurringProposal();
+    if (!proposal || !currentUser.isManager) return;
+    const { weekId } = proposal;
+    const { updates, skipped } = planRecurringPrefill(allSchedules, weekId);
+    setRecurringProposal(null);
+    renderRecurringProposalBar();
+    if (updates.length === 0) {
+        renderSchedule(weekId);
+        updateStatus('אין משמרות קבועות פנויות למילוי בשבוע זה.', 'info', false);
+        return;
+    }
+
+    applyCellUpdates(allSchedules, updates);
+    renderSchedule(weekId);
+    const written = await saveScheduleChanges(allSchedules, 'מילוי משמרות קבועות');
+    if (!written) {
+        applyCellUpdates(allSchedules, updates.map(({ cell }) => ({ cell, shift: null })));
+        renderSchedule(weekId);
+        return;
+    }
+    const skippedText = skipped.length > 0 ? ` ${skipped.length} משמרות קבועות לא מולאו כי הן מפרות את כללי הסידור.` : '';
+    updateStatus(`נשמרו ${updates.length} משמרות קבועות לשבוע.${skippedText}`, 'success');
+}
+
+/** Drops the proposal; the week is not proposed again in this session. */
+export function handleDismissRecurringProposal() {
+    const proposal = getRecurringProposal();
+    if (!proposal) return;
+    dismissedWeeks.add(proposal.weekId);
+    setRecurringProposal(null);
+    renderRecurringProposalBar();
+    renderSchedule(proposal.weekId);
+}
@@ -0,0 +1,142 @@
+import { saveEmployees } from "../Api/googleApi.js";
+import { isStorageReady } from "../Api/storage.js";
+import { DOMElements, updateStatus, displayAPIError, allEmployees } from "../main.js";
+import { ROSTER_ROLES } from "../services/roster.js";
+import { setButtonLoading, restoreButton } from "../utils.js";
+
+const ROLE_LABELS = {
+    [ROSTER_ROLES.STAFF]: 'עובד',
+    [ROSTER_ROLES.REPLACEMENT]: 'מחליף בחופשות'
+};
+
+// Working copy edited in the modal; only written to the roster on save
+let draftRoster = [];
+
+/**
+ * Opens the roster management modal with a working copy of the current roster.
+ */
+export function showRosterModal() {
+    if (!isStorageReady()) {
+        updateStatus('יש להתחבר עם חשבון Google כדי לבצע פעולה זו.', 'info', false);
+        return;
+    }
+    draftRoster = allEmployees.map(emp => ({ ...emp, isNew: false }));
+    renderRosterTable();
+    DOMElements.rosterModal.classList.remove('hidden');
+}
+
+export function closeRosterModal() {
+    DOMElements.rosterModal.classList.add('hidden');
+    draftRoster = [];
+}
+
+/** Adds an empty row for a new employee and focuses its name field. */
+export function addRosterRow() {
+    draftRoster.push({ name: '', email: '', role: ROSTER_ROLES.STAFF, active: true, isNew: true });
+    renderRosterTable();
+    const nameInputs = DOMElements.rosterTableBody.querySelectorAll('input[data-field="name"]');
+    nameInputs[nameInputs.length - 1]?.focus();
+}
+
+/**
+ * Renders the editable roster rows.
+ * Names of existing employees are read-only, because past shifts reference them by name.
+ */
+function renderRosterTable() {
+    const tbody = DOMElements.rosterTableBody;
+    tbody.innerHTML = '';
+
+    if (draftRoster.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="4" class="p-4 text-center">אין עובדים ברשימה. הוסף עובד חדש כדי להתחיל.</td></tr>';
+        return;
+    }
+
+    draftRoster.forEach((emp, index) => {
+        const row = tbody.insertRow();
+        row.className = emp.active ? '' : 'opacity-60';
+        const cellClass = 'p-2 border border-slate-300 dark:border-slate-600';
+        const inputClass = 'w-full p-1 border border-slate-300 dark:border-slate-600 rounded-md bg-white dark:bg-slate-700 text-slate-700 dark:text-slate-300';
+
+        const nameInput = document.createElement('input');
+        nameInput.type = 'text';
+        nameInput.dataset.field = 'name';
+        nameInput.value = emp.name;
+        nameInput.readOnly = !emp.isNew;
+        nameInput.className = inputClass + (emp.isNew ? '' : ' bg-slate-100 dark:bg-slate-800 cursor-not-allowed');
+        nameInput.addEventListener('input', () => { emp.name = nameInput.value; });
+
+        const emailInput = document.createElement('input');
+        emailInput.type = 'email';
+        emailInput.value = emp.email;
+        emailInput.placeholder = 'example@email.com';
+        emailInput.className = inputClass;
+        emailInput.addEventListener('input', () => { emp.email = emailInput.value; });
+
+        const roleSelect = document.createElement('select');
+        roleSelect.className = inputClass;
+        Object.entries(ROLE_LABELS).forEach(([role, label]) => {
+            const option = document.createElement('option');
+            option.value = role;
+            option.textContent = label;
+            option.selected = emp.role === role;
+            roleSelect.appendChild(option);
+        });
+        roleSelect.addEventListener('change', () => { emp.role = roleSelect.value; });
+
+        const activeInput = document.createElement('input');
+        activeInput.type = 'checkbox';
+        activeInput.checked = emp.active;
+        activeInput.id = `roster-active-${index}`;
+        activeInput.className = 'h-4 w-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500';
+        activeInput.addEventListener('change', () => {
+            emp.active = activeInput.checked;
+            row.classList.toggle('opacity-60', !emp.active);
+        });
+
+        [nameInput, emailInput, roleSelect, activeInput].forEach(control => {
+            const cell = row.insertCell();
+            cell.className = cellClass + (control === activeInput ? ' text-center' : '');
+            cell.appendChild(control);
+        });
+    });
+}
+
+/**
+ * Validates the working copy and writes it to the `employees` tab.
+ */
+export async function handleSaveRoster() {
+    const employees = draftRoster
+        .map(emp => ({
+            name: emp.name.trim(),
+            email: emp.email.trim(),
+            role: emp.role,
+            active: emp.active
+        }))
+        .filter(emp => emp.name);
+
+    const names = employees.map(emp => emp.name);
+    const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+    if (duplicate) {
+        updateStatus(`השם "${duplicate}" מופיע יותר מפעם אחת ברשימה.`, 'error');
+        return;
+    }
+
+    const invalidEmail = employees.find(emp => emp.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(emp.email));
+    if (invalidEmail) {
+        updateStatus(`כתובת המייל של ${invalidEmail.name} אינה תקינה.`, 'error');
+        return;
+    }
+
+    const button = DOMElements.rosterSaveBtn;
+    setButtonLoading(button, 'שומר...');
+    try {
+        const saved = await saveEmployees(employees);
+        if (!saved) return; // The edits stay in the open dialog
+        closeRosterModal();
+        updateStatus('רשימת העובדים נשמרה בהצלחה!', 'success');
+    } catch (err) {
+        displayAPIError(err, 'שגיאה בשמירת רשימת העובדים');
+    } finally {
+        restoreButton(button);
+    }
+}
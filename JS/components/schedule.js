@@ -1,19 +1,64 @@
 import { sendEmailWithGmailApi } from "../Api/googleApi.js";
-import { DAYS, DEFAULT_SHIFT_TIMES } from "../config.js";
-import { allSchedules, DOMElements, updateStatus } from "../main.js";
+import { DAYS } from "../config.js";
+import { allSchedules, DOMElements, updateStatus, displayAPIError } from "../main.js";
 import { handleShiftCellClick } from './modal.js';
-import { getWeekDates, formatDate, getWeekId, setButtonLoading, restoreButton } from "../utils.js";
+import { enableShiftDragAndDrop } from './dragAndDrop.js';
+import { sortShiftTypeIds } from "../services/shiftTypes.js";
+import { getActiveShiftTypes, getDayRules } from "../services/operatingRules.js";
+import { findWeekViolations, SCHEDULING_RULES } from "../services/schedulingRules.js";
+import { getProposedShift } from "../services/recurring.js";
+import { getWeekDates, formatDate, formatMonthYear, getWeekId, toDateString, escapeHtml, setButtonLoading, restoreButton } from "../utils.js";
 
 
 // --- UI Logic ---
+const CLOSED_CELL_CLASSES = 'flex items-center justify-center h-full p-3 bg-blue-50 text-blue-700 font-bold';
+
+export const SCHEDULE_VIEWS = { WEEK: 'week', MONTH: 'month' };
+let scheduleView = SCHEDULE_VIEWS.WEEK;
+
+export function getScheduleView() {
+    return scheduleView;
+}
+
 /**
- * Renders the schedule table for a given week ID.
+ * Switches between the week table and the month grid and re-renders.
+ * Both views show the period of the date chosen in `date-picker`.
+ */
+export function toggleScheduleView() {
+    scheduleView = scheduleView === SCHEDULE_VIEWS.WEEK ? SCHEDULE_VIEWS.MONTH : SCHEDULE_VIEWS.WEEK;
+    DOMElements.viewToggleBtn.textContent = scheduleView === SCHEDULE_VIEWS.WEEK ? 'תצוגת חודש 📆' : 'תצוגת שבוע 📋';
+    renderSchedule(getWeekId(DOMElements.datePicker.value));
+}
+
+/**
+ * Renders the table header: day, date and one column per active shift type.
+ */
+function renderScheduleHeader() {
+    const headerCellClass = 'p-3 border border-slate-300 dark:border-slate-600';
+    DOMElements.scheduleHead.innerHTML = '<tr>' +
+        `<th class="${headerCellClass}">יום</th>` +
+        `<th class="${headerCellClass}">תאריך</th>` +
+        getActiveShiftTypes().map(type =>
+            `<th class="${headerCellClass}" style="border-bottom: 4px solid ${type.color};">משמרת ${type.label}</th>`
+        ).join('') +
+        '</tr>';
+}
+
+/**
+ * Renders the schedule for a given week ID. In the month view the whole month of the
+ * date chosen in `date-picker` is shown instead.
  * @param {string} weekId - The ID of the week to render.
  */
 export function renderSchedule(weekId) {
+    if (scheduleView === SCHEDULE_VIEWS.MONTH) {
+        renderMonth(DOMElements.datePicker.value || weekId);
+        return;
+    }
     const scheduleDataForWeek = allSchedules[weekId] || {};
     const weekDates = getWeekDates(new Date(weekId));
+    const activeShiftTypes = getActiveShiftTypes();
     DOMElements.scheduleTitle.textContent = `סידור עבודה לשבוע של ${formatDate(weekDates[0])}`;
+    renderScheduleHeader();
     DOMElements.scheduleBody.innerHTML = '';
 
     weekDates.forEach((date, index) => {
@@ -21,31 +66,34 @@ export function renderSchedule(weekId) {
         const row = document.createElement('tr');
         row.className = 'border-b border-slate-200 h-16';
 
+        const dayRules = getDayRules(date);
+        const holidayBadge = dayRules.holiday
+            ? `<span class="block text-xs text-blue-600 dark:text-blue-400">${dayRules.holiday.name}</span>`
+            : '';
         row.innerHTML =
-            `<td class="p-3 font-medium border-r border-l border-slate-300">${dayName}</td>` +
+            `<td class="p-3 font-medium border-r border-l border-slate-300">${dayName}${holidayBadge}</td>` +
             `<td class="p-3 border-r border-l border-slate-300">${formatDate(date, { day: '2-digit', month: '2-digit' })}</td>`;
 
-        if (dayName === 'שבת') {
-            row.innerHTML += '<td colspan="2" class="p-3 bg-blue-50 text-blue-700 font-bold border-r border-l border-slate-300 text-center">שבת שלום</td>';
+        if (!dayRules.isOpen) {
+            row.innerHTML += `<td colspan="${activeShiftTypes.length}" class="p-3 bg-blue-50 text-blue-700 font-bold border-r border-l border-slate-300 text-center">${dayRules.closedLabel}</td>`;
         } else {
             const dayData = scheduleDataForWeek[dayName] || {};
-
-            // Set default times for Friday morning
-            const isFriday = dayName === 'שישי';
-            const morningDefault = isFriday 
-                ? { start: '07:00:00', end: '12:00:00' } 
-                : DEFAULT_SHIFT_TIMES.morning;
-
-            const morningShift = dayData.morning || { employee: 'none', ...morningDefault };
-            const eveningShift = dayData.evening || { employee: 'none', start: DEFAULT_SHIFT_TIMES.evening.start, end: DEFAULT_SHIFT_TIMES.evening.end };
-            
-            const eveningCellContent = dayName === 'שישי'
-                ? '<div class="flex items-center justify-center h-full p-3 bg-blue-50 text-blue-700 font-bold">שבת שלום</div>'
-                : createShiftCell(dayName, 'evening', eveningShift.employee, morningShift.employee, eveningShift.start, eveningShift.end);
-            
-            row.innerHTML +=
-                `<td class="p-0 border-r border-l border-slate-300">${createShiftCell(dayName, 'morning', morningShift.employee, eveningShift.employee, morningShift.start, morningShift.end)}</td>` +
-                `<td class="p-0 border-r border-l border-slate-300">${eveningCellContent}</td>`;
+            const assignedEmployees = dayRules.shifts
+                .map(shift => dayData[shift.id]?.employee)
+                .filter(emp => emp && emp !== 'none');
+
+            activeShiftTypes.forEach(type => {
+                let cellContent;
+                const dayShift = dayRules.shifts.find(shift => shift.id === type.id);
+                if (dayShift) {
+                    const shift = dayData[type.id] || { employee: 'none', start: dayShift.start, end: dayShift.end };
+                    const otherShiftEmployees = assignedEmployees.filter(emp => emp !== shift.employee);
+                    cellContent = createShiftCell(weekId, dayName, type.id, shift.employee, otherShiftEmployees, shift.start, shift.end, shift.recurringEmployee);
+                } else {
+                    cellContent = `<div class="${CLOSED_CELL_CLASSES}">${dayRules.closedLabel}</div>`;
+                }
+                row.innerHTML += `<td class="p-0 border-r border-l border-slate-300">${cellContent}</td>`;
+            });
         }
         DOMElements.scheduleBody.appendChild(row);
     });
@@ -53,22 +101,152 @@ export function renderSchedule(weekId) {
     DOMElements.scheduleBody.querySelectorAll('.shift-cell').forEach(cell => {
         cell.addEventListener('click', handleShiftCellClick);
     });
+    enableShiftDragAndDrop(DOMElements.scheduleBody);
+    highlightViolations([weekId]);
+}
+
+/**
+ * Renders a month grid (one row per Sunday-based week) with every day's shifts, using the same
+ * day rules and click-to-edit cells as the week table. Days of the neighbouring months are dimmed.
+ * @param {string} dateString - Any date (YYYY-MM-DD) in the month to render.
+ */
+function renderMonth(dateString) {
+    const [year, month] = dateString.split('-').map(Number);
+    const firstOfMonth = new Date(year, month - 1, 1);
+    const lastOfMonth = new Date(year, month, 0);
+    DOMElements.scheduleTitle.textContent = `סידור עבודה לחודש ${formatMonthYear(`${year}-${month}`)}`;
+
+    const headerCellClass = 'p-3 border border-slate-300 dark:border-slate-600';
+    DOMElements.scheduleHead.innerHTML = `<tr>${DAYS.map(day => `<th class="${headerCellClass}">${day}</th>`).join('')}</tr>`;
+    DOMElements.scheduleBody.innerHTML = '';
+
+    const weekStart = new Date(firstOfMonth);
+    weekStart.setDate(weekStart.getDate() - weekStart.getDay());
+    const weekIds = [];
+    while (weekStart <= lastOfMonth) {
+        const weekId = getWeekId(toDateString(weekStart));
+        weekIds.push(weekId);
+        const scheduleDataForWeek = allSchedules[weekId] || {};
+        const row = document.createElement('tr');
+        row.className = 'align-top';
+
+        getWeekDates(new Date(weekStart)).forEach((date, index) => {
+            const inMonth = date.getMonth() === month - 1;
+            const dayRules = getDayRules(date);
+            const dayName = DAYS[index];
+            const dayData = scheduleDataForWeek[dayName] || {};
+            const holidayBadge = dayRules.holiday
+                ? `<span class="text-xs text-blue-600 dark:text-blue-400">${dayRules.holiday.name}</span>`
+                : '';
+
+            let dayContent;
+            if (!dayRules.isOpen) {
+                dayContent = `<div class="p-2 text-sm bg-blue-50 text-blue-700 font-bold rounded">${dayRules.closedLabel}</div>`;
+            } else {
+                const assignedEmployees = dayRules.shifts
+                    .map(shift => dayData[shift.id]?.employee)
+                    .filter(emp => emp && emp !== 'none');
+                dayContent = dayRules.shifts.map(dayShift => {
+                    const shift = dayData[dayShift.id] || { employee: 'none', start: dayShift.start, end: dayShift.end };
+                    const otherShiftEmployees = assignedEmployees.filter(emp => emp !== shift.employee);
+                    return `<div class="text-sm border-r-4 rounded bg-slate-50 dark:bg-slate-700 cursor-pointer" style="border-color: ${dayShift.color};" title="משמרת ${dayShift.label}">` +
+                        createShiftCell(weekId, dayName, dayShift.id, shift.employee, otherShiftEmployees, shift.start, shift.end, shift.recurringEmployee) +
+                        '</div>';
+                }).join('');
+            }
+
+            const cell = document.createElement('td');
+            cell.className = `p-1 border border-slate-300 dark:border-slate-600 w-[14.28%] ${inMonth ? '' : 'opacity-40'}`;
+            cell.innerHTML = `
+                <div class="flex justify-between items-baseline px-1 mb-1">
+                    <span class="font-semibold">${date.getDate()}</span>${holidayBadge}
+                </div>
+                <div class="flex flex-col gap-1">${dayContent}</div>`;
+            row.appendChild(cell);
+        });
+
+        DOMElements.scheduleBody.appendChild(row);
+        weekStart.setDate(weekStart.getDate() + 7);
+    }
+
+    DOMElements.scheduleBody.querySelectorAll('.shift-cell').forEach(cell => {
+        cell.addEventListener('click', handleShiftCellClick);
+    });
+    enableShiftDragAndDrop(DOMElements.scheduleBody);
+    highlightViolations(weekIds);
+}
+
+/**
+ * Marks the rendered cells that break a scheduling rule (red) or are left uncovered (amber),
+ * with the reasons in a tooltip, and shows the totals under the schedule title.
+ * @param {string[]} weekIds - The weeks on screen.
+ */
+function highlightViolations(weekIds) {
+    const byCell = new Map();
+    weekIds.flatMap(weekId => findWeekViolations(allSchedules, weekId)).forEach(violation => {
+        const { weekId, day, shiftType } = violation.cell;
+        const selector = `.shift-cell[data-week-id="${weekId}"][data-day="${day}"][data-shift="${shiftType}"]`;
+        if (!byCell.has(selector)) byCell.set(selector, []);
+        byCell.get(selector).push(violation);
+    });
+
+    let brokenCount = 0;
+    let uncoveredCount = 0;
+    byCell.forEach((violations, selector) => {
+        const element = DOMElements.scheduleBody.querySelector(selector);
+        if (!element) return;
+        const isUncovered = violations.every(violation => violation.rule === SCHEDULING_RULES.UNCOVERED);
+        if (isUncovered) {
+            uncoveredCount++;
+        } else {
+            brokenCount += violations.length;
+        }
+        element.classList.add(...(isUncovered ? ['bg-amber-50', 'dark:bg-amber-900/20'] : ['bg-red-50', 'dark:bg-red-900/30']));
+        element.title = violations.map(violation => violation.message).join('\n');
+        const badgeClass = isUncovered ? 'text-amber-600 dark:text-amber-400' : 'text-red-600 dark:text-red-400';
+        element.insertAdjacentHTML('beforeend', `<span class="text-xs font-semibold ${badgeClass}">⚠ ${isUncovered ? 'לא מאויש' : violations.length}</span>`);
+    });
+
+    const summary = DOMElements.scheduleViolationsSummary;
+    if (!summary) return;
+    if (brokenCount === 0 && uncoveredCount === 0) {
+        summary.className = 'text-sm text-center mb-4 text-green-600 dark:text-green-500';
+        summary.textContent = 'אין הפרות של כללי הסידור ✓';
+    } else {
+        summary.className = 'text-sm text-center mb-4 text-red-600 dark:text-red-400';
+        summary.textContent = `${brokenCount} הפרות של כללי הסידור · ${uncoveredCount} משמרות לא מאוישות (פרטים במעבר על התא)`;
+    }
 }
+
 /**
  * Creates the HTML content for a single shift cell in the table.
+ * @param {string} weekId - The week the shift belongs to.
  * @param {string} day - The day of the week.
- * @param {string} shiftType - 'morning' or 'evening'.
+ * @param {string} shiftType - A shift type id from the registry.
  * @param {string} selectedEmployee - The employee assigned to this shift.
- * @param {string} otherShiftEmployee - The employee assigned to the other shift on the same day.
+ * @param {string[]} otherShiftEmployees - The employees assigned to the other shifts on the same day.
+ *   Stored '|'-separated in `data-other-shift-employee`.
  * @param {string} startTime - The start time of the shift.
  * @param {string} endTime - The end time of the shift.
+ * @param {string} [recurringEmployee] - The employee of the recurring rule the shift was filled from, if any.
  * @returns {string} HTML string for the shift cell.
  */
 
-export function createShiftCell(day, shiftType, selectedEmployee, otherShiftEmployee, startTime, endTime) {
+export function createShiftCell(weekId, day, shiftType, selectedEmployee, otherShiftEmployees, startTime, endTime, recurringEmployee = '') {
     const employeeName = selectedEmployee === 'none' ? '—' : selectedEmployee;
     const timeDisplay = (startTime && endTime && startTime !== 'none' && endTime !== 'none') ? ` (${startTime.substring(0, 5)}-${endTime.substring(0, 5)})` : '';
-    return `<div class="shift-cell w-full h-full flex flex-col items-center justify-center p-1" data-day="${day}" data-shift="${shiftType}" data-other-shift-employee="${otherShiftEmployee}" data-start-time="${startTime}" data-end-time="${endTime}"><span>${employeeName}</span><span class="text-xs text-slate-500">${timeDisplay}</span></div>`;
+    const draggable = selectedEmployee !== 'none' ? ' draggable="true"' : '';
+    // Shifts filled from a recurring rule: marked as fixed, or as an exception when someone else holds them
+    const proposed = selectedEmployee === 'none' ? getProposedShift({ weekId, day, shiftType }) : null;
+    let recurringMark = '';
+    if (proposed) {
+        recurringMark = `<span class="text-xs italic text-sky-600 dark:text-sky-400" title="הצעה מהמשמרות הקבועות, תישמר לאחר אישור">הצעה: ${escapeHtml(proposed.employee)} 🔁</span>`;
+    } else if (recurringEmployee && recurringEmployee === selectedEmployee) {
+        recurringMark = '<span class="text-xs text-slate-400" title="משמרת קבועה">🔁</span>';
+    } else if (recurringEmployee) {
+        recurringMark = `<span class="text-xs text-amber-600 dark:text-amber-400" title="חריגה מהשיבוץ הקבוע של ${escapeHtml(recurringEmployee)}">חריגה מקבוע</span>`;
+    }
+    return `<div class="shift-cell w-full h-full flex flex-col items-center justify-center p-1"${draggable} data-week-id="${weekId}" data-day="${day}" data-shift="${shiftType}" data-other-shift-employee="${escapeHtml(otherShiftEmployees.join('|'))}" data-start-time="${escapeHtml(startTime)}" data-end-time="${escapeHtml(endTime)}"><span>${escapeHtml(employeeName)}</span><span class="text-xs text-slate-500">${escapeHtml(timeDisplay)}</span>${recurringMark}</div>`;
 }
 /**
  * מטפל בייצוא סידור העבודה השבועי לקובץ Excel.
@@ -86,41 +264,35 @@ export async function handleExportToExcel() {
         const weekDates = getWeekDates(new Date(weekId));
         const scheduleDataForWeek = allSchedules[weekId] || {};
 
-        // הכנת כותרות הטבלה
+        // הכנת כותרות הטבלה - שלוש עמודות לכל סוג משמרת פעיל
+        const activeShiftTypes = getActiveShiftTypes();
         const dataForExcel = [
-            ['יום', 'תאריך', 'משמרת בוקר', 'שעת התחלה בוקר', 'שעת סיום בוקר', 'משמרת ערב', 'שעת התחלה ערב', 'שעת סיום ערב']
+            ['יום', 'תאריך', ...activeShiftTypes.flatMap(type => [`משמרת ${type.label}`, `שעת התחלה ${type.label}`, `שעת סיום ${type.label}`])]
         ];
 
         // מעבר על כל יום בשבוע והוספת הנתונים למערך
         weekDates.forEach((date, index) => {
             const dayName = DAYS[index];
             const dayData = scheduleDataForWeek[dayName] || {};
+            const dayRules = getDayRules(date);
+            const excelRow = [dayRules.holiday ? `${dayName} (${dayRules.holiday.name})` : dayName, formatDate(date)];
+
+            activeShiftTypes.forEach(type => {
+                // משמרות שאינן פועלות ביום זה לפי מדיניות הפעילות השבועית
+                if (!dayRules.shifts.some(shift => shift.id === type.id)) {
+                    excelRow.push(dayRules.closedLabel, '—', '—');
+                    return;
+                }
+                const shift = dayData[type.id];
+                // ברירות מחדל למקרה שאין נתונים
+                excelRow.push(
+                    (shift && shift.employee !== 'none') ? shift.employee : '—',
+                    (shift && shift.start) ? shift.start.substring(0, 5) : '—',
+                    (shift && shift.end) ? shift.end.substring(0, 5) : '—'
+                );
+            });
 
-            // ברירות מחדל למקרה שאין נתונים
-            let morningEmployee = (dayData.morning && dayData.morning.employee !== 'none') ? dayData.morning.employee : '—';
-            let morningStart = (dayData.morning && dayData.morning.start) ? dayData.morning.start.substring(0, 5) : '—';
-            let morningEnd = (dayData.morning && dayData.morning.end) ? dayData.morning.end.substring(0, 5) : '—';
-
-            let eveningEmployee = (dayData.evening && dayData.evening.employee !== 'none') ? dayData.evening.employee : '—';
-            let eveningStart = (dayData.evening && dayData.evening.start) ? dayData.evening.start.substring(0, 5) : '—';
-            let eveningEnd = (dayData.evening && dayData.evening.end) ? dayData.evening.end.substring(0, 5) : '—';
-
-            // טיפול מיוחד בימי שישי ושבת
-            if (dayName === 'שישי') {
-                eveningEmployee = 'שבת שלום';
-                eveningStart = '—';
-                eveningEnd = '—';
-            }
-            if (dayName === 'שבת') {
-                morningEmployee = 'שבת שלום';
-                morningStart = '—';
-                morningEnd = '—';
-                eveningEmployee = 'שבת שלום';
-                eveningStart = '—';
-                eveningEnd = '—';
-            }
-            
-            dataForExcel.push([dayName, formatDate(date), morningEmployee, morningStart, morningEnd, eveningEmployee, eveningStart, eveningEnd]);
+            dataForExcel.push(excelRow);
         });
 
         // יצירת גיליון עבודה מתוך המערך
@@ -128,8 +300,8 @@ export async function handleExportToExcel() {
 
         // הגדרת רוחב העמודות
         worksheet['!cols'] = [
-            { wch: 10 }, { wch: 15 }, { wch: 15 }, { wch: 10 },
-            { wch: 10 }, { wch: 15 }, { wch: 10 }, { wch: 10 }
+            { wch: 10 }, { wch: 15 },
+            ...activeShiftTypes.flatMap(() => [{ wch: 15 }, { wch: 10 }, { wch: 10 }])
         ];
 
         // יצירת קובץ עבודה חדש והוספת הגיליון
@@ -188,8 +360,7 @@ export async function handleSendEmail(recipient, customMessage = '') {
                             <tr style="background-color: #e2e8f0;">
                                 <th style="padding: 12px; border: 1px solid #cbd5e1; text-align: right;">יום</th>
                                 <th style="padding: 12px; border: 1px solid #cbd5e1; text-align: right;">תאריך</th>
-                                <th style="padding: 12px; border: 1px solid #cbd5e1; text-align: right;">משמרת בוקר</th>
-                                <th style="padding: 12px; border: 1px solid #cbd5e1; text-align: right;">משמרת ערב</th>
+                                ${getActiveShiftTypes().map(type => `<th style="padding: 12px; border: 1px solid #cbd5e1; text-align: right; border-bottom: 3px solid ${type.color};">משמרת ${type.label}</th>`).join('')}
                             </tr>
                         </thead>
                         <tbody>
@@ -198,31 +369,37 @@ export async function handleSendEmail(recipient, customMessage = '') {
             const weekDates = getWeekDates(new Date(weekId));
             const scheduleDataForWeek = allSchedules[weekId] || {};
 
+            const activeShiftTypes = getActiveShiftTypes();
+
             // מעבר על כל יום בשבוע והוספת שורה לטבלה
             weekDates.forEach((date, index) => {
                 const dayName = DAYS[index];
                 const dayData = scheduleDataForWeek[dayName] || {};
-                
-                const morningEmployee = (dayData.morning && dayData.morning.employee !== 'none') ? dayData.morning.employee : '—';
-                const eveningEmployee = (dayData.evening && dayData.evening.employee !== 'none') ? dayData.evening.employee : '—';
 
                 const rowStyle = 'background-color: #ffffff;';
                 const cellStyle = 'padding: 10px; border: 1px solid #cbd5e1; text-align: right;';
                 const specialDayCellStyle = 'padding: 10px; border: 1px solid #cbd5e1; text-align: center; background-color: #eff6ff; color: #1e40af; font-weight: bold;';
 
+                // ימים ומשמרות שאינם פעילים לפי מדיניות הפעילות השבועית ולוח החגים
+                const dayRules = getDayRules(date);
+                const holidayNote = dayRules.holiday ? `<br><span style="font-size: 12px; color: #2563eb;">${dayRules.holiday.name}</span>` : '';
+
                 emailBodyContent += `<tr style="${rowStyle}">`;
-                emailBodyContent += `<td style="${cellStyle} font-weight: bold;">${dayName}</td>`;
+                emailBodyContent += `<td style="${cellStyle} font-weight: bold;">${dayName}${holidayNote}</td>`;
                 emailBodyContent += `<td style="${cellStyle}">${formatDate(date, { day: '2-digit', month: '2-digit' })}</td>`;
 
-                // טיפול מיוחד בשבת ושישי
-                if (dayName === 'שבת') {
-                    emailBodyContent += `<td colspan="2" style="${specialDayCellStyle}">שבת שלום</td>`;
+                if (!dayRules.isOpen) {
+                    emailBodyContent += `<td colspan="${activeShiftTypes.length}" style="${specialDayCellStyle}">${dayRules.closedLabel}</td>`;
                 } else {
-                    const eveningCellContent = dayName === 'שישי' ? 'שבת שלום' : eveningEmployee;
-                    const eveningCellActualStyle = dayName === 'שישי' ? specialDayCellStyle : cellStyle;
-                    
-                    emailBodyContent += `<td style="${cellStyle}">${morningEmployee}</td>`;
-                    emailBodyContent += `<td style="${eveningCellActualStyle}">${eveningCellContent}</td>`;
+                    activeShiftTypes.forEach(type => {
+                        if (!dayRules.shifts.some(shift => shift.id === type.id)) {
+                            emailBodyContent += `<td style="${specialDayCellStyle}">${dayRules.closedLabel}</td>`;
+                            return;
+                        }
+                        const shift = dayData[type.id];
+                        const employee = (shift && shift.employee !== 'none') ? shift.employee : '—';
+                        emailBodyContent += `<td style="${cellStyle}">${employee}</td>`;
+                    });
                 }
                 emailBodyContent += `</tr>`;
             });
@@ -247,6 +424,10 @@ export async function handleSendEmail(recipient, customMessage = '') {
     }
 }
 
+/**
+ * Sends a summary of who worked on Fridays in a date range.
+ * Holiday eves get the Friday rules, so they are listed as well.
+ */
 export async function sendFridaySummaryEmail(startDate, endDate) {
     const recipient = 'maorbens@assuta.co.il';
     const subject = `סיכום עבודה בימי שישי מתאריך ${formatDate(startDate)} עד ${formatDate(endDate)}`;
@@ -256,10 +437,15 @@ export async function sendFridaySummaryEmail(startDate, endDate) {
         const weekDates = getWeekDates(new Date(weekId));
         weekDates.forEach(date => {
             const dateString = date.toISOString().split('T')[0];
-            if (date.getDay() === 5 && dateString >= startDate && dateString <= endDate) {
-                const dayData = allSchedules[weekId]['שישי'];
-                const employee = (dayData && dayData.morning && dayData.morning.employee !== 'none') ? dayData.morning.employee : 'לא משובץ';
-                fridays.push({ date: formatDate(date), employee });
+            const dayRules = getDayRules(date);
+            if (dayRules.ruleDayIndex === 5 && dayRules.isOpen && dateString >= startDate && dateString <= endDate) {
+                const dayData = allSchedules[weekId][DAYS[date.getDay()]] || {};
+                const employees = sortShiftTypeIds(Object.keys(dayData))
+                    .map(shiftType => dayData[shiftType]?.employee)
+                    .filter(emp => emp && emp !== 'none');
+                const employee = employees.length > 0 ? employees.join(', ') : 'לא משובץ';
+                const dateLabel = dayRules.holiday ? `${formatDate(date)} (${dayRules.holiday.name})` : formatDate(date);
+                fridays.push({ date: dateLabel, employee });
             }
         });
     }
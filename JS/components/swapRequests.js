@@ -0,0 +1,294 @@
+import { getCurrentUser, loadSwapRequests, saveSwapRequest, saveScheduleChanges, sendEmailWithGmailApi } from "../Api/googleApi.js";
+import { getStorageBackend, isStorageReady } from "../Api/storage.js";
+import { MANAGER_EMAIL } from "../config.js";
+import { DOMElements, updateStatus, displayAPIError, allSchedules } from "../main.js";
+import { collectEmployeeShifts, getShiftPeriod } from "../services/agenda.js";
+import { getSchedulableEmployees, getEmployeeEmail, canActAs } from "../services/roster.js";
+import { getShiftLabel } from "../services/shiftTypes.js";
+import { applyCellUpdates } from "../services/shiftMoves.js";
+import {
+    SWAP_TYPES, SWAP_STATUSES, SWAP_STATUS_LABELS, isOpenSwapRequest,
+    createSwapRequest, transitionSwapRequest, planSwapApproval
+} from "../services/swapRequests.js";
+import { formatDate, escapeHtml, getWeekId, toDateString, getDateOfDay, setButtonLoading, restoreButton, showCustomConfirmation } from "../utils.js";
+import { renderSchedule } from "./schedule.js";
+
+// How far ahead the form offers shifts to swap
+const SWAP_WEEKS_AHEAD = 8;
+
+const STATUS_CLASSES = {
+    pending: 'bg-amber-100 text-amber-800 dark:bg-amber-900/40 dark:text-amber-300',
+    accepted: 'bg-blue-100 text-blue-800 dark:bg-blue-900/40 dark:text-blue-300',
+    approved: 'bg-green-100 text-green-800 dark:bg-green-900/40 dark:text-green-300'
+};
+
+let swapRequests = [];
+let currentUser = { email: '', employee: null, isManager: false };
+
+const encodeCell = cell => `${cell.weekId}|${cell.day}|${cell.shiftType}`;
+const decodeCell = value => {
+    const [weekId, day, shiftType] = value.split('|');
+    return { weekId, day, shiftType };
+};
+
+function describeCell(cell) {
+    const date = formatDate(getDateOfDay(cell.weekId, cell.day), { day: '2-digit', month: '2-digit' });
+    return `משמרת ${getShiftLabel(cell.shiftType)} ביום ${cell.day} ${date}`;
+}
+
+/** One-line Hebrew description of a request, used in the list and in the emails. */
+function describeRequest(request) {
+    if (request.type === SWAP_TYPES.TRADE) {
+        return `${request.requester} מחליף/ה את ה${describeCell(request.shift)} עם ${request.counterpart} תמורת ה${describeCell(request.counterpartShift)}`;
+    }
+    return `${request.requester} מוסר/ת את ה${describeCell(request.shift)} ל${request.counterpart}`;
+}
+
+function fillSelect(select, options, placeholder) {
+    const previousValue = select.value;
+    select.innerHTML = '';
+    if (placeholder) select.add(new Option(placeholder, ''));
+    options.forEach(({ value, label }) => select.add(new Option(label, value)));
+    if ([...select.options].some(option => option.value === previousValue)) select.value = previousValue;
+}
+
+/** The employee's shifts from now on that are not already part of an open request. */
+function getSwappableShifts(employee) {
+    const now = new Date();
+    const taken = new Set(swapRequests.filter(isOpenSwapRequest)
+        .flatMap(request => [request.shift, request.counterpartShift]).filter(Boolean).map(encodeCell));
+    return collectEmployeeShifts(allSchedules, employee, getWeekId(toDateString(now)), SWAP_WEEKS_AHEAD)
+        .filter(shift => getShiftPeriod(shift).startsAt > now && !taken.has(encodeCell(shift)))
+        .map(shift => ({ value: encodeCell(shift), label: `${describeCell(shift)} (${shift.start.substring(0, 5)}-${shift.end.substring(0, 5)})` }));
+}
+
+/** Opens the swap requests window. The requester defaults to the signed-in user, matched by email against the roster. */
+export async function showSwapRequestsModal() {
+    if (!isStorageReady()) {
+        updateStatus('יש להתחבר עם חשבון Google כדי לבצע פעולה זו.', 'info', false);
+        return;
+    }
+    if (getStorageBackend().isRemote && !navigator.onLine) {
+        updateStatus('בקשות החלפה דורשות חיבור לרשת.', 'info', false);
+        return;
+    }
+
+    currentUser = await getCurrentUser();
+
+    try {
+        swapRequests = await loadSwapRequests();
+    } catch (err) {
+        displayAPIError(err, 'שגיאה בטעינת בקשות ההחלפה');
+        return;
+    }
+
+    const employees = getSchedulableEmployees().filter(name => canActAs(currentUser, name));
+    fillSelect(DOMElements.swapRequesterSelect, employees.map(name => ({ value: name, label: name })));
+    if (employees.includes(currentUser.employee)) DOMElements.swapRequesterSelect.value = currentUser.employee;
+    DOMElements.swapForm.classList.toggle('hidden', employees.length === 0);
+
+    updateSwapForm();
+    renderSwapRequests();
+    DOMElements.swapModal.classList.remove('hidden');
+}
+
+/** Refreshes the form's dependent selects after the requester, type or counterpart changed. */
+export function updateSwapForm() {
+    const requester = DOMElements.swapRequesterSelect.value;
+    const isTrade = DOMElements.swapTypeSelect.value === SWAP_TYPES.TRADE;
+
+    fillSelect(DOMElements.swapShiftSelect, requester ? getSwappableShifts(requester) : [], 'בחר/י משמרת');
+    const counterparts = getSchedulableEmployees().filter(name => name !== requester);
+    fillSelect(DOMElements.swapCounterpartSelect, counterparts.map(name => ({ value: name, label: name })), 'בחר/י עמית/ה');
+
+    const counterpart = DOMElements.swapCounterpartSelect.value;
+    fillSelect(DOMElements.swapCounterpartShiftSelect, isTrade && counterpart ? getSwappableShifts(counterpart) : [], 'בחר/י משמרת של העמית/ה');
+    DOMElements.swapCounterpartShiftSelect.classList.toggle('hidden', !isTrade);
+}
+
+/** Lists the requests, open ones first, with the actions the current user may take on each. */
+function renderSwapRequests() {
+    const list = DOMElements.swapRequestsList;
+    if (swapRequests.length === 0) {
+        list.innerHTML = '<li class="p-4 text-center">אין בקשות החלפה.</li>';
+        return;
+    }
+
+    const sorted = [...swapRequests.filter(isOpenSwapRequest), ...swapRequests.filter(request => !isOpenSwapRequest(request))];
+    const button = (request, action, label, color) =>
+        `<button class="btn ${color} text-sm px-3 py-1" data-swap-id="${escapeHtml(request.id)}" data-swap-action="${action}">${label}</button>`;
+
+    list.innerHTML = sorted.map(request => {
+        const actions = [];
+        if (request.status === SWAP_STATUSES.PENDING && canActAs(currentUser, request.counterpart)) {
+            actions.push(button(request, SWAP_STATUSES.ACCEPTED, 'אישור', 'btn-green'), button(request, SWAP_STATUSES.DECLINED, 'דחייה', 'btn-red'));
+        }
+        if (request.status === SWAP_STATUSES.ACCEPTED && currentUser.isManager) {
+            actions.push(button(request, SWAP_STATUSES.APPROVED, 'אישור מנהל', 'btn-green'), button(request, SWAP_STATUSES.REJECTED, 'דחייה', 'btn-red'));
+        }
+        if (isOpenSwapRequest(request) && canActAs(currentUser, request.requester)) {
+            actions.push(button(request, SWAP_STATUSES.CANCELLED, 'ביטול', 'btn-slate'));
+        }
+        const statusClass = STATUS_CLASSES[request.status] || 'bg-slate-100 text-slate-600 dark:bg-slate-700 dark:text-slate-300';
+        return `
+            <li class="p-3 flex flex-col gap-2">
+                <div class="flex justify-between items-start gap-4">
+                    <span>${escapeHtml(describeRequest(request))}</span>
+                    <span class="text-xs whitespace-nowrap px-2 py-1 rounded ${statusClass}">${escapeHtml(SWAP_STATUS_LABELS[request.status] || request.status)}</span>
+                </div>
+                ${request.note ? `<p class="text-sm text-slate-500 dark:text-slate-400">${escapeHtml(request.note)}</p>` : ''}
+                ${actions.length > 0 ? `<div class="flex gap-2">${actions.join('')}</div>` : ''}
+            </li>`;
+    }).join('');
+}
+
+/**
+ * Emails the people involved in a request. Sending is best effort: a failed email is only logged,
+ * and nothing is sent with the local backend.
+ * @param {string[]} lines - The message as plain text, one paragraph per line; escaped into the HTML body.
+ */
+async function notify(names, subject, lines, { includeManager = false } = {}) {
+    if (!getStorageBackend().isRemote) return;
+    const body = lines.map(line => `<p>${escapeHtml(line)}</p>`).join('');
+    const emails = new Set(names.map(getEmployeeEmail).filter(Boolean));
+    if (includeManager) emails.add(MANAGER_EMAIL);
+    emails.delete(currentUser.email);
+    for (const email of emails) {
+        try {
+            await sendEmailWithGmailApi(email, subject, body);
+        } catch (err) {
+            console.warn(`Swap request notification to ${email} failed:`, err);
+        }
+    }
+}
+
+/** Creates a request from the form and notifies the counterpart. */
+export async function handleSubmitSwapRequest() {
+    const shiftValue = DOMElements.swapShiftSelect.value;
+    const counterpart = DOMElements.swapCounterpartSelect.value;
+    const type = DOMElements.swapTypeSelect.value;
+    const counterpartShiftValue = DOMElements.swapCounterpartShiftSelect.value;
+    if (!shiftValue || !counterpart || (type === SWAP_TYPES.TRADE && !counterpartShiftValue)) {
+        updateStatus('יש לבחור משמרת, עמית/ה ובהחלפה גם את משמרת העמית/ה.', 'info', false);
+        return;
+    }
+
+    const request = createSwapRequest({
+        type,
+        requester: DOMElements.swapRequesterSelect.value,
+        shift: decodeCell(shiftValue),
+        counterpart,
+        counterpartShift: counterpartShiftValue ? decodeCell(counterpartShiftValue) : null,
+        note: DOMElements.swapNoteInput.value.trim()
+    }, currentUser.email || DOMElements.swapRequesterSelect.value);
+
+    const button = DOMElements.swapSubmitBtn;
+    setButtonLoading(button, 'שולח...');
+    try {
+        swapRequests = await saveSwapRequest(request);
+        await notify([counterpart], 'בקשת החלפת משמרת חדשה', [
+            `${describeRequest(request)}.`,
+            ...(request.note ? [`הערה: ${request.note}`] : []),
+            'ניתן לאשר או לדחות את הבקשה במערכת הסידור.'
+        ]);
+        DOMElements.swapNoteInput.value = '';
+        updateSwapForm();
+        renderSwapRequests();
+        updateStatus('בקשת ההחלפה נשלחה!', 'success');
+    } catch (err) {
+        displayAPIError(err, 'שגיאה בשליחת בקשת ההחלפה');
+    } finally {
+        restoreButton(button);
+    }
+}
+
+/**
+ * Applies an approved request to the schedule and saves it.
+ * @returns {Promise<boolean>} True if the schedule was saved.
+ */
+async function applyApprovedSwap(request) {
+    const plan = planSwapApproval(allSchedules, request);
+    if (plan.stale) {
+        updateStatus('המשמרות השתנו מאז שהבקשה נוצרה. יש לדחות אותה וליצור בקשה חדשה.', 'error', false);
+        return false;
+    }
+    if (plan.conflict) {
+        updateStatus(`${plan.conflict.employee} כבר משובץ/ת למשמרת אחרת ביום ${plan.conflict.day}.`, 'error');
+        return false;
+    }
+
+    const before = JSON.parse(JSON.stringify(allSchedules));
+    applyCellUpdates(allSchedules, plan.updates);
+    renderSchedule(getWeekId(DOMElements.datePicker.value));
+    const written = await saveScheduleChanges(allSchedules, `החלפת משמרות: ${request.requester} ↔ ${request.counterpart}`);
+    if (!written) {
+        applyCellUpdates(allSchedules, plan.updates.map(({ cell }) => ({ cell, shift: before[cell.weekId]?.[cell.day]?.[cell.shiftType] || null })));
+        renderSchedule(getWeekId(DOMElements.datePicker.value));
+        return false;
+    }
+    return true;
+}
+
+async function updateRequestStatus(request, status, button) {
+    setButtonLoading(button, 'מעדכן...');
+    try {
+        // Re-read first, in case the request was handled elsewhere meanwhile
+        swapRequests = await loadSwapRequests();
+        const current = swapRequests.find(existing => existing.id === request.id);
+        if (!current || current.status !== request.status) {
+            renderSwapRequests();
+            updateStatus('הבקשה עודכנה בינתיים. הרשימה רועננה.', 'info', false);
+            return;
+        }
+        if (status === SWAP_STATUSES.APPROVED && !(await applyApprovedSwap(current))) return;
+
+        const updated = transitionSwapRequest(current, status, currentUser.email || 'local');
+        swapRequests = await saveSwapRequest(updated);
+        const summary = describeRequest(updated);
+        switch (status) {
+            case SWAP_STATUSES.ACCEPTED:
+                await notify([updated.requester], 'בקשת החלפת משמרת ממתינה לאישור מנהל',
+                    [`${updated.counterpart} הסכים/ה לבקשה: ${summary}.`, 'הבקשה ממתינה לאישור המנהל במערכת הסידור.'], { includeManager: true });
+                break;
+            case SWAP_STATUSES.DECLINED:
+                await notify([updated.requester], 'בקשת החלפת משמרת נדחתה', [`${updated.counterpart} דחה/תה את הבקשה: ${summary}.`]);
+                break;
+            case SWAP_STATUSES.APPROVED:
+                await notify([updated.requester, updated.counterpart], 'החלפת משמרת אושרה', [`המנהל אישר את הבקשה: ${summary}.`, 'הסידור עודכן.']);
+                break;
+            case SWAP_STATUSES.REJECTED:
+                await notify([updated.requester, updated.counterpart], 'החלפת משמרת נדחתה', [`המנהל דחה את הבקשה: ${summary}.`]);
+                break;
+            case SWAP_STATUSES.CANCELLED:
+                await notify([updated.counterpart], 'בקשת החלפת משמרת בוטלה', [`${updated.requester} ביטל/ה את הבקשה: ${summary}.`],
+                    { includeManager: request.status === SWAP_STATUSES.ACCEPTED });
+                break;
+        }
+        updateSwapForm();
+        renderSwapRequests();
+        updateStatus(`הבקשה עודכנה: ${SWAP_STATUS_LABELS[status]}.`, 'success');
+    } catch (err) {
+        displayAPIError(err, 'שגיאה בעדכון בקשת ההחלפה');
+    } finally {
+        restoreButton(button);
+    }
+}
+
+/** Handles the action buttons in the requests list (delegated from the list element). */
+export function handleSwapRequestAction(event) {
+    const button = event.target.closest('button[data-swap-action]');
+    if (!button) return;
+    const request = swapRequests.find(existing => existing.id === button.dataset.swapId);
+    if (!request) return;
+
+    const status = button.dataset.swapAction;
+    if (status === SWAP_STATUSES.APPROVED) {
+        showCustomConfirmation(`לאשר ולעדכן את הסידור? ${escapeHtml(describeRequest(request))}.`, () => updateRequestStatus(request, status, button));
+    } else {
+        updateRequestStatus(request, status, button);
+    }
+}
+
+export function closeSwapRequestsModal() {
+    DOMElements.swapModal.classList.add('hidden');
+}
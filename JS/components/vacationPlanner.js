@@ -0,0 +1,142 @@
+import { saveScheduleChanges, updateAvailability, getCurrentUser } from "../Api/googleApi.js";
+import { getStorageBackend, isStorageReady } from "../Api/storage.js";
+import { DOMElements, updateStatus, displayAPIError, allSchedules } from "../main.js";
+import { getSchedulableEmployees, getReplacementEmployee } from "../services/roster.js";
+import { getShiftLabel } from "../services/shiftTypes.js";
+import { findVacationShifts } from "../services/vacationPlan.js";
+import { createAvailabilityEntry, AVAILABILITY_TYPES } from "../services/availability.js";
+import { applyCellUpdates, findSameDayConflict } from "../services/shiftMoves.js";
+import { escapeHtml, formatDate, getWeekId, toDateString, setButtonLoading, restoreButton } from "../utils.js";
+import { renderSchedule } from "./schedule.js";
+
+// The previewed shifts; written only when the manager confirms
+let previewedVacation = null;
+
+export function showVacationModal() {
+    if (!isStorageReady()) {
+        updateStatus('יש להתחבר עם חשבון Google כדי לבצע פעולה זו.', 'info', false);
+        return;
+    }
+    const sundayOfCurrentWeek = new Date(getWeekId(toDateString(new Date())));
+    const saturdayOfCurrentWeek = new Date(sundayOfCurrentWeek);
+    saturdayOfCurrentWeek.setDate(saturdayOfCurrentWeek.getDate() + 6);
+
+    DOMElements.vacationStartDateInput.value = toDateString(sundayOfCurrentWeek);
+    DOMElements.vacationEndDateInput.value = toDateString(saturdayOfCurrentWeek);
+    resetVacationPreview();
+    DOMElements.vacationModal.classList.remove('hidden');
+}
+
+export function closeVacationModal() {
+    DOMElements.vacationModal.classList.add('hidden');
+    resetVacationPreview();
+}
+
+/** Clears the preview, e.g. after the employee or the dates changed. */
+export function resetVacationPreview() {
+    previewedVacation = null;
+    DOMElements.vacationPreview.classList.add('hidden');
+    DOMElements.vacationPreviewBody.innerHTML = '';
+    DOMElements.vacationConfirmBtn.disabled = true;
+    DOMElements.vacationConfirmBtn.classList.add('opacity-50', 'cursor-not-allowed');
+}
+
+/** Lists the employee's shifts in the range, with a replacement picker offering only valid candidates. */
+export function handleVacationPreview() {
+    const employee = DOMElements.vacationEmployeeSelect.value;
+    const startDate = DOMElements.vacationStartDateInput.value;
+    const endDate = DOMElements.vacationEndDateInput.value;
+    if (!employee || !startDate || !endDate || endDate < startDate) {
+        updateStatus('יש לבחור עובד, תאריך התחלה ותאריך סיום שאינו לפניו.', 'info');
+        return;
+    }
+
+    // The vacation replacement is offered first, then the rest of the staff
+    const replacement = getReplacementEmployee();
+    const candidates = [...new Set([replacement, ...getSchedulableEmployees()].filter(Boolean))];
+    const shifts = findVacationShifts(allSchedules, employee, startDate, endDate, candidates);
+    previewedVacation = { employee, startDate, endDate, shifts };
+
+    const cellClass = 'p-2 border border-slate-300 dark:border-slate-600';
+    const selectClass = 'p-1 border border-slate-300 dark:border-slate-600 rounded-md bg-white dark:bg-slate-700 text-slate-700 dark:text-slate-300';
+    if (shifts.length === 0) {
+        DOMElements.vacationPreviewBody.innerHTML = `<tr><td colspan="4" class="${cellClass} text-center">אין ל${escapeHtml(employee)} משמרות בטווח הזה. החופשה תירשם בלבד.</td></tr>`;
+    } else {
+        DOMElements.vacationPreviewBody.innerHTML = shifts.map(({ cell, shift, date, candidates: valid }, index) => `
+            <tr>
+                <td class="${cellClass}">${cell.day} ${formatDate(date, { day: '2-digit', month: '2-digit' })}</td>
+                <td class="${cellClass}">${escapeHtml(getShiftLabel(cell.shiftType))}</td>
+                <td class="${cellClass}">${shift.start.substring(0, 5)}-${shift.end.substring(0, 5)}</td>
+                <td class="${cellClass}">
+                    <select class="${selectClass}" data-vacation-index="${index}">
+                        ${valid.map((name, i) => `<option value="${escapeHtml(name)}"${i === 0 ? ' selected' : ''}>${escapeHtml(name)}${name === replacement ? ' (מחליף)' : ''}</option>`).join('')}
+                        <option value="none"${valid.length === 0 ? ' selected' : ''}>ללא שיבוץ</option>
+                    </select>
+                </td>
+            </tr>`).join('');
+    }
+    DOMElements.vacationPreview.classList.remove('hidden');
+    DOMElements.vacationConfirmBtn.disabled = false;
+    DOMElements.vacationConfirmBtn.classList.remove('opacity-50', 'cursor-not-allowed');
+}
+
+/** Writes the chosen replacements and records the vacation as an absence. */
+export async function handleVacationConfirm() {
+    const vacation = previewedVacation;
+    if (!vacation) return;
+    if (getStorageBackend().isRemote && !navigator.onLine) {
+        updateStatus('רישום חופשה דורש חיבור לרשת.', 'info', false);
+        return;
+    }
+
+    const isStale = vacation.shifts.some(({ cell }) => allSchedules[cell.weekId]?.[cell.day]?.[cell.shiftType]?.employee !== vacation.employee);
+    if (isStale) {
+        handleVacationPreview();
+        updateStatus('הסידור השתנה מאז התצוגה המקדימה. יש לבדוק את השיבוצים שוב.', 'info', false);
+        return;
+    }
+
+    const updates = vacation.shifts.map(({ cell, shift }, index) => {
+        const choice = DOMElements.vacationPreviewBody.querySelector(`select[data-vacation-index="${index}"]`).value;
+        return { cell, shift: choice === 'none' ? null : { ...shift, employee: choice } };
+    });
+    const conflict = findSameDayConflict(allSchedules, updates);
+    if (conflict) {
+        updateStatus(`${conflict.employee} נבחר/ה ליותר ממשמרת אחת ביום ${conflict.day}.`, 'error');
+        return;
+    }
+
+    const button = DOMElements.vacationConfirmBtn;
+    setButtonLoading(button, 'שומר...');
+    try {
+        if (updates.length > 0) {
+            applyCellUpdates(allSchedules, updates);
+            renderSchedule(getWeekId(DOMElements.datePicker.value));
+            const written = await saveScheduleChanges(allSchedules, `חופשה של ${vacation.employee}`);
+            if (!written) {
+                applyCellUpdates(allSchedules, vacation.shifts.map(({ cell, shift }) => ({ cell, shift })));
+                renderSchedule(getWeekId(DOMElements.datePicker.value));
+                return;
+            }
+        }
+
+        const { email } = await getCurrentUser();
+        await updateAvailability({
+            add: createAvailabilityEntry({
+                employee: vacation.employee,
+                startDate: vacation.startDate,
+                endDate: vacation.endDate,
+                reason: 'חופשה',
+                type: AVAILABILITY_TYPES.VACATION
+            }, email || 'local')
+        });
+        const assigned = updates.filter(update => update.shift).length;
+        updateStatus(`החופשה של ${vacation.employee} נרשמה. שובצו ${assigned} מתוך ${updates.length} משמרות.`, 'success');
+    } catch (err) {
+        displayAPIError(err, 'שגיאה ברישום החופשה');
+        return;
+    } finally {
+        restoreButton(button);
+    }
+    closeVacationModal();
+}
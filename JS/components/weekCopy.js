@@ -0,0 +1,230 @@
+import { saveScheduleChanges, loadTemplates, updateTemplates } from "../Api/googleApi.js";
+import { getStorageBackend, isStorageReady } from "../Api/storage.js";
+import { DOMElements, updateStatus, displayAPIError, allSchedules } from "../main.js";
+import { getSchedulableEmployees } from "../services/roster.js";
+import { getShiftLabel } from "../services/shiftTypes.js";
+import { applyCellUpdates } from "../services/shiftMoves.js";
+import { planWeekCopy, listWeekIds, COPY_MODES } from "../services/weekCopy.js";
+import { createTemplateFromWeek } from "../services/weekTemplates.js";
+import { escapeHtml, formatDate, getWeekId, toDateString, setButtonLoading, restoreButton, showCustomConfirmation } from "../utils.js";
+import { renderSchedule } from "./schedule.js";
+
+const SOURCE_KINDS = { WEEK: 'week', TEMPLATE: 'template' };
+const MAX_TARGET_WEEKS = 12;
+
+let templates = [];
+// The previewed copy; written only when the manager confirms
+let preview = null;
+
+/** Opens the copy window set to copy the previous week onto the displayed one. */
+export async function showWeekCopyModal() {
+    if (!isStorageReady()) {
+        updateStatus('יש להתחבר עם חשבון Google כדי לבצע פעולה זו.', 'info', false);
+        return;
+    }
+    if (!getStorageBackend().isRemote || navigator.onLine) {
+        try {
+            templates = await loadTemplates();
+        } catch (err) {
+            displayAPIError(err, 'שגיאה בטעינת התבניות');
+            return;
+        }
+    }
+
+    const [year, month, day] = getWeekId(DOMElements.datePicker.value).split('-').map(Number);
+    DOMElements.weekCopySourceKindSelect.value = SOURCE_KINDS.WEEK;
+    DOMElements.weekCopySourceDate.value = toDateString(new Date(year, month - 1, day - 7));
+    DOMElements.weekCopyTargetDate.value = toDateString(new Date(year, month - 1, day));
+    DOMElements.weekCopyCountInput.value = '1';
+    DOMElements.weekCopyModeSelect.value = COPY_MODES.OVERWRITE;
+    DOMElements.weekCopyRotateFriday.checked = false;
+    renderTemplates();
+    updateWeekCopyForm();
+    DOMElements.weekCopyModal.classList.remove('hidden');
+}
+
+export function closeWeekCopyModal() {
+    DOMElements.weekCopyModal.classList.add('hidden');
+    resetWeekCopyPreview();
+}
+
+/** Shows the source week date or the template select, by the chosen source, and drops a stale preview. */
+export function updateWeekCopyForm() {
+    const isTemplate = DOMElements.weekCopySourceKindSelect.value === SOURCE_KINDS.TEMPLATE;
+    DOMElements.weekCopySourceDate.classList.toggle('hidden', isTemplate);
+    DOMElements.weekCopyTemplateSelect.classList.toggle('hidden', !isTemplate);
+    resetWeekCopyPreview();
+}
+
+export function resetWeekCopyPreview() {
+    preview = null;
+    DOMElements.weekCopyPreview.classList.add('hidden');
+    DOMElements.weekCopyPreviewBody.innerHTML = '';
+    DOMElements.weekCopyConfirmBtn.disabled = true;
+    DOMElements.weekCopyConfirmBtn.classList.add('opacity-50', 'cursor-not-allowed');
+}
+
+function renderTemplates() {
+    const select = DOMElements.weekCopyTemplateSelect;
+    select.innerHTML = '';
+    templates.forEach(template => select.add(new Option(template.name, template.name)));
+
+    const list = DOMElements.weekCopyTemplateList;
+    if (templates.length === 0) {
+        list.innerHTML = '<li class="p-2 text-center">אין תבניות שמורות.</li>';
+        return;
+    }
+    list.innerHTML = templates.map(template => {
+        const shiftCount = Object.values(template.week).reduce((sum, dayData) => sum + Object.keys(dayData).length, 0);
+        return `
+        <li class="p-2 flex justify-between items-center gap-4">
+            <span><b>${escapeHtml(template.name)}</b> <span class="text-sm text-slate-500 dark:text-slate-400">(${shiftCount} משמרות)</span></span>
+            <button class="btn btn-red text-sm px-3 py-1" data-template-name="${escapeHtml(template.name)}">מחיקה</button>
+        </li>`;
+    }).join('');
+}
+
+/** The week to copy, from the schedule or a template, with a label for the change log. */
+function getSource() {
+    if (DOMElements.weekCopySourceKindSelect.value === SOURCE_KINDS.TEMPLATE) {
+        const template = templates.find(t => t.name === DOMElements.weekCopyTemplateSelect.value);
+        return template ? { week: template.week, weekId: null, label: `החלת התבנית "${template.name}"` } : null;
+    }
+    if (!DOMElements.weekCopySourceDate.value) return null;
+    const weekId = getWeekId(DOMElements.weekCopySourceDate.value);
+    const week = allSchedules[weekId];
+    return week && Object.keys(week).length > 0 ? { week, weekId, label: `העתקת השבוע של ${formatDate(weekId)}` } : null;
+}
+
+/** Lists every shift the copy would change, before anything is saved. */
+export function handleWeekCopyPreview() {
+    const source = getSource();
+    if (!source) {
+        updateStatus('לא נמצא סידור לשבוע המקור, או שלא נבחרה תבנית.', 'info');
+        return;
+    }
+    const count = Number(DOMElements.weekCopyCountInput.value);
+    if (!DOMElements.weekCopyTargetDate.value || !Number.isInteger(count) || count < 1 || count > MAX_TARGET_WEEKS) {
+        updateStatus(`יש לבחור שבוע יעד ומספר שבועות בין 1 ל-${MAX_TARGET_WEEKS}.`, 'info');
+        return;
+    }
+    const targetWeekIds = listWeekIds(DOMElements.weekCopyTargetDate.value, count);
+    if (targetWeekIds.includes(source.weekId)) {
+        updateStatus('שבוע המקור אינו יכול להיות גם שבוע יעד.', 'info');
+        return;
+    }
+
+    const { updates, skipped } = planWeekCopy(allSchedules, source.week, targetWeekIds, {
+        mode: DOMElements.weekCopyModeSelect.value,
+        rotateFriday: DOMElements.weekCopyRotateFriday.checked,
+        employees: getSchedulableEmployees(),
+        sourceWeekId: source.weekId
+    });
+    preview = { updates, label: source.label };
+
+    const cellClass = 'p-2 border border-slate-300 dark:border-slate-600';
+    const employeeText = shift => (shift?.employee && shift.employee !== 'none' ? escapeHtml(shift.employee) : '—');
+    const dayText = (cell, date) => `${cell.day} ${formatDate(date, { day: '2-digit', month: '2-digit' })}`;
+    const updateRows = updates.map(({ cell, date, before, shift }) => `
+            <tr>
+                <td class="${cellClass} whitespace-nowrap">${dayText(cell, date)}</td>
+                <td class="${cellClass}">${escapeHtml(getShiftLabel(cell.shiftType))}</td>
+                <td class="${cellClass}">${employeeText(before)}</td>
+                <td class="${cellClass} font-semibold">${employeeText(shift)}</td>
+            </tr>`);
+    const skippedRows = skipped.map(({ cell, date, employee, problems }) => `
+            <tr class="bg-red-50 dark:bg-red-900/20">
+                <td class="${cellClass} whitespace-nowrap">${dayText(cell, date)}</td>
+                <td class="${cellClass}">${escapeHtml(getShiftLabel(cell.shiftType))}</td>
+                <td class="${cellClass} text-red-600 dark:text-red-400" colspan="2">לא הועתק: ${escapeHtml(employee)} (${escapeHtml(problems.join(', '))}). המשמרת תישאר ריקה.</td>
+            </tr>`);
+    DOMElements.weekCopyPreviewBody.innerHTML = updateRows.length + skippedRows.length === 0
+        ? `<tr><td colspan="4" class="${cellClass} text-center">אין שינויים: שבועות היעד כבר תואמים למקור.</td></tr>`
+        : [...updateRows, ...skippedRows].join('');
+    DOMElements.weekCopyPreviewSummary.textContent =
+        `${updates.length} משמרות ישתנו ב-${targetWeekIds.length} שבועות, החל מהשבוע של ${formatDate(targetWeekIds[0])}.` +
+        (skipped.length > 0 ? ` ${skipped.length} משמרות לא יועתקו כי הן מפרות את כללי הסידור.` : '');
+    DOMElements.weekCopyPreview.classList.remove('hidden');
+    const hasUpdates = updates.length > 0;
+    DOMElements.weekCopyConfirmBtn.disabled = !hasUpdates;
+    DOMElements.weekCopyConfirmBtn.classList.toggle('opacity-50', !hasUpdates);
+    DOMElements.weekCopyConfirmBtn.classList.toggle('cursor-not-allowed', !hasUpdates);
+}
+
+/** Writes the previewed copy. */
+export async function handleWeekCopyConfirm() {
+    if (!preview || preview.updates.length === 0) return;
+    const { updates, label } = preview;
+    const isStale = updates.some(({ cell, before }) =>
+        JSON.stringify(allSchedules[cell.weekId]?.[cell.day]?.[cell.shiftType] || null) !== JSON.stringify(before));
+    if (isStale) {
+        handleWeekCopyPreview();
+        updateStatus('הסידור השתנה מאז התצוגה המקדימה. יש לבדוק את השינויים שוב.', 'info', false);
+        return;
+    }
+
+    const button = DOMElements.weekCopyConfirmBtn;
+    setButtonLoading(button, 'שומר...');
+    applyCellUpdates(allSchedules, updates);
+    renderSchedule(getWeekId(DOMElements.datePicker.value));
+    const written = await saveScheduleChanges(allSchedules, label);
+    restoreButton(button);
+    if (!written) {
+        applyCellUpdates(allSchedules, updates.map(({ cell, before }) => ({ cell, shift: before })));
+        renderSchedule(getWeekId(DOMElements.datePicker.value));
+        return;
+    }
+    closeWeekCopyModal();
+}
+
+async function saveTemplateChange(change, button, successMessage) {
+    if (getStorageBackend().isRemote && !navigator.onLine) {
+        updateStatus('עדכון התבניות דורש חיבור לרשת.', 'info', false);
+        return;
+    }
+    setButtonLoading(button, 'שומר...');
+    try {
+        templates = await updateTemplates(change);
+        renderTemplates();
+        updateStatus(successMessage, 'success');
+    } catch (err) {
+        displayAPIError(err, 'שגיאה בשמירת התבניות');
+    } finally {
+        restoreButton(button);
+    }
+}
+
+/** Saves the displayed week as a named template, replacing a template of the same name. */
+export function handleSaveWeekTemplate() {
+    const name = DOMElements.weekCopyTemplateNameInput.value.trim();
+    if (!name) {
+        updateStatus('יש לתת שם לתבנית.', 'info', false);
+        return;
+    }
+    const weekId = getWeekId(DOMElements.datePicker.value);
+    const template = createTemplateFromWeek(name, allSchedules[weekId]);
+    if (Object.keys(template.week).length === 0) {
+        updateStatus('אין משמרות משובצות בשבוע המוצג.', 'info', false);
+        return;
+    }
+    const save = () => {
+        DOMElements.weekCopyTemplateNameInput.value = '';
+        saveTemplateChange({ add: template }, DOMElements.weekCopySaveTemplateBtn, `השבוע של ${formatDate(weekId)} נשמר כתבנית "${name}".`);
+    };
+    if (templates.some(existing => existing.name === name)) {
+        showCustomConfirmation(`כבר קיימת תבנית בשם "${name}". להחליף אותה?`, save);
+    } else {
+        save();
+    }
+}
+
+/** Handles the delete buttons in the template list (delegated from the list element). */
+export function handleWeekTemplateListClick(event) {
+    const button = event.target.closest('button[data-template-name]');
+    if (!button) return;
+    const name = button.dataset.templateName;
+    showCustomConfirmation(`למחוק את התבנית "${name}"?`, () => {
+        saveTemplateChange({ removeName: name }, button, 'התבנית נמחקה.');
+        resetWeekCopyPreview();
+    });
+}
@@ -4,17 +4,57 @@ export const SCOPES = 'https://www.googleapis.com/auth/spreadsheets https://www.
 export const SPREADSHEET_ID = '1vgNyxWLWtdbqDk4_FOpQPSlyVZq1zhvxAv-SylYHzsk';
 export const SHEET_NAME = 'schedules';
 export const SHEET_NAME_LOGS = 'login_logs'; // New constant for the logs sheet
+export const SHEET_NAME_EMPLOYEES = 'employees'; // Roster: name, email, role, active
+export const SHEET_NAME_SETTINGS = 'settings'; // Key/value app settings (e.g. the weekly policy)
+export const SHEET_NAME_HOLIDAYS = 'holidays'; // Extra closure days and eves: date (YYYY-MM-DD), name, type (holiday/eve)
+export const SHEET_NAME_CHANGE_LOG = 'change_log'; // Audit trail of every saved shift change
+export const SHEET_NAME_SWAP_REQUESTS = 'swap_requests'; // Shift swap requests and their approval status
+export const SHEET_NAME_AVAILABILITY = 'availability'; // Days and shifts employees cannot work (time off, weekly constraints)
+export const SHEET_NAME_TEMPLATES = 'templates'; // Named week templates: name, day, shift_type, employee, start, end
+export const SHEET_NAME_RECURRING = 'recurring'; // Fixed weekly assignments: employee, day, shift_type, start_date, end_date
+export const SHEET_NAME_ATTENDANCE = 'attendance'; // Actual clock-in/clock-out per employee, date and shift (from Hilanet)
 
-// Employee and Shift Configurations
-export const EMPLOYEES = ['מאור', 'מור', 'טכנאי מרכז'];
-export const EMPLOYEE_EMAILS = {
-    'מאור': 'maorbensimon1542@gmail.com',
-    'מור': 'morben@assuta.co.il',
-    'טכנאי מרכז': 'tech.email@example.com'
-};
+// The manager: gets the login notifications and approves shift swaps
+export const MANAGER_EMAIL = 'maorbensimon1542@gmail.com';
+
+// The staff as configured before the roster moved to the `employees` tab. Written to the tab once,
+// when the Google Sheet has no such tab yet; from then on the roster screen is the only source.
+export const INITIAL_ROSTER = [
+    { name: 'מאור', email: 'maorbensimon1542@gmail.com', role: 'staff', active: true },
+    { name: 'מור', email: 'morben@assuta.co.il', role: 'staff', active: true },
+    { name: 'טכנאי מרכז', email: 'tech.email@example.com', role: 'replacement', active: true }
+];
+
+// Shift Configurations
 export const DAYS = ['ראשון', 'שני', 'שלישי', 'רביעי', 'חמישי', 'שישי', 'שבת'];
-export const VACATION_EMPLOYEE_REPLACEMENT = 'טכנאי מרכז';
-export const DEFAULT_SHIFT_TIMES = {
-    morning: { start: '07:00:00', end: '16:00:00' },
-    evening: { start: '13:00:00', end: '22:00:00' }
-};
\ No newline at end of file
+
+/**
+ * Shift type registry. The schedule table columns, the shift modal, the sheet rows,
+ * the Excel/email exports and the charts all follow this list, in this order.
+ * - id: the value stored in the `shift_type` column of the sheet.
+ * - start/end: the usual hours; a weekday in the weekly policy may override them.
+ * - isEvening: counted as an evening shift in the fairness report.
+ * Which types run on which weekday is decided by the weekly policy below.
+ */
+export const SHIFT_TYPES = [
+    { id: 'morning', label: 'בוקר', start: '07:00:00', end: '16:00:00', color: '#3B82F6' },
+    { id: 'evening', label: 'ערב', start: '13:00:00', end: '22:00:00', color: '#8B5CF6', isEvening: true },
+    { id: 'night', label: 'לילה', start: '22:00:00', end: '07:00:00', color: '#0F766E' },
+    { id: 'onCall', label: 'כוננות', start: '16:00:00', end: '07:00:00', color: '#F59E0B' }
+];
+
+/**
+ * Default weekly operating rules, indexed by weekday (0 = Sunday).
+ * - shifts: the shift types that run on that day, with optional hours overriding the registry.
+ * - closedLabel: shown in place of shifts that do not run that day.
+ * Managers can edit the policy in the app; the edited copy is stored in the settings sheet.
+ */
+export const DEFAULT_WEEKLY_POLICY = [
+    { shifts: { morning: {}, evening: {} }, closedLabel: '—' },
+    { shifts: { morning: {}, evening: {} }, closedLabel: '—' },
+    { shifts: { morning: {}, evening: {} }, closedLabel: '—' },
+    { shifts: { morning: {}, evening: {} }, closedLabel: '—' },
+    { shifts: { morning: {}, evening: {} }, closedLabel: '—' },
+    { shifts: { morning: { start: '07:00:00', end: '12:00:00' } }, closedLabel: 'שבת שלום' },
+    { shifts: {}, closedLabel: 'שבת שלום' }
+];
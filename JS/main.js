@@ -1,9 +1,32 @@
-import { fetchData, handleCreateCalendarEvents, handleDeleteCalendarEvents, initializeGapiClient, saveFullSchedule, logLoginEvent, sendEmailWithGmailApi } from './Api/googleApi.js';
-import { handleShowChart, updateMonthlySummaryChart, destroyAllCharts, handleExportMonthlySummary, handleAnalyzeMonth, populateMonthSelector } from './components/charts.js';
-import { displayDifferences, hideDifferencesContainer, closeModal, closeVacationModal, handleModalSave, showEmployeeSelectionModal, showVacationModal, showEmailSelectionModal } from './components/modal.js';
-import { handleExportToExcel, renderSchedule, sendFridaySummaryEmail, handleSendEmail } from './components/schedule.js';
-import { EMPLOYEES, DAYS, VACATION_EMPLOYEE_REPLACEMENT, CLIENT_ID, SCOPES } from './config.js';
+import { fetchData, updateAttendance, handleCreateCalendarEvents, handleDeleteCalendarEvents, initializeGapiClient, saveScheduleChanges, logLoginEvent, sendEmailWithGmailApi, getSignedInUserEmail, loadCachedData, syncPendingSaves, clearOfflineCache } from './Api/googleApi.js';
+import { getStorageBackend, setStorageBackend, isStorageReady, STORAGE_BACKENDS } from './Api/storage.js';
+import { handleShowChart, updateMonthlySummaryChart, destroyAllCharts, handleExportMonthlySummary, handleAnalyzeMonth, populateMonthSelector, handleShowFairness, updateFairnessDashboard, handleExportPayroll } from './components/charts.js';
+import { displayDifferences, hideDifferencesContainer, closeModal, handleModalSave, showEmployeeSelectionModal, showEmailSelectionModal } from './components/modal.js';
+import { showVacationModal, closeVacationModal, resetVacationPreview, handleVacationPreview, handleVacationConfirm } from './components/vacationPlanner.js';
+import { handleExportToExcel, renderSchedule, sendFridaySummaryEmail, handleSendEmail, toggleScheduleView } from './components/schedule.js';
+import { showRosterModal, closeRosterModal, addRosterRow, handleSaveRoster } from './components/rosterManager.js';
+import { showPolicyModal, closePolicyModal, resetPolicyToDefault, handleSavePolicy } from './components/policyEditor.js';
+import { showWeekHistory, showCellHistory, closeHistoryModal } from './components/historyPanel.js';
+import { showMyShiftsModal, renderMyShifts, closeMyShiftsModal } from './components/myShifts.js';
+import { showSwapRequestsModal, updateSwapForm, handleSubmitSwapRequest, handleSwapRequestAction, closeSwapRequestsModal } from './components/swapRequests.js';
+import { showAvailabilityModal, updateAvailabilityForm, handleAddAvailability, handleAvailabilityListClick, closeAvailabilityModal } from './components/availability.js';
+import { showAutoScheduleModal, closeAutoScheduleModal, resetAutoScheduleDraft, handleGenerateAutoSchedule, handleApplyAutoSchedule } from './components/autoSchedule.js';
+import { showAiWeekModal, closeAiWeekModal, handleGenerateAiWeek, handleApplyAiWeek } from './components/aiWeekProposal.js';
+import { showWeekCopyModal, closeWeekCopyModal, updateWeekCopyForm, resetWeekCopyPreview, handleWeekCopyPreview, handleWeekCopyConfirm, handleSaveWeekTemplate, handleWeekTemplateListClick } from './components/weekCopy.js';
+import { showRecurringModal, closeRecurringModal, handleAddRecurringRule, handleRecurringListClick, proposeRecurringWeek, handleConfirmRecurringProposal, handleDismissRecurringProposal } from './components/recurring.js';
+import { showAttendanceModal, closeAttendanceModal, renderAttendance, handleAttendanceSummaryClick, handleExportAttendance } from './components/attendance.js';
+import { renderRosterSidebar } from './components/dragAndDrop.js';
+import { handleExportBackup, handleBackupFileSelected, closeBackupModal, handleMergeBackup, handleReplaceWithBackup } from './components/backupDialog.js';
+import { DAYS, CLIENT_ID, SCOPES, MANAGER_EMAIL } from './config.js';
 import * as hilanetParser from './services/hilanetParser.js';
+import { createAttendanceRecord, ATTENDANCE_SOURCES } from './services/attendance.js';
+import { getSchedulableEmployees, getAllStaffNames, getEmployee } from './services/roster.js';
+import { getShiftLabel, sortShiftTypeIds } from './services/shiftTypes.js';
+import { getShiftTypesForDate } from './services/operatingRules.js';
+import { getUnavailableEmployees } from './services/availability.js';
+import { MAX_WEEKLY_SHIFTS } from './services/schedulingRules.js';
+import { onUndoStackChange, peekUndo, peekRedo, takeUndo, takeRedo, restoreEntry } from './services/undoStack.js';
+import { applyChangeSet } from './services/scheduleDiff.js';
 import { formatDate, getWeekId, getWeekDates, showCustomConfirmation, setButtonLoading, restoreButton, debounce } from './utils.js';
 
 // --- Constants ---
@@ -32,6 +55,7 @@ export let DOMElements = {};
 
 // Application Data Stores with improved structure
 export let allSchedules = {};
+export let allEmployees = [];
 export let allCreatedCalendarEvents = {};
 let currentHilanetShifts = {};
 let currentDifferences = [];
@@ -121,7 +145,7 @@ class ProcessingQueue {
     }
 }
 
-const processingQueue = new ProcessingQueue();
+export const processingQueue = new ProcessingQueue();
 
 // --- Enhanced Processing Status Management ---
 function setProcessingStatus(processing) {
@@ -134,7 +158,8 @@ function setProcessingStatus(processing) {
         'uploadHilanetBtn', 'uploadImageBtn', 'resetBtn', 'sendEmailBtn',
         'downloadExcelBtn', 'copyPreviousWeekBtn', 'createCalendarEventsBtn',
         'deleteCalendarEventsBtn', 'refreshDataBtn', 'vacationShiftBtn',
-        'geminiSuggestionBtn'
+        'geminiSuggestionBtn', 'rosterBtn', 'policyBtn', 'weekHistoryBtn',
+        'backupExportBtn', 'backupImportBtn', 'swapRequestsBtn', 'availabilityBtn', 'autoScheduleBtn', 'aiWeekBtn', 'recurringBtn', 'attendanceBtn'
     ];
     
     requestAnimationFrame(() => {
@@ -190,6 +215,13 @@ export const updateStatus = debounce((text, type, showSpinner = false) => {
     console.log('Status Update:', { text, type, showSpinner, timestamp: new Date().toISOString() });
 }, PROCESSING_TIMEOUTS.UI_UPDATE_THROTTLE);
 
+/** Shows how many offline changes are still waiting to be synced next to the status indicator. */
+export function updatePendingChangesBadge(count) {
+    if (!DOMElements.pendingChangesBadge) return;
+    DOMElements.pendingChangesBadge.textContent = `${count} שינויים ממתינים לסנכרון`;
+    DOMElements.pendingChangesBadge.classList.toggle('hidden', count === 0);
+}
+
 // --- Enhanced Error Handling ---
 export function displayAPIError(err, defaultMessage) {
     let errorMessage = defaultMessage;
@@ -359,8 +391,7 @@ async function onTokenResponse(resp) {
 
         // Log the login event and send an email notification
         try {
-            const profile = await gapi.client.gmail.users.getProfile({ 'userId': 'me' });
-            const userEmail = profile.result.emailAddress;
+            const userEmail = await getSignedInUserEmail();
 
             if (userEmail) {
                 // Log to sheet
@@ -377,7 +408,7 @@ async function onTokenResponse(resp) {
                     </ul>
                 `;
                 // Sends the email to your predefined address
-                await sendEmailWithGmailApi('maorbensimon1542@gmail.com', notificationSubject, notificationBody);
+                await sendEmailWithGmailApi(MANAGER_EMAIL, notificationSubject, notificationBody);
             }
         } catch (error) {
             console.error('Could not get user profile, log event, or send email:', error);
@@ -391,6 +422,8 @@ async function onTokenResponse(resp) {
 }
 
 async function checkSignInStatus() {
+    // The local backend needs no sign-in; it was opened at startup
+    if (!getStorageBackend().isRemote) return;
     try {
         const token = localStorage.getItem('google_access_token');
         if (token) {
@@ -426,7 +459,34 @@ const authorize = debounce(() => {
     }
 }, PROCESSING_TIMEOUTS.BUTTON_DEBOUNCE);
 
+/**
+ * Opens the app on the local storage backend: data stays in this browser and no Google account is needed.
+ */
+async function enterLocalMode() {
+    setStorageBackend(STORAGE_BACKENDS.LOCAL);
+    updateSigninStatus(true);
+    await fetchData();
+}
+
+function clearScheduleView() {
+    DOMElements.scheduleBody.innerHTML = '';
+    DOMElements.scheduleTitle.textContent = 'התחבר כדי לראות את הסידור';
+    DOMElements.scheduleViolationsSummary.textContent = '';
+    DOMElements.recurringProposalBar.classList.add('hidden');
+    hideDifferencesContainer();
+    destroyAllCharts();
+}
+
 function signOut() {
+    if (!getStorageBackend().isRemote) {
+        // Leaving local mode keeps the local data for the next time
+        setStorageBackend(STORAGE_BACKENDS.SHEETS);
+        updateSigninStatus(false);
+        clearOfflineCache();
+        clearScheduleView();
+        return;
+    }
+
     const token = gapi.client.getToken();
     if (token !== null) {
         try {
@@ -434,12 +494,8 @@ function signOut() {
                 gapi.client.setToken(null);
                 localStorage.removeItem('google_access_token');
                 updateSigninStatus(false);
-                
-                // Clean up UI
-                DOMElements.scheduleBody.innerHTML = '';
-                DOMElements.scheduleTitle.textContent = 'התחבר כדי לראות את הסידור';
-                hideDifferencesContainer();
-                destroyAllCharts();
+                clearOfflineCache();
+                clearScheduleView();
                 
                 updateStatus('התנתקת בהצלחה', 'success');
             });
@@ -454,11 +510,14 @@ function updateSigninStatus(isSignedIn) {
     requestAnimationFrame(() => {
         if (isSignedIn) {
             DOMElements.authorizeButton.classList.add('hidden');
+            DOMElements.localModeBtn.classList.add('hidden');
             DOMElements.signoutButton.classList.remove('hidden');
+            DOMElements.signoutButton.textContent = getStorageBackend().isRemote ? 'התנתק' : 'יציאה ממצב מקומי';
             DOMElements.appContent.classList.remove('hidden');
             updateStatus('מחובר בהצלחה!', 'success');
         } else {
             DOMElements.authorizeButton.classList.remove('hidden');
+            DOMElements.localModeBtn.classList.remove('hidden');
             DOMElements.signoutButton.classList.add('hidden');
             DOMElements.appContent.classList.add('hidden');
             updateStatus('יש להתחבר עם חשבון Google', 'info');
@@ -474,7 +533,7 @@ async function handleReset() {
         try {
             allSchedules[weekId] = {};
             renderSchedule(weekId);
-            await saveFullSchedule(allSchedules);
+            await saveScheduleChanges(allSchedules, 'איפוס שבוע');
             stateManager.setState({ lastSaved: Date.now() });
             updateStatus('השבוע אופס בהצלחה', 'success');
         } catch (error) {
@@ -484,100 +543,52 @@ async function handleReset() {
     });
 }
 
-const handleCopyPreviousWeek = debounce(async () => {
-    const currentWeekId = getWeekId(DOMElements.datePicker.value);
-    const currentDate = new Date(currentWeekId);
-    currentDate.setDate(currentDate.getDate() - 7);
-    const previousWeekId = getWeekId(currentDate.toISOString().split('T')[0]);
-
-    if (!allSchedules[previousWeekId] || Object.keys(allSchedules[previousWeekId]).length === 0) {
-        updateStatus(`לא נמצא סידור לשבוע הקודם (${formatDate(previousWeekId)}).`, 'info');
-        return;
-    }
-
-    showCustomConfirmation(`האם להעתיק את הסידור מהשבוע של ${formatDate(previousWeekId)}?`, async () => {
-        const button = DOMElements.copyPreviousWeekBtn;
-        setButtonLoading(button, 'מעתיק...');
-        
-        try {
-            await processingQueue.add(async () => {
-                allSchedules[currentWeekId] = JSON.parse(JSON.stringify(allSchedules[previousWeekId]));
-                renderSchedule(currentWeekId);
-                await saveFullSchedule(allSchedules);
-                stateManager.setState({ lastSaved: Date.now() });
-            }, 1);
-            
-            updateStatus('הסידור מהשבוע הקודם הועתק בהצלחה!', 'success');
-        } catch (error) {
-            displayAPIError(error, 'שגיאה בהעתקת השבוע הקודם.');
-        } finally {
-            restoreButton(button);
-        }
-    });
-}, PROCESSING_TIMEOUTS.BUTTON_DEBOUNCE);
-
-async function handleVacationShift() {
-    const vacationingEmployee = DOMElements.vacationEmployeeSelect.value;
-    const startDateString = DOMElements.vacationStartDateInput.value;
-    const endDateString = DOMElements.vacationEndDateInput.value;
-
-    if (!vacationingEmployee || !startDateString || !endDateString) {
-        updateStatus('יש לבחור עובד ותאריכי התחלה וסיום.', 'info');
+/**
+ * Reverts (undo) or re-applies (redo) the latest recorded schedule change and saves it
+ * through the normal save path, so it is merged, logged and persisted like any edit.
+ * @param {boolean} isUndo - True for undo, false for redo.
+ */
+async function handleUndoRedo(isUndo) {
+    const entry = isUndo ? peekUndo() : peekRedo();
+    if (!entry) return;
+    if (!isStorageReady()) {
+        updateStatus(ERROR_MESSAGES.NO_GOOGLE_AUTH, 'info');
         return;
     }
-    
-    closeVacationModal();
 
-    const button = DOMElements.vacationShiftBtn;
-    setButtonLoading(button, 'משבץ...');
-    
     try {
-        updateStatus(`משבץ את ${VACATION_EMPLOYEE_REPLACEMENT} במקום ${vacationingEmployee}...`, 'loading', true);
-        
         await processingQueue.add(async () => {
-            let shiftsUpdatedCount = 0;
-
-            for (let d = new Date(startDateString); d <= new Date(endDateString); d.setDate(d.getDate() + 1)) {
-                const weekId = getWeekId(d.toISOString().split('T')[0]);
-                const dayName = DAYS[d.getDay()];
-
-                if (!allSchedules[weekId] || !allSchedules[weekId][dayName]) continue;
-
-                ['morning', 'evening'].forEach(shiftType => {
-                    const shift = allSchedules[weekId][dayName][shiftType];
-                    if (shift && shift.employee === vacationingEmployee) {
-                        shift.employee = VACATION_EMPLOYEE_REPLACEMENT;
-                        shiftsUpdatedCount++;
-                    }
-                });
-            }
-
-            if (shiftsUpdatedCount > 0) {
-                await saveFullSchedule(allSchedules);
+            if (isUndo) takeUndo(); else takeRedo();
+            applyChangeSet(allSchedules, entry.changes, isUndo);
+            renderSchedule(getWeekId(DOMElements.datePicker.value));
+
+            const action = `${isUndo ? 'ביטול' : 'ביצוע חוזר'}: ${entry.action}`;
+            const written = await saveScheduleChanges(allSchedules, action, { undoable: false });
+            if (!written) {
+                // Not saved: put the schedule and the stacks back as they were
+                applyChangeSet(allSchedules, entry.changes, !isUndo);
+                restoreEntry(entry, isUndo);
                 renderSchedule(getWeekId(DOMElements.datePicker.value));
-                stateManager.setState({ lastSaved: Date.now() });
-                return { shiftsUpdatedCount, vacationingEmployee };
-            } else {
-                return { shiftsUpdatedCount: 0, vacationingEmployee };
+                return;
             }
+            stateManager.setState({ lastSaved: Date.now() });
+            updateStatus(isUndo ? `בוטל: ${entry.action}` : `בוצע שוב: ${entry.action}`, 'success');
         }, 1);
-
-        const result = await processingQueue.add(async () => {
-            // Processing logic here
-        });
-
-        if (result.shiftsUpdatedCount > 0) {
-            updateStatus(`שובצו ${result.shiftsUpdatedCount} משמרות עבור ${VACATION_EMPLOYEE_REPLACEMENT}.`, 'success');
-        } else {
-            updateStatus(`לא נמצאו משמרות עבור ${result.vacationingEmployee} בטווח הנבחר.`, 'info');
-        }
     } catch (error) {
-        displayAPIError(error, 'שגיאה בשיבוץ חופשה.');
-    } finally {
-        restoreButton(button);
+        displayAPIError(error, isUndo ? 'שגיאה בביטול הפעולה' : 'שגיאה בביצוע הפעולה מחדש');
     }
 }
 
+/** Enables the undo/redo buttons according to the stacks and shows what they will do. */
+function updateUndoRedoButtons() {
+    const undoEntry = peekUndo();
+    const redoEntry = peekRedo();
+    DOMElements.undoBtn.disabled = !undoEntry;
+    DOMElements.undoBtn.title = undoEntry ? `בטל: ${undoEntry.action} (Ctrl+Z)` : 'אין פעולה לביטול';
+    DOMElements.redoBtn.disabled = !redoEntry;
+    DOMElements.redoBtn.title = redoEntry ? `בצע שוב: ${redoEntry.action} (Ctrl+Shift+Z)` : 'אין פעולה לביצוע חוזר';
+}
+
 /**
  * [FIXED] Enhanced Gemini Suggestion Logic with a much stricter prompt.
  */
@@ -588,31 +599,54 @@ const handleGeminiSuggestShift = debounce(async () => {
     abortController = new AbortController();
 
     try {
-        const weekId = getWeekId(DOMElements.datePicker.value);
-        const day = DOMElements.shiftModal.dataset.day;
+        const { weekId, day, shift: shiftType } = DOMElements.shiftModal.dataset;
         const dayIndex = DAYS.indexOf(day);
-        const shiftType = DOMElements.shiftModal.dataset.shift;
 
         const currentWeekDate = new Date(weekId);
         currentWeekDate.setDate(currentWeekDate.getDate() - 7);
         const previousWeekId = getWeekId(currentWeekDate.toISOString().split('T')[0]);
-        const lastFridayWorker = allSchedules[previousWeekId]?.['שישי']?.morning?.employee || 'אף אחד';
+        const previousFriday = allSchedules[previousWeekId]?.['שישי'] || {};
+        const lastFridayWorker = sortShiftTypeIds(Object.keys(previousFriday))
+            .map(id => previousFriday[id]?.employee)
+            .filter(emp => emp && emp !== 'none')
+            .join(', ') || 'אף אחד';
         
+        // The preceding shift is the previous shift type on the same day,
+        // or the last shift of the previous day for the first shift of the day
         let previousShiftWorker = 'אף אחד';
-        if (shiftType === 'evening') {
-            previousShiftWorker = allSchedules[weekId]?.[day]?.morning?.employee || 'אף אחד';
+        const weekDates = getWeekDates(new Date(weekId));
+        const dayShiftIds = getShiftTypesForDate(weekDates[dayIndex]).map(type => type.id);
+        const shiftPosition = dayShiftIds.indexOf(shiftType);
+        if (shiftPosition > 0) {
+            previousShiftWorker = allSchedules[weekId]?.[day]?.[dayShiftIds[shiftPosition - 1]]?.employee || 'אף אחד';
         } else if (dayIndex > 0) {
             const previousDayName = DAYS[dayIndex - 1];
-            previousShiftWorker = allSchedules[weekId]?.[previousDayName]?.evening?.employee || 'אף אחד';
+            const previousDayShiftIds = getShiftTypesForDate(weekDates[dayIndex - 1]).map(type => type.id);
+            const lastShiftId = previousDayShiftIds[previousDayShiftIds.length - 1];
+            previousShiftWorker = (lastShiftId && allSchedules[weekId]?.[previousDayName]?.[lastShiftId]?.employee) || 'אף אחד';
         }
 
-        const availableEmployees = EMPLOYEES.filter(e => e === 'מאור' || e === 'מור');
+        const schedulableEmployees = getSchedulableEmployees();
+        if (schedulableEmployees.length === 0) {
+            updateStatus('אין עובדים פעילים ברשימת העובדים.', 'info');
+            return;
+        }
+        // Unavailability is a hard constraint: those employees are not offered to the model at all
+        const unavailableEmployees = getUnavailableEmployees({ weekId, day, shiftType }, schedulableEmployees);
+        const availableEmployees = schedulableEmployees.filter(emp => !unavailableEmployees.has(emp));
+        if (availableEmployees.length === 0) {
+            updateStatus('כל העובדים סימנו שאינם זמינים למשמרת זו.', 'info');
+            return;
+        }
+        const employeeOptions = availableEmployees.map(e => `'${e}'`).join(' or ');
         let scheduleContext = "מצב נוכחי בסידור השבוע:\n";
-        DAYS.forEach(dayName => {
-            if (dayName === 'שבת') return;
-            const morningShift = allSchedules[weekId]?.[dayName]?.morning?.employee || 'פנוי';
-            const eveningShift = (dayName !== 'שישי' && allSchedules[weekId]?.[dayName]?.evening?.employee) || 'פנוי';
-            scheduleContext += `- יום ${dayName}: בוקר - ${morningShift}, ערב - ${eveningShift}\n`;
+        DAYS.forEach((dayName, index) => {
+            const dayShiftTypes = getShiftTypesForDate(weekDates[index]);
+            if (dayShiftTypes.length === 0) return;
+            const shiftsText = dayShiftTypes
+                .map(type => `${type.label} - ${allSchedules[weekId]?.[dayName]?.[type.id]?.employee || 'פנוי'}`)
+                .join(', ');
+            scheduleContext += `- יום ${dayName}: ${shiftsText}\n`;
         });
 
         // [FIX] Stricter prompt to ensure only the name is returned.
@@ -621,36 +655,37 @@ const handleGeminiSuggestShift = debounce(async () => {
             You are an expert system for work shift scheduling.
             Your task is to analyze the provided data and rules, and determine the single best employee to assign to a specific shift.
             You must follow the decision-making process exactly.
-            Your final output MUST be a single word: the name of the employee ('מאור' or 'מור') or the phrase 'אף אחד' if no one is suitable.
+            Your final output MUST be a single word: the name of the employee (${employeeOptions}) or the phrase 'אף אחד' if no one is suitable.
             DO NOT add any explanation, greeting, or any other text.
 
             EXPECTED OUTPUT EXAMPLES:
-            - מאור
-            - מור
+${availableEmployees.map(e => `            - ${e}`).join('\n')}
             - אף אחד
             </SYSTEM INSTRUCTION>
 
             **1. DATA:**
-            - **Shift to Schedule:** Day ${day}, Shift ${shiftType === 'morning' ? 'בוקר' : 'ערב'}.
+            - **Shift to Schedule:** Day ${day}, Shift ${getShiftLabel(shiftType)}.
             - **Employees to Check:** ${availableEmployees.join(', ')}.
+            - **Unavailable for this shift (never suggest them):** ${[...unavailableEmployees.keys()].join(', ') || 'אף אחד'}.
             - **Who worked last Friday:** ${lastFridayWorker}.
             - **Who worked the previous shift:** ${previousShiftWorker}.
             - **Current Week's Schedule:**
             ${scheduleContext}
 
             **2. RULES (in order of priority):**
+            - **Rule 0 (Availability):** Only the employees listed under "Employees to Check" are available. Never suggest an unavailable employee.
             - **Rule 1 (No Same-Day Duplicates):** An employee cannot work two shifts on the same day.
             - **Rule 2 (Thursday-Friday):** An employee scheduled for Friday morning cannot work Thursday evening.
             - **Rule 3 (Friday Rotation):** The employee who worked last Friday (${lastFridayWorker}) cannot be scheduled for Friday morning.
-            - **Rule 4 (Max Shifts):** An employee cannot work more than 5 shifts in a week.
+            - **Rule 4 (Max Shifts):** An employee cannot work more than ${MAX_WEEKLY_SHIFTS} shifts in a week.
 
             **3. DECISION PROCESS:**
             A. Start with the list of employees: [${availableEmployees.join(', ')}].
             B. For each employee, check if assigning them to the shift violates any of the rules. If a rule is violated, disqualify that employee.
             C. If only one employee remains, select them.
-            D. If both employees are valid, select the one with fewer shifts currently scheduled this week.
+            D. If several employees are valid, select the one with the fewest shifts currently scheduled this week.
             E. **Tie-Breaker:** If they have the same number of shifts, prefer the employee who did **not** work the immediately preceding shift.
-            F. If both employees are disqualified, the answer is "אף אחד".
+            F. If all employees are disqualified, the answer is "אף אחד".
 
             **4. REQUIRED OUTPUT:**
             Based on the process above, who should be scheduled?
@@ -849,8 +884,7 @@ async function getAllGoogleSheetsShiftsForEmployee(employeeName, year, month) {
                     const dayName = DAYS[dateObj.getDay()];
                     if (!weekData[dayName]) return;
 
-                    ['morning', 'evening'].forEach(shiftType => {
-                        const shift = weekData[dayName][shiftType];
+                    Object.entries(weekData[dayName]).forEach(([shiftType, shift]) => {
                         if (shift && shift.employee === employeeName) {
                             if (!employeeShifts[dateString]) employeeShifts[dateString] = {};
                             employeeShifts[dateString][shiftType] = { ...shift };
@@ -868,60 +902,37 @@ async function getAllGoogleSheetsShiftsForEmployee(employeeName, year, month) {
 }
 
 
-// --- Enhanced Import Function ---
-async function handleImportSelectedHilanetShifts() {
-    const selectedCheckboxes = DOMElements.differencesDisplay.querySelectorAll('.difference-checkbox:checked');
-    const selectedDiffIds = Array.from(selectedCheckboxes).map(cb => cb.dataset.diffId);
-    
-    if (selectedDiffIds.length === 0) {
-        updateStatus('לא נבחרו פערים לייבוא.', 'info');
+// --- Attendance Import ---
+/**
+ * Saves every shift of the Hilanet report as actual attendance, kept apart from the planned schedule.
+ * The differences shown beforehand are for review only.
+ */
+async function handleSaveHilanetAttendance() {
+    const shifts = hilanetParser.getAttendanceShifts(currentHilanetShifts);
+
+    if (shifts.length === 0) {
+        updateStatus('אין משמרות לשמירה כנוכחות.', 'info');
+        return;
+    }
+    if (getStorageBackend().isRemote && !navigator.onLine) {
+        updateStatus('שמירת הנוכחות דורשת חיבור לרשת.', 'info', false);
         return;
     }
 
+    const hourglass = document.getElementById('hourglass-loader');
     try {
-        const selectedDifferences = currentDifferences.filter(diff => selectedDiffIds.includes(diff.id));
-        const { updatedSchedules, importedCount } = hilanetParser.handleImportSelectedHilanetShifts(selectedDifferences, allSchedules);
-        
-        if (importedCount > 0) {
-            const hourglass = document.getElementById('hourglass-loader');
-            
-            DOMElements.differencesDisplay.innerHTML = '';
-            if (hourglass) hourglass.classList.remove('hidden');
-            setProcessingStatus(true);
-            
-            await processingQueue.add(async () => {
-                allSchedules = updatedSchedules;
-                await saveFullSchedule(allSchedules);
-                renderSchedule(getWeekId(DOMElements.datePicker.value));
-                stateManager.setState({ lastSaved: Date.now() });
-                
-                const employeeName = selectedDifferences[0]?.hilanet?.employee || selectedDifferences[0]?.googleSheets?.employee;
-                if (employeeName) {
-                    const date = new Date(selectedDifferences[0].date);
-                    const year = date.getFullYear();
-                    const month = date.getMonth() + 1;
-                    const googleSheetsShifts = await getAllGoogleSheetsShiftsForEmployee(employeeName, year, month);
-                    currentDifferences = hilanetParser.compareSchedules(googleSheetsShifts, currentHilanetShifts);
-                    displayDifferences(currentDifferences);
-                } else {
-                    hideDifferencesContainer(); 
-                }
-                
-                return importedCount;
-            }, 2);
+        if (hourglass) hourglass.classList.remove('hidden');
+        setProcessingStatus(true);
+        await processingQueue.add(
+            () => updateAttendance({ add: shifts.map(shift => createAttendanceRecord(shift, ATTENDANCE_SOURCES.HILANET)) }), 2);
 
-            updateStatus(`יובאו ${importedCount} משמרות בהצלחה.`, 'success');
-            
-            if (hourglass) hourglass.classList.add('hidden');
-        } else {
-            updateStatus('לא יובאו משמרות. ייתכן שהמשמרות שנבחרו הן עבור יום שבת.', 'info');
-        }
+        updateStatus(`נשמרה נוכחות ל-${shifts.length} משמרות. הסידור המתוכנן לא שונה.`, 'success');
+        hideDifferencesContainer();
+        await showAttendanceModal({ employee: shifts[0].employee, monthKey: shifts[0].date.substring(0, 7) });
     } catch (error) {
-        console.error('Import error:', error);
-        displayAPIError(error, 'שגיאה בייבוא המשמרות שנבחרו');
-        displayDifferences(currentDifferences);
+        console.error('Attendance import error:', error);
+        displayAPIError(error, 'שגיאה בשמירת הנוכחות מחילנט');
     } finally {
-        const hourglass = document.getElementById('hourglass-loader');
         if (hourglass) hourglass.classList.add('hidden');
         setProcessingStatus(false);
     }
@@ -955,16 +966,8 @@ function showImageMetadataModal(file, inputElement) {
         monthSelect.appendChild(option);
     }
 
-    // Populate employee select if not already done
-    if (!employeeSelect.hasChildNodes()) {
-        EMPLOYEES.forEach(emp => {
-            if (emp === VACATION_EMPLOYEE_REPLACEMENT) return;
-            const option = document.createElement('option');
-            option.value = emp;
-            option.textContent = emp;
-            employeeSelect.appendChild(option);
-        });
-    }
+    // Populate employee select from the current roster
+    fillEmployeeSelect(employeeSelect, getSchedulableEmployees());
 
     DOMElements.imageMetadataModal.classList.remove('hidden');
 
@@ -1184,6 +1187,13 @@ export function setupMonthlyChartEventListeners() {
         eventListenerCache.set(exportBtn, handler);
     }
 
+    const payrollBtn = DOMElements.exportPayrollBtn;
+    if (payrollBtn && !eventListenerCache.has(payrollBtn)) {
+        const handler = debounce(handleExportPayroll, PROCESSING_TIMEOUTS.BUTTON_DEBOUNCE);
+        payrollBtn.addEventListener('click', handler);
+        eventListenerCache.set(payrollBtn, handler);
+    }
+
     const analyzeBtn = DOMElements.analyzeMonthlySummaryBtn;
     if (analyzeBtn && !eventListenerCache.has(analyzeBtn)) {
         const handler = debounce(handleAnalyzeMonth, PROCESSING_TIMEOUTS.BUTTON_DEBOUNCE);
@@ -1192,6 +1202,49 @@ export function setupMonthlyChartEventListeners() {
     }
 }
 
+// --- Employee Selects (driven by the roster) ---
+/**
+ * Replaces the options of a select element with the given employee names,
+ * keeping the current selection when it is still available.
+ * @param {HTMLSelectElement} select - The select element to fill.
+ * @param {string[]} names - Employee names to offer.
+ * @param {string} [placeholder] - Optional text for an empty first option.
+ */
+function fillEmployeeSelect(select, names, placeholder) {
+    if (!select) return;
+    const previousValue = select.value;
+    select.innerHTML = '';
+
+    if (placeholder) {
+        const option = document.createElement('option');
+        option.value = '';
+        option.textContent = placeholder;
+        select.appendChild(option);
+    }
+
+    names.forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = getEmployee(name)?.active === false ? `${name} (לא פעיל)` : name;
+        select.appendChild(option);
+    });
+
+    if ([...select.options].some(option => option.value === previousValue)) {
+        select.value = previousValue;
+    }
+}
+
+/**
+ * Refreshes every employee selector after the roster was loaded or edited.
+ * Deactivated employees stay in the monthly summary so their past shifts remain reachable.
+ */
+export function populateEmployeeSelects() {
+    fillEmployeeSelect(DOMElements.monthlySummaryEmployeeSelect, getAllStaffNames());
+    fillEmployeeSelect(DOMElements.vacationEmployeeSelect, getSchedulableEmployees(), 'בחר עובד');
+    fillEmployeeSelect(document.getElementById('image-employee-select'), getSchedulableEmployees());
+    renderRosterSidebar();
+}
+
 // --- Enhanced Downloads Function ---
 function handleDownloadDifferences() {
     if (currentDifferences.length === 0) {
@@ -1210,7 +1263,7 @@ function handleDownloadDifferences() {
                 diff.type, 
                 diff.date, 
                 diff.dayName, 
-                diff.shiftType, 
+                getShiftLabel(diff.shiftType), 
                 formatDetails(diff.googleSheets), 
                 formatDetails(diff.hilanet)
             ].join(",");
@@ -1261,10 +1314,14 @@ function initializeAppLogic() {
     // Initialize DOM elements cache
     DOMElements = {
         datePicker: document.getElementById('date-picker'),
+        viewToggleBtn: document.getElementById('view-toggle-btn'),
         scheduleBody: document.getElementById('schedule-body'),
         scheduleCard: document.getElementById('schedule-card'),
         scheduleTitle: document.getElementById('schedule-title'),
+        scheduleViolationsSummary: document.getElementById('schedule-violations-summary'),
         scheduleTable: document.getElementById('schedule-table'),
+        scheduleHead: document.getElementById('schedule-head'),
+        rosterSidebarList: document.getElementById('roster-sidebar-list'),
         downloadBtn: document.getElementById('download-excel-btn'),
         resetBtn: document.getElementById('reset-btn'),
         emailBtn: document.getElementById('send-email-btn'),
@@ -1276,9 +1333,11 @@ function initializeAppLogic() {
         shiftStartTimeInput: document.getElementById('shift-start-time'),
         shiftEndTimeInput: document.getElementById('shift-end-time'),
         statusIndicator: document.getElementById('status-indicator'),
+        pendingChangesBadge: document.getElementById('pending-changes-badge'),
         appContent: document.getElementById('app-content'),
         authorizeButton: document.getElementById('authorize_button'),
         signoutButton: document.getElementById('signout_button'),
+        localModeBtn: document.getElementById('local-mode-btn'),
         copyPreviousWeekBtn: document.getElementById('copy-previous-week-btn'),
         createCalendarEventsBtn: document.getElementById('create-calendar-events-btn'),
         deleteCalendarEventsBtn: document.getElementById('delete-calendar-events-btn'),
@@ -1290,6 +1349,9 @@ function initializeAppLogic() {
         vacationEndDateInput: document.getElementById('vacation-end-date'),
         vacationConfirmBtn: document.getElementById('vacation-confirm-btn'),
         vacationCancelBtn: document.getElementById('vacation-cancel-btn'),
+        vacationPreviewBtn: document.getElementById('vacation-preview-btn'),
+        vacationPreview: document.getElementById('vacation-preview'),
+        vacationPreviewBody: document.getElementById('vacation-preview-body'),
         uploadHilanetInput: document.getElementById('upload-hilanet-input'),
         uploadHilanetBtn: document.getElementById('upload-hilanet-btn'),
         uploadImageInput: document.getElementById('upload-image-input'),
@@ -1309,6 +1371,14 @@ function initializeAppLogic() {
         monthlyAnalysisContent: document.getElementById('monthly-analysis-content'),
         exportMonthlySummaryBtn: document.getElementById('export-monthly-summary-btn'),
         analyzeMonthlySummaryBtn: document.getElementById('analyze-monthly-summary-btn'),
+        exportPayrollBtn: document.getElementById('export-payroll-btn'),
+        fairnessBtn: document.getElementById('fairness-btn'),
+        fairnessCard: document.getElementById('fairness-card'),
+        fairnessFromMonth: document.getElementById('fairness-from-month'),
+        fairnessToMonth: document.getElementById('fairness-to-month'),
+        fairnessMetricSelect: document.getElementById('fairness-metric-select'),
+        fairnessTableBody: document.getElementById('fairness-table-body'),
+        fairnessOwed: document.getElementById('fairness-owed'),
         imageMetadataModal: document.getElementById('image-metadata-modal'),
         employeeSelectionModal: document.getElementById('employee-selection-modal'),
         employeeSelectionModalTitle: document.getElementById('employee-selection-modal-title'),
@@ -1327,6 +1397,129 @@ function initializeAppLogic() {
         themeToggleBtn: document.getElementById('theme-toggle-btn'),
         themeToggleDarkIcon: document.getElementById('theme-toggle-dark-icon'),
         themeToggleLightIcon: document.getElementById('theme-toggle-light-icon'),
+        rosterBtn: document.getElementById('roster-btn'),
+        rosterModal: document.getElementById('roster-modal'),
+        rosterTableBody: document.getElementById('roster-table-body'),
+        rosterAddBtn: document.getElementById('roster-add-btn'),
+        rosterSaveBtn: document.getElementById('roster-save-btn'),
+        rosterCancelBtn: document.getElementById('roster-cancel-btn'),
+        policyBtn: document.getElementById('policy-btn'),
+        policyModal: document.getElementById('policy-modal'),
+        policyTableHead: document.getElementById('policy-table-head'),
+        policyTableBody: document.getElementById('policy-table-body'),
+        policyResetBtn: document.getElementById('policy-reset-btn'),
+        policySaveBtn: document.getElementById('policy-save-btn'),
+        policyCancelBtn: document.getElementById('policy-cancel-btn'),
+        undoBtn: document.getElementById('undo-btn'),
+        redoBtn: document.getElementById('redo-btn'),
+        weekHistoryBtn: document.getElementById('week-history-btn'),
+        cellHistoryBtn: document.getElementById('cell-history-btn'),
+        historyModal: document.getElementById('history-modal'),
+        historyModalTitle: document.getElementById('history-modal-title'),
+        historyList: document.getElementById('history-list'),
+        historyCloseBtn: document.getElementById('history-close-btn'),
+        mergeModal: document.getElementById('merge-modal'),
+        mergeTableBody: document.getElementById('merge-table-body'),
+        mergeAllMineBtn: document.getElementById('merge-all-mine-btn'),
+        mergeAllTheirsBtn: document.getElementById('merge-all-theirs-btn'),
+        mergeApplyBtn: document.getElementById('merge-apply-btn'),
+        mergeCancelBtn: document.getElementById('merge-cancel-btn'),
+        myShiftsBtn: document.getElementById('my-shifts-btn'),
+        myShiftsModal: document.getElementById('my-shifts-modal'),
+        myShiftsEmployeeSelect: document.getElementById('my-shifts-employee-select'),
+        myShiftsWeeksSelect: document.getElementById('my-shifts-weeks-select'),
+        myShiftsSummary: document.getElementById('my-shifts-summary'),
+        myShiftsList: document.getElementById('my-shifts-list'),
+        myShiftsCloseBtn: document.getElementById('my-shifts-close-btn'),
+        swapRequestsBtn: document.getElementById('swap-requests-btn'),
+        swapModal: document.getElementById('swap-modal'),
+        swapForm: document.getElementById('swap-form'),
+        swapRequesterSelect: document.getElementById('swap-requester-select'),
+        swapShiftSelect: document.getElementById('swap-shift-select'),
+        swapTypeSelect: document.getElementById('swap-type-select'),
+        swapCounterpartSelect: document.getElementById('swap-counterpart-select'),
+        swapCounterpartShiftSelect: document.getElementById('swap-counterpart-shift-select'),
+        swapNoteInput: document.getElementById('swap-note-input'),
+        swapSubmitBtn: document.getElementById('swap-submit-btn'),
+        swapRequestsList: document.getElementById('swap-requests-list'),
+        swapCloseBtn: document.getElementById('swap-close-btn'),
+        availabilityBtn: document.getElementById('availability-btn'),
+        availabilityModal: document.getElementById('availability-modal'),
+        availabilityForm: document.getElementById('availability-form'),
+        availabilityEmployeeSelect: document.getElementById('availability-employee-select'),
+        availabilityKindSelect: document.getElementById('availability-kind-select'),
+        availabilityStartDate: document.getElementById('availability-start-date'),
+        availabilityEndDate: document.getElementById('availability-end-date'),
+        availabilityDaySelect: document.getElementById('availability-day-select'),
+        availabilityShiftSelect: document.getElementById('availability-shift-select'),
+        availabilityReasonInput: document.getElementById('availability-reason-input'),
+        availabilityAddBtn: document.getElementById('availability-add-btn'),
+        availabilityList: document.getElementById('availability-list'),
+        availabilityCloseBtn: document.getElementById('availability-close-btn'),
+        autoScheduleBtn: document.getElementById('auto-schedule-btn'),
+        aiWeekBtn: document.getElementById('ai-week-btn'),
+        aiWeekModal: document.getElementById('ai-week-modal'),
+        aiWeekGenerateBtn: document.getElementById('ai-week-generate-btn'),
+        aiWeekSummary: document.getElementById('ai-week-summary'),
+        aiWeekBody: document.getElementById('ai-week-body'),
+        aiWeekApplyBtn: document.getElementById('ai-week-apply-btn'),
+        aiWeekCloseBtn: document.getElementById('ai-week-close-btn'),
+        weekCopyModal: document.getElementById('week-copy-modal'),
+        weekCopySourceKindSelect: document.getElementById('week-copy-source-kind-select'),
+        weekCopySourceDate: document.getElementById('week-copy-source-date'),
+        weekCopyTemplateSelect: document.getElementById('week-copy-template-select'),
+        weekCopyTargetDate: document.getElementById('week-copy-target-date'),
+        weekCopyCountInput: document.getElementById('week-copy-count-input'),
+        weekCopyModeSelect: document.getElementById('week-copy-mode-select'),
+        weekCopyRotateFriday: document.getElementById('week-copy-rotate-friday'),
+        weekCopyPreviewBtn: document.getElementById('week-copy-preview-btn'),
+        weekCopyPreview: document.getElementById('week-copy-preview'),
+        weekCopyPreviewSummary: document.getElementById('week-copy-preview-summary'),
+        weekCopyPreviewBody: document.getElementById('week-copy-preview-body'),
+        weekCopyConfirmBtn: document.getElementById('week-copy-confirm-btn'),
+        weekCopyTemplateNameInput: document.getElementById('week-copy-template-name-input'),
+        weekCopySaveTemplateBtn: document.getElementById('week-copy-save-template-btn'),
+        weekCopyTemplateList: document.getElementById('week-copy-template-list'),
+        weekCopyCloseBtn: document.getElementById('week-copy-close-btn'),
+        recurringBtn: document.getElementById('recurring-btn'),
+        recurringModal: document.getElementById('recurring-modal'),
+        recurringForm: document.getElementById('recurring-form'),
+        recurringEmployeeSelect: document.getElementById('recurring-employee-select'),
+        recurringDaySelect: document.getElementById('recurring-day-select'),
+        recurringShiftSelect: document.getElementById('recurring-shift-select'),
+        recurringStartDate: document.getElementById('recurring-start-date'),
+        recurringEndDate: document.getElementById('recurring-end-date'),
+        recurringAddBtn: document.getElementById('recurring-add-btn'),
+        recurringList: document.getElementById('recurring-list'),
+        recurringCloseBtn: document.getElementById('recurring-close-btn'),
+        recurringProposalBar: document.getElementById('recurring-proposal-bar'),
+        recurringProposalText: document.getElementById('recurring-proposal-text'),
+        recurringProposalConfirmBtn: document.getElementById('recurring-proposal-confirm-btn'),
+        recurringProposalDismissBtn: document.getElementById('recurring-proposal-dismiss-btn'),
+        attendanceBtn: document.getElementById('attendance-btn'),
+        attendanceModal: document.getElementById('attendance-modal'),
+        attendanceMonthInput: document.getElementById('attendance-month-input'),
+        attendanceEmployeeSelect: document.getElementById('attendance-employee-select'),
+        attendanceExportBtn: document.getElementById('attendance-export-btn'),
+        attendanceSummaryBody: document.getElementById('attendance-summary-body'),
+        attendanceDetailBody: document.getElementById('attendance-detail-body'),
+        attendanceCloseBtn: document.getElementById('attendance-close-btn'),
+        autoScheduleModal: document.getElementById('auto-schedule-modal'),
+        autoScheduleScopeSelect: document.getElementById('auto-schedule-scope-select'),
+        autoScheduleGenerateBtn: document.getElementById('auto-schedule-generate-btn'),
+        autoScheduleSummary: document.getElementById('auto-schedule-summary'),
+        autoScheduleBody: document.getElementById('auto-schedule-body'),
+        autoScheduleApplyBtn: document.getElementById('auto-schedule-apply-btn'),
+        autoScheduleCloseBtn: document.getElementById('auto-schedule-close-btn'),
+        backupExportBtn: document.getElementById('backup-export-btn'),
+        backupImportBtn: document.getElementById('backup-import-btn'),
+        backupImportInput: document.getElementById('backup-import-input'),
+        backupModal: document.getElementById('backup-modal'),
+        backupSummary: document.getElementById('backup-summary'),
+        backupDiffBody: document.getElementById('backup-diff-body'),
+        backupCancelBtn: document.getElementById('backup-cancel-btn'),
+        backupMergeBtn: document.getElementById('backup-merge-btn'),
+        backupReplaceBtn: document.getElementById('backup-replace-btn'),
     };
 
     // Enhanced event listeners with debouncing
@@ -1344,20 +1537,49 @@ function initializeAppLogic() {
             const weekId = getWeekId(DOMElements.datePicker.value);
             stateManager.setState({ activeWeek: weekId });
             renderSchedule(weekId);
+            proposeRecurringWeek(weekId);
         });
     }
 
+    addEventListenerWithDebounce(DOMElements.viewToggleBtn, 'click', toggleScheduleView);
     addEventListenerWithDebounce(DOMElements.resetBtn, 'click', handleReset);
     addEventListenerWithDebounce(DOMElements.emailBtn, 'click', showEmailSelectionModal);
     addEventListenerWithDebounce(DOMElements.downloadBtn, 'click', handleExportToExcel);
-    addEventListenerWithDebounce(DOMElements.copyPreviousWeekBtn, 'click', handleCopyPreviousWeek);
+    addEventListenerWithDebounce(DOMElements.copyPreviousWeekBtn, 'click', showWeekCopyModal);
+    DOMElements.weekCopySourceKindSelect.addEventListener('change', updateWeekCopyForm);
+    [DOMElements.weekCopySourceDate, DOMElements.weekCopyTemplateSelect, DOMElements.weekCopyTargetDate,
+        DOMElements.weekCopyCountInput, DOMElements.weekCopyModeSelect, DOMElements.weekCopyRotateFriday]
+        .forEach(input => input.addEventListener('change', resetWeekCopyPreview));
+    addEventListenerWithDebounce(DOMElements.weekCopyPreviewBtn, 'click', handleWeekCopyPreview);
+    addEventListenerWithDebounce(DOMElements.weekCopyConfirmBtn, 'click', handleWeekCopyConfirm);
+    addEventListenerWithDebounce(DOMElements.weekCopySaveTemplateBtn, 'click', handleSaveWeekTemplate);
+    DOMElements.weekCopyTemplateList.addEventListener('click', handleWeekTemplateListClick);
+    addEventListenerWithDebounce(DOMElements.weekCopyCloseBtn, 'click', closeWeekCopyModal);
+    addEventListenerWithDebounce(DOMElements.recurringBtn, 'click', showRecurringModal);
+    addEventListenerWithDebounce(DOMElements.recurringAddBtn, 'click', handleAddRecurringRule);
+    DOMElements.recurringList.addEventListener('click', handleRecurringListClick);
+    addEventListenerWithDebounce(DOMElements.recurringCloseBtn, 'click', closeRecurringModal);
+    addEventListenerWithDebounce(DOMElements.recurringProposalConfirmBtn, 'click', handleConfirmRecurringProposal);
+    addEventListenerWithDebounce(DOMElements.recurringProposalDismissBtn, 'click', handleDismissRecurringProposal);
+    addEventListenerWithDebounce(DOMElements.attendanceBtn, 'click', () => showAttendanceModal());
+    DOMElements.attendanceMonthInput.addEventListener('change', renderAttendance);
+    DOMElements.attendanceEmployeeSelect.addEventListener('change', renderAttendance);
+    DOMElements.attendanceSummaryBody.addEventListener('click', handleAttendanceSummaryClick);
+    addEventListenerWithDebounce(DOMElements.attendanceExportBtn, 'click', handleExportAttendance);
+    addEventListenerWithDebounce(DOMElements.attendanceCloseBtn, 'click', closeAttendanceModal);
     addEventListenerWithDebounce(DOMElements.refreshDataBtn, 'click', fetchData);
     addEventListenerWithDebounce(DOMElements.modalSaveBtn, 'click', handleModalSave);
     addEventListenerWithDebounce(DOMElements.modalCloseBtn, 'click', closeModal);
     addEventListenerWithDebounce(DOMElements.vacationShiftBtn, 'click', showVacationModal);
-    addEventListenerWithDebounce(DOMElements.vacationConfirmBtn, 'click', handleVacationShift);
+    addEventListenerWithDebounce(DOMElements.vacationPreviewBtn, 'click', handleVacationPreview);
+    addEventListenerWithDebounce(DOMElements.vacationConfirmBtn, 'click', handleVacationConfirm);
+    [DOMElements.vacationEmployeeSelect, DOMElements.vacationStartDateInput, DOMElements.vacationEndDateInput]
+        .forEach(input => input.addEventListener('change', resetVacationPreview));
     addEventListenerWithDebounce(DOMElements.vacationCancelBtn, 'click', closeVacationModal);
     addEventListenerWithDebounce(DOMElements.showChartBtn, 'click', handleShowChart);
+    addEventListenerWithDebounce(DOMElements.fairnessBtn, 'click', handleShowFairness);
+    [DOMElements.fairnessFromMonth, DOMElements.fairnessToMonth, DOMElements.fairnessMetricSelect]
+        .forEach(input => input.addEventListener('change', updateFairnessDashboard));
     addEventListenerWithDebounce(DOMElements.geminiSuggestionBtn, 'click', handleGeminiSuggestShift);
     addEventListenerWithDebounce(DOMElements.createCalendarEventsBtn, 'click', () => 
         showEmployeeSelectionModal(handleCreateCalendarEvents, 'בחר עובדים ליצירת אירועי יומן'));
@@ -1368,11 +1590,57 @@ function initializeAppLogic() {
     addEventListenerWithDebounce(DOMElements.uploadImageBtn, 'click', () => 
         DOMElements.uploadImageInput.click());
     addEventListenerWithDebounce(DOMElements.closeDifferencesBtn, 'click', hideDifferencesContainer);
-    addEventListenerWithDebounce(DOMElements.importSelectedHilanetShiftsBtn, 'click', handleImportSelectedHilanetShifts);
+    addEventListenerWithDebounce(DOMElements.importSelectedHilanetShiftsBtn, 'click', handleSaveHilanetAttendance);
     addEventListenerWithDebounce(DOMElements.sendFridaySummaryBtn, 'click', showFridaySummaryModal);
     addEventListenerWithDebounce(DOMElements.summaryConfirmBtn, 'click', handleSendFridaySummary);
     addEventListenerWithDebounce(DOMElements.summaryCancelBtn, 'click', closeFridaySummaryModal);
     addEventListenerWithDebounce(DOMElements.themeToggleBtn, 'click', toggleTheme);
+    addEventListenerWithDebounce(DOMElements.rosterBtn, 'click', showRosterModal);
+    addEventListenerWithDebounce(DOMElements.rosterAddBtn, 'click', addRosterRow);
+    addEventListenerWithDebounce(DOMElements.rosterSaveBtn, 'click', handleSaveRoster);
+    addEventListenerWithDebounce(DOMElements.rosterCancelBtn, 'click', closeRosterModal);
+    addEventListenerWithDebounce(DOMElements.policyBtn, 'click', showPolicyModal);
+    addEventListenerWithDebounce(DOMElements.policyResetBtn, 'click', resetPolicyToDefault);
+    addEventListenerWithDebounce(DOMElements.policySaveBtn, 'click', handleSavePolicy);
+    addEventListenerWithDebounce(DOMElements.policyCancelBtn, 'click', closePolicyModal);
+    addEventListenerWithDebounce(DOMElements.undoBtn, 'click', () => handleUndoRedo(true));
+    addEventListenerWithDebounce(DOMElements.redoBtn, 'click', () => handleUndoRedo(false));
+    onUndoStackChange(updateUndoRedoButtons);
+    updateUndoRedoButtons();
+    addEventListenerWithDebounce(DOMElements.weekHistoryBtn, 'click', showWeekHistory);
+    addEventListenerWithDebounce(DOMElements.cellHistoryBtn, 'click', showCellHistory);
+    addEventListenerWithDebounce(DOMElements.historyCloseBtn, 'click', closeHistoryModal);
+    addEventListenerWithDebounce(DOMElements.myShiftsBtn, 'click', showMyShiftsModal);
+    DOMElements.myShiftsEmployeeSelect.addEventListener('change', renderMyShifts);
+    DOMElements.myShiftsWeeksSelect.addEventListener('change', renderMyShifts);
+    addEventListenerWithDebounce(DOMElements.myShiftsCloseBtn, 'click', closeMyShiftsModal);
+    addEventListenerWithDebounce(DOMElements.swapRequestsBtn, 'click', showSwapRequestsModal);
+    DOMElements.swapRequesterSelect.addEventListener('change', updateSwapForm);
+    DOMElements.swapTypeSelect.addEventListener('change', updateSwapForm);
+    DOMElements.swapCounterpartSelect.addEventListener('change', updateSwapForm);
+    addEventListenerWithDebounce(DOMElements.swapSubmitBtn, 'click', handleSubmitSwapRequest);
+    DOMElements.swapRequestsList.addEventListener('click', handleSwapRequestAction);
+    addEventListenerWithDebounce(DOMElements.swapCloseBtn, 'click', closeSwapRequestsModal);
+    addEventListenerWithDebounce(DOMElements.availabilityBtn, 'click', showAvailabilityModal);
+    DOMElements.availabilityKindSelect.addEventListener('change', updateAvailabilityForm);
+    addEventListenerWithDebounce(DOMElements.availabilityAddBtn, 'click', handleAddAvailability);
+    DOMElements.availabilityList.addEventListener('click', handleAvailabilityListClick);
+    addEventListenerWithDebounce(DOMElements.availabilityCloseBtn, 'click', closeAvailabilityModal);
+    addEventListenerWithDebounce(DOMElements.autoScheduleBtn, 'click', showAutoScheduleModal);
+    DOMElements.autoScheduleScopeSelect.addEventListener('change', resetAutoScheduleDraft);
+    addEventListenerWithDebounce(DOMElements.autoScheduleGenerateBtn, 'click', handleGenerateAutoSchedule);
+    addEventListenerWithDebounce(DOMElements.autoScheduleApplyBtn, 'click', handleApplyAutoSchedule);
+    addEventListenerWithDebounce(DOMElements.autoScheduleCloseBtn, 'click', closeAutoScheduleModal);
+    addEventListenerWithDebounce(DOMElements.aiWeekBtn, 'click', showAiWeekModal);
+    addEventListenerWithDebounce(DOMElements.aiWeekGenerateBtn, 'click', handleGenerateAiWeek);
+    addEventListenerWithDebounce(DOMElements.aiWeekApplyBtn, 'click', handleApplyAiWeek);
+    addEventListenerWithDebounce(DOMElements.aiWeekCloseBtn, 'click', closeAiWeekModal);
+    addEventListenerWithDebounce(DOMElements.backupExportBtn, 'click', handleExportBackup);
+    addEventListenerWithDebounce(DOMElements.backupImportBtn, 'click', () => DOMElements.backupImportInput.click());
+    DOMElements.backupImportInput.addEventListener('change', handleBackupFileSelected);
+    addEventListenerWithDebounce(DOMElements.backupCancelBtn, 'click', closeBackupModal);
+    addEventListenerWithDebounce(DOMElements.backupMergeBtn, 'click', handleMergeBackup);
+    addEventListenerWithDebounce(DOMElements.backupReplaceBtn, 'click', handleReplaceWithBackup);
 
     // File upload handlers with validation
     if (DOMElements.uploadHilanetInput) {
@@ -1397,22 +1665,6 @@ function initializeAppLogic() {
         addEventListenerWithDebounce(downloadDifferencesBtn, 'click', handleDownloadDifferences);
     }
 
-    // Populate employee selects
-    EMPLOYEES.forEach(emp => {
-        if (emp === VACATION_EMPLOYEE_REPLACEMENT) return;
-        
-        const option = document.createElement('option');
-        option.value = emp;
-        option.textContent = emp;
-        
-        if (DOMElements.monthlySummaryEmployeeSelect) {
-            DOMElements.monthlySummaryEmployeeSelect.appendChild(option.cloneNode(true));
-        }
-        if (DOMElements.vacationEmployeeSelect) {
-            DOMElements.vacationEmployeeSelect.appendChild(option.cloneNode(true));
-        }
-    });
-
     // Enhanced monthly summary event listeners
     if (DOMElements.monthlySummaryEmployeeSelect) {
         DOMElements.monthlySummaryEmployeeSelect.addEventListener('change', () => {
@@ -1461,6 +1713,20 @@ function initializeAppLogic() {
     DOMElements.datePicker.value = weekId;
     stateManager.setState({ activeWeek: weekId });
 
+    DOMElements.localModeBtn.addEventListener('click', enterLocalMode);
+    DOMElements.signoutButton.onclick = signOut;
+    if (getStorageBackend().isRemote) {
+        // Show the cached copy right away; the sheet replaces it once loaded
+        loadCachedData();
+    } else {
+        enterLocalMode();
+    }
+    window.addEventListener('online', () => {
+        updateStatus('החיבור לרשת חזר', 'info');
+        processingQueue.add(syncPendingSaves, 1);
+    });
+    window.addEventListener('offline', () => updateStatus('אין חיבור לרשת. שינויים יישמרו במכשיר עד שהחיבור יחזור.', 'info'));
+
     // Load Google API scripts
     loadGoogleApiScripts();
 
@@ -1515,24 +1781,16 @@ document.addEventListener('visibilitychange', () => {
         }
     } else {
         // Page is visible - resume operations if needed
-        if (gapi.client.getToken() && Object.keys(allSchedules).length === 0) {
+        if (isStorageReady() && Object.keys(allSchedules).length === 0) {
             fetchData(); // Refresh data when page becomes visible
         }
     }
 });
 
 // Cleanup on page unload
+// Unsynced changes are kept in IndexedDB (see offlineStore.js), so nothing needs to be sent here
 window.addEventListener('beforeunload', () => {
     cleanup();
-    
-    // Save any pending data
-    if (Object.keys(allSchedules).length > 0) {
-        // Use sendBeacon for reliable data sending during unload
-        const data = JSON.stringify({ schedules: allSchedules, timestamp: Date.now() });
-        if (navigator.sendBeacon) {
-            navigator.sendBeacon('/api/save-schedules', data);
-        }
-    }
 });
 
 // Enhanced keyboard shortcuts
@@ -1541,12 +1799,18 @@ document.addEventListener('keydown', (event) => {
     if ((event.ctrlKey || event.metaKey) && event.key === 's') {
         event.preventDefault();
         if (Object.keys(allSchedules).length > 0) {
-            saveFullSchedule(allSchedules)
+            saveScheduleChanges(allSchedules, 'שמירה ידנית')
                 .then(() => updateStatus('נתונים נשמרו', 'success'))
                 .catch(error => displayAPIError(error, 'שגיאה בשמירה'));
         }
     }
     
+    // Ctrl/Cmd + Z: Undo, Ctrl/Cmd + Shift + Z: Redo (text fields keep their own undo)
+    if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'z' && !event.target.closest('input, textarea, select')) {
+        event.preventDefault();
+        handleUndoRedo(!event.shiftKey);
+    }
+    
     // Ctrl/Cmd + R: Refresh data
     if ((event.ctrlKey || event.metaKey) && event.key === 'r') {
         event.preventDefault();
@@ -0,0 +1,56 @@
+import { DAYS } from '../config.js';
+import { sortShiftTypeIds } from './shiftTypes.js';
+import { getWeekDates, getWeekId, toDateString, calculateHours } from '../utils.js';
+
+/**
+ * Lists one employee's shifts over a range of weeks, in chronological order.
+ * @param {Object} schedules - The schedule object.
+ * @param {string} employee - The employee name.
+ * @param {string} startWeekId - The first week (a Sunday, YYYY-MM-DD).
+ * @param {number} weekCount - How many weeks to include.
+ * @returns {Array<{weekId: string, day: string, date: Date, shiftType: string, start: string, end: string, hours: number}>}
+ */
+export function collectEmployeeShifts(schedules, employee, startWeekId, weekCount) {
+    const shifts = [];
+    const [year, month, dayOfMonth] = startWeekId.split('-').map(Number);
+    const weekStart = new Date(year, month - 1, dayOfMonth);
+    for (let week = 0; week < weekCount; week++) {
+        const weekId = getWeekId(toDateString(weekStart));
+        const weekDates = getWeekDates(new Date(weekId));
+        DAYS.forEach((day, index) => {
+            const dayData = schedules[weekId]?.[day] || {};
+            sortShiftTypeIds(Object.keys(dayData)).forEach(shiftType => {
+                const shift = dayData[shiftType];
+                if (shift?.employee !== employee) return;
+                shifts.push({
+                    weekId, day, date: weekDates[index], shiftType,
+                    start: shift.start, end: shift.end,
+                    hours: calculateHours(shift.start, shift.end)
+                });
+            });
+        });
+        weekStart.setDate(weekStart.getDate() + 7);
+    }
+    return shifts;
+}
+
+/** Returns the start and end of a listed shift as local Date objects (overnight shifts end the next day). */
+export function getShiftPeriod({ date, start, end }) {
+    const [year, month, day] = [date.getFullYear(), date.getMonth(), date.getDate()];
+    const [startHour, startMinute] = start.split(':').map(Number);
+    const [endHour, endMinute] = end.split(':').map(Number);
+    const startsAt = new Date(year, month, day, startHour, startMinute);
+    const endsAt = new Date(year, month, day, endHour, endMinute);
+    if (endsAt <= startsAt) endsAt.setDate(endsAt.getDate() + 1);
+    return { startsAt, endsAt };
+}
+
+/**
+ * Finds the next shift that has not ended yet (a shift in progress counts).
+ * @param {Array<Object>} shifts - As returned by collectEmployeeShifts.
+ * @param {Date} [now=new Date()]
+ * @returns {Object|null} The shift, or null if none is left.
+ */
+export function findNextShift(shifts, now = new Date()) {
+    return shifts.find(shift => getShiftPeriod(shift).endsAt > now) || null;
+}
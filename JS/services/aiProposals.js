@@ -0,0 +1,105 @@
+import { DAYS } from '../config.js';
+import { getShiftTypesForDate } from './operatingRules.js';
+import { setScheduleCell } from './scheduleDiff.js';
+import { getAssignmentViolations } from './schedulingRules.js';
+import { getWeekDates, toDateString } from '../utils.js';
+
+// Whole-week proposals from the AI model are never trusted as is: each one is checked against
+// the week's open shifts, the roster and the scheduling rules before the manager sees it.
+
+export const PROPOSAL_STATUSES = {
+    ACCEPTED: 'accepted',
+    REJECTED: 'rejected',
+    EMPTY: 'empty'
+};
+
+// What the model may answer for a shift it leaves empty
+const NO_ONE = ['', 'none', 'אף אחד'];
+
+/**
+ * Lists the shifts of a week that run but have no one assigned, in order.
+ * @param {Object} schedules - The schedule object.
+ * @param {string} weekId - The week (a Sunday, YYYY-MM-DD).
+ * @returns {Array<{cell: Object, date: string, start: string, end: string}>}
+ */
+export function getOpenWeekCells(schedules, weekId) {
+    const open = [];
+    getWeekDates(new Date(weekId)).forEach((date, index) => {
+        const day = DAYS[index];
+        getShiftTypesForDate(date).forEach(type => {
+            const employee = schedules[weekId]?.[day]?.[type.id]?.employee;
+            if (!employee || employee === 'none') {
+                open.push({ cell: { weekId, day, shiftType: type.id }, date: toDateString(date), start: type.start, end: type.end });
+            }
+        });
+    });
+    return open;
+}
+
+/**
+ * Checks the model's assignments for a week. A proposal is rejected if it targets a shift that is not
+ * open, repeats a shift, names someone outside the roster, or breaks a scheduling rule once all the
+ * proposals are placed together.
+ * @param {Object} schedules - The schedule object (not modified).
+ * @param {string} weekId - The week (a Sunday, YYYY-MM-DD).
+ * @param {Array<Object>} assignments - The model's output: [{ day, shiftType, employee, reason }].
+ * @param {Array<string>} employees - Who may be scheduled.
+ * @returns {Array<{cell: Object, date: ?string, employee: ?string, reason: string, start: ?string, end: ?string, status: string, problems: string[]}>}
+ *   One entry per open shift, in order, followed by the proposals that matched no open shift.
+ */
+export function validateWeekProposals(schedules, weekId, assignments, employees) {
+    const openCells = getOpenWeekCells(schedules, weekId);
+    const byKey = new Map(openCells.map(open => [`${open.cell.day}|${open.cell.shiftType}`, { ...open, proposal: null }]));
+    const unmatched = [];
+
+    (Array.isArray(assignments) ? assignments : []).forEach(raw => {
+        const day = String(raw?.day ?? '').trim();
+        const shiftType = String(raw?.shiftType ?? '').trim();
+        const employee = String(raw?.employee ?? '').trim();
+        const proposal = { employee: NO_ONE.includes(employee) ? null : employee, reason: String(raw?.reason ?? '').trim(), problems: [] };
+        const slot = byKey.get(`${day}|${shiftType}`);
+        if (!slot) {
+            proposal.problems.push('המשמרת אינה פנויה או אינה פעילה בשבוע זה');
+            unmatched.push({ cell: { weekId, day, shiftType }, date: null, start: null, end: null, ...proposal });
+        } else if (slot.proposal) {
+            slot.proposal.problems.push('הוצעה יותר מפעם אחת');
+        } else {
+            if (proposal.employee && !employees.includes(proposal.employee)) {
+                proposal.problems.push('אינו/ה ברשימת העובדים הפעילים');
+            }
+            slot.proposal = proposal;
+        }
+    });
+
+    // Rules are checked with every proposal in place, so conflicts between proposals show up too
+    const draft = JSON.parse(JSON.stringify(schedules));
+    byKey.forEach(({ cell, start, end, proposal }) => {
+        if (proposal?.employee && proposal.problems.length === 0) {
+            setScheduleCell(draft, cell, { employee: proposal.employee, start, end });
+        }
+    });
+
+    const results = [...byKey.values()].map(({ cell, date, start, end, proposal }) => {
+        if (!proposal || !proposal.employee) {
+            return {
+                cell, date, start, end,
+                employee: null,
+                reason: proposal?.reason || 'לא התקבלה הצעה למשמרת זו',
+                status: proposal?.problems.length > 0 ? PROPOSAL_STATUSES.REJECTED : PROPOSAL_STATUSES.EMPTY,
+                problems: proposal?.problems || []
+            };
+        }
+        const problems = proposal.problems.length > 0
+            ? proposal.problems
+            : getAssignmentViolations(draft, cell, proposal.employee).map(violation => violation.message);
+        return {
+            cell, date, start, end,
+            employee: proposal.employee,
+            reason: proposal.reason,
+            status: problems.length > 0 ? PROPOSAL_STATUSES.REJECTED : PROPOSAL_STATUSES.ACCEPTED,
+            problems
+        };
+    });
+
+    return [...results, ...unmatched.map(entry => ({ ...entry, status: PROPOSAL_STATUSES.REJECTED }))];
+}
@@ -0,0 +1,192 @@
+import { DAYS } from '../config.js';
+import { getShiftLabel, sortShiftTypeIds } from './shiftTypes.js';
+import { getWeekId, toDateString } from '../utils.js';
+
+// Actual attendance (clock-in and clock-out, as reported by Hilanet), kept in the `attendance` sheet
+// apart from the planned schedule. Comparing the two gives lateness, early leave, shifts worked
+// without being planned and planned shifts with no attendance.
+
+export const ATTENDANCE_HEADERS = ['id', 'employee', 'date', 'shift_type', 'clock_in', 'clock_out', 'source', 'imported_at'];
+
+export const ATTENDANCE_SOURCES = { HILANET: 'hilanet' };
+
+export const ATTENDANCE_STATUSES = {
+    ON_TIME: 'onTime',
+    DEVIATION: 'deviation',   // Late, left early, or both
+    UNPLANNED: 'unplanned',   // Worked without a planned shift
+    MISSED: 'missed',         // Planned, but no attendance in a month that has attendance
+    NO_DATA: 'noData'         // Planned, and no attendance was imported for the month (or the date is still ahead)
+};
+
+// Minutes of lateness or early leave that are not counted
+export const GRACE_MINUTES = 5;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^\d{2}:\d{2}(:\d{2})?$/;
+const MINUTES_PER_DAY = 24 * 60;
+
+const toMinutes = time => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+/** Minutes from the planned time to the actual one, taking the shorter way around midnight. */
+function minutesFrom(planned, actual) {
+    const diff = (toMinutes(actual) - toMinutes(planned) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+    return diff > MINUTES_PER_DAY / 2 ? diff - MINUTES_PER_DAY : diff;
+}
+
+/** The key attendance records are matched on: one record per employee, date and shift. */
+export const attendanceKey = record => `${record.employee}|${record.date}|${record.shiftType}`;
+
+/**
+ * Parses the raw values of the `attendance` sheet. Rows without an employee, a valid date,
+ * a shift type or valid clock times are skipped.
+ * @param {Array<Array<string>>} values - Raw sheet values, including the header row.
+ * @returns {Array<Object>} Records ({ id, employee, date, shiftType, clockIn, clockOut, source, importedAt }),
+ *   with times as HH:MM:SS.
+ */
+export function parseAttendanceRows(values) {
+    if (!values || values.length <= 1) return [];
+
+    const headers = values[0];
+    const read = (row, name) => (row[headers.indexOf(name)] || '').trim();
+    const readTime = (row, name) => (read(row, name).length === 5 ? `${read(row, name)}:00` : read(row, name));
+
+    return values.slice(1)
+        .filter(row => row && read(row, 'employee') && DATE_PATTERN.test(read(row, 'date')) && read(row, 'shift_type') &&
+            TIME_PATTERN.test(read(row, 'clock_in')) && TIME_PATTERN.test(read(row, 'clock_out')))
+        .map(row => ({
+            id: read(row, 'id'),
+            employee: read(row, 'employee'),
+            date: read(row, 'date'),
+            shiftType: read(row, 'shift_type'),
+            clockIn: readTime(row, 'clock_in'),
+            clockOut: readTime(row, 'clock_out'),
+            source: read(row, 'source'),
+            importedAt: read(row, 'imported_at')
+        }));
+}
+
+/**
+ * Turns records back into sheet rows, header row included.
+ * @param {Array<Object>} records - As returned by parseAttendanceRows.
+ * @returns {Array<Array<string>>}
+ */
+export function serializeAttendance(records) {
+    return [
+        ATTENDANCE_HEADERS,
+        ...records.map(record => [record.id, record.employee, record.date, record.shiftType, record.clockIn, record.clockOut, record.source, record.importedAt])
+    ];
+}
+
+/**
+ * Creates a new attendance record.
+ * @param {{employee: string, date: string, shiftType: string, clockIn: string, clockOut: string}} fields - Times as HH:MM:SS.
+ * @param {string} source - Where the times came from (one of ATTENDANCE_SOURCES).
+ * @returns {Object}
+ */
+export function createAttendanceRecord({ employee, date, shiftType, clockIn, clockOut }, source) {
+    return {
+        id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        employee,
+        date,
+        shiftType,
+        clockIn,
+        clockOut,
+        source,
+        importedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Compares an employee's planned shifts in a month with their attendance, one row per shift.
+ * A planned shift with no attendance counts as missed only once the month has attendance for the
+ * employee and the date has passed; otherwise nothing is known about it yet.
+ * @param {Object} schedules - The schedule object.
+ * @param {Array<Object>} records - All attendance records.
+ * @param {string} employee - The employee name.
+ * @param {string} monthKey - The month, 'YYYY-MM'.
+ * @returns {{employee: string, month: string, rows: Array<Object>, totals: Object}}
+ *   Each row: { date, dayName, shiftType, shiftLabel, planned: ?{start, end}, actual: ?{clockIn, clockOut},
+ *   lateMinutes, earlyMinutes, status }. Totals count planned, attended, late, leftEarly, unplanned and
+ *   missed shifts, and the late and early minutes.
+ */
+export function buildAttendanceReport(schedules, records, employee, monthKey) {
+    const [year, month] = monthKey.split('-').map(Number);
+    const today = toDateString(new Date());
+    const monthRecords = new Map(records
+        .filter(record => record.employee === employee && record.date.startsWith(monthKey))
+        .map(record => [`${record.date}|${record.shiftType}`, record]));
+    const hasAttendance = monthRecords.size > 0;
+    const rows = [];
+
+    for (let date = new Date(year, month - 1, 1); date.getMonth() === month - 1; date.setDate(date.getDate() + 1)) {
+        const dateString = toDateString(date);
+        const dayName = DAYS[date.getDay()];
+        const dayData = schedules[getWeekId(dateString)]?.[dayName] || {};
+        const dayRecordTypes = [...monthRecords.values()].filter(record => record.date === dateString).map(record => record.shiftType);
+        const shiftTypes = sortShiftTypeIds([...new Set([
+            ...Object.keys(dayData).filter(shiftType => dayData[shiftType]?.employee === employee),
+            ...dayRecordTypes
+        ])]);
+
+        shiftTypes.forEach(shiftType => {
+            const plannedShift = dayData[shiftType]?.employee === employee ? dayData[shiftType] : null;
+            const record = monthRecords.get(`${dateString}|${shiftType}`);
+            const row = {
+                date: dateString,
+                dayName,
+                shiftType,
+                shiftLabel: getShiftLabel(shiftType),
+                planned: plannedShift ? { start: plannedShift.start, end: plannedShift.end } : null,
+                actual: record ? { clockIn: record.clockIn, clockOut: record.clockOut } : null,
+                lateMinutes: 0,
+                earlyMinutes: 0
+            };
+            if (!row.planned) {
+                row.status = ATTENDANCE_STATUSES.UNPLANNED;
+            } else if (!row.actual) {
+                row.status = hasAttendance && dateString < today ? ATTENDANCE_STATUSES.MISSED : ATTENDANCE_STATUSES.NO_DATA;
+            } else {
+                const late = minutesFrom(row.planned.start, row.actual.clockIn);
+                const early = minutesFrom(row.actual.clockOut, row.planned.end);
+                row.lateMinutes = late > GRACE_MINUTES ? late : 0;
+                row.earlyMinutes = early > GRACE_MINUTES ? early : 0;
+                row.status = row.lateMinutes > 0 || row.earlyMinutes > 0 ? ATTENDANCE_STATUSES.DEVIATION : ATTENDANCE_STATUSES.ON_TIME;
+            }
+            rows.push(row);
+        });
+    }
+
+    const totals = {
+        planned: rows.filter(row => row.planned).length,
+        attended: rows.filter(row => row.actual).length,
+        late: rows.filter(row => row.lateMinutes > 0).length,
+        leftEarly: rows.filter(row => row.earlyMinutes > 0).length,
+        unplanned: rows.filter(row => row.status === ATTENDANCE_STATUSES.UNPLANNED).length,
+        missed: rows.filter(row => row.status === ATTENDANCE_STATUSES.MISSED).length,
+        lateMinutes: rows.reduce((sum, row) => sum + row.lateMinutes, 0),
+        earlyMinutes: rows.reduce((sum, row) => sum + row.earlyMinutes, 0)
+    };
+    return { employee, month: monthKey, rows, totals };
+}
+
+/**
+ * Turns an attendance report into spreadsheet rows (header row first).
+ * @param {Object} report - As returned by buildAttendanceReport.
+ * @returns {Array<Array<string|number>>}
+ */
+export function attendanceReportToRows(report) {
+    const time = value => (value ? value.substring(0, 5) : '');
+    return [
+        ['תאריך', 'יום', 'משמרת', 'התחלה מתוכננת', 'סיום מתוכנן', 'כניסה בפועל', 'יציאה בפועל', 'איחור (דקות)', 'יציאה מוקדמת (דקות)', 'הערה'],
+        ...report.rows.map(row => [
+            row.date, row.dayName, row.shiftLabel,
+            time(row.planned?.start), time(row.planned?.end),
+            time(row.actual?.clockIn), time(row.actual?.clockOut),
+            row.lateMinutes, row.earlyMinutes,
+            row.status === ATTENDANCE_STATUSES.UNPLANNED ? 'משמרת לא מתוכננת' : row.status === ATTENDANCE_STATUSES.MISSED ? 'לא נרשמה נוכחות' : ''
+        ])
+    ];
+}
@@ -0,0 +1,97 @@
+import { DAYS } from '../config.js';
+import { getShiftTypesForDate } from './operatingRules.js';
+import { setScheduleCell } from './scheduleDiff.js';
+import { getAssignmentViolations, countWeeklyShifts } from './schedulingRules.js';
+import { getWeekId, toDateString } from '../utils.js';
+
+// A deterministic local scheduler: fills the empty shifts of a date range one by one, in
+// chronological order, with the valid employee who has the fewest shifts. Each choice sees
+// the ones made before it, and comes with a Hebrew explanation.
+
+const isAssigned = shift => Boolean(shift?.employee) && shift.employee !== 'none';
+
+function parseDate(dateString) {
+    const [year, month, day] = dateString.split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
+
+/**
+ * Plans assignments for every empty shift between two dates.
+ * Candidates are ranked by: fewest shifts that week, fewest shifts in the range,
+ * not having worked the shift just before, and then roster order.
+ * @param {Object} schedules - The schedule object (not modified).
+ * @param {string} startDate - First date to fill (YYYY-MM-DD).
+ * @param {string} endDate - Last date to fill (YYYY-MM-DD).
+ * @param {Array<string>} employees - Who may be scheduled, in roster order.
+ * @returns {Array<{cell: Object, date: string, employee: ?string, start: string, end: string, candidates: Array<string>, explanation: string}>}
+ *   One entry per empty shift, in chronological order. `employee` is null if no one is valid;
+ *   `candidates` are everyone who was valid, best first.
+ */
+export function planAutoSchedule(schedules, startDate, endDate, employees) {
+    const draft = JSON.parse(JSON.stringify(schedules));
+    const rangeCounts = new Map(employees.map(name => [name, 0]));
+    const plan = [];
+    let previousEmployee = null; // Who works the shift just before the one being filled
+
+    for (let date = parseDate(startDate); toDateString(date) <= endDate; date.setDate(date.getDate() + 1)) {
+        const weekId = getWeekId(toDateString(date));
+        const day = DAYS[date.getDay()];
+
+        getShiftTypesForDate(date).forEach(type => {
+            const cell = { weekId, day, shiftType: type.id };
+            const current = draft[weekId]?.[day]?.[type.id];
+            if (isAssigned(current)) {
+                rangeCounts.set(current.employee, (rangeCounts.get(current.employee) || 0) + 1);
+                previousEmployee = current.employee;
+                return;
+            }
+
+            const rejected = [];
+            const ranked = [];
+            employees.forEach((name, rosterIndex) => {
+                const violations = getAssignmentViolations(draft, cell, name);
+                if (violations.length > 0) {
+                    rejected.push(`${name} (${violations.map(v => v.message).join(', ')})`);
+                } else {
+                    ranked.push({
+                        name,
+                        rosterIndex,
+                        weekCount: countWeeklyShifts(draft, weekId, name),
+                        rangeCount: rangeCounts.get(name) || 0,
+                        workedPrevious: name === previousEmployee
+                    });
+                }
+            });
+            ranked.sort((a, b) =>
+                a.weekCount - b.weekCount ||
+                a.rangeCount - b.rangeCount ||
+                Number(a.workedPrevious) - Number(b.workedPrevious) ||
+                a.rosterIndex - b.rosterIndex);
+
+            const chosen = ranked[0] || null;
+            const rejectedText = rejected.length > 0 ? ` נפסלו: ${rejected.join('; ')}.` : '';
+            let explanation;
+            if (chosen) {
+                explanation = `${chosen.name}: ${chosen.weekCount} משמרות השבוע, ${chosen.rangeCount} בתקופה` +
+                    (chosen.workedPrevious ? ', עבד/ה במשמרת הקודמת' : '') +
+                    (ranked.length > 1 ? ` (מתוך ${ranked.length} מתאימים).` : ' (המתאים/ה היחיד/ה).') + rejectedText;
+                setScheduleCell(draft, cell, { employee: chosen.name, start: type.start, end: type.end });
+                rangeCounts.set(chosen.name, chosen.rangeCount + 1);
+            } else {
+                explanation = `אין עובד/ת שעומד/ת בכל הכללים.${rejectedText}`;
+            }
+            previousEmployee = chosen?.name || null;
+
+            plan.push({
+                cell,
+                date: toDateString(date),
+                employee: chosen?.name || null,
+                start: type.start,
+                end: type.end,
+                candidates: ranked.map(candidate => candidate.name),
+                explanation
+            });
+        });
+    }
+    return plan;
+}
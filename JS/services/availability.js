@@ -0,0 +1,176 @@
+import { DAYS } from '../config.js';
+import { getShiftLabel } from './shiftTypes.js';
+import { getDateOfDay, toDateString, formatDate } from '../utils.js';
+
+// Days and shifts employees cannot work, kept in the `availability` sheet. An entry covers either
+// a date range (time off) or a weekday every week, optionally only one shift type. Unavailability
+// is a hard constraint: the shift modal disables the employee and suggestions skip them.
+
+export const AVAILABILITY_HEADERS = ['id', 'employee', 'day', 'start_date', 'end_date', 'shift_type', 'reason', 'created_at', 'created_by', 'type'];
+
+/** A vacation is an absence recorded by the vacation planner, counted in reports; anything else is a constraint. */
+export const AVAILABILITY_TYPES = { CONSTRAINT: 'constraint', VACATION: 'vacation' };
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+let availabilityEntries = [];
+
+/**
+ * An id for a row written without one (e.g. by hand), derived from its content so it stays the same on
+ * every read. Identical rows are numbered in sheet order, so each one can be removed on its own.
+ * @param {Array<string>} row - The raw row.
+ * @param {Map<string, number>} seen - How many rows with each content were met so far in this read.
+ */
+function contentId(row, seen) {
+    let hash = 0;
+    row.join('|').split('').forEach(char => { hash = (hash * 31 + char.charCodeAt(0)) | 0; });
+    const id = `row-${(hash >>> 0).toString(36)}`;
+    const count = seen.get(id) || 0;
+    seen.set(id, count + 1);
+    return count === 0 ? id : `${id}-${count}`;
+}
+
+/**
+ * Parses the raw values of the `availability` sheet. Rows without an employee, or with neither
+ * a valid weekday nor a valid start date, are skipped.
+ * @param {Array<Array<string>>} values - Raw sheet values, including the header row.
+ * @returns {Array<Object>} Entries ({ id, employee, day, startDate, endDate, shiftType, reason, createdAt, createdBy, type }).
+ *   `day` and the dates are '' when unused; `shiftType` is '' for the whole day. Rows without an id get one from their content.
+ */
+export function parseAvailabilityRows(values) {
+    if (!values || values.length <= 1) return [];
+
+    const headers = values[0];
+    const read = (row, name) => (row[headers.indexOf(name)] || '').trim();
+    const seenContent = new Map();
+
+    return values.slice(1)
+        .filter(row => row && read(row, 'employee'))
+        .map(row => {
+            const startDate = DATE_PATTERN.test(read(row, 'start_date')) ? read(row, 'start_date') : '';
+            const endDate = DATE_PATTERN.test(read(row, 'end_date')) ? read(row, 'end_date') : startDate;
+            return {
+                id: read(row, 'id') || contentId(row, seenContent),
+                employee: read(row, 'employee'),
+                day: DAYS.includes(read(row, 'day')) ? read(row, 'day') : '',
+                startDate,
+                endDate: endDate < startDate ? startDate : endDate,
+                shiftType: read(row, 'shift_type'),
+                reason: read(row, 'reason'),
+                createdAt: read(row, 'created_at'),
+                createdBy: read(row, 'created_by'),
+                type: read(row, 'type') === AVAILABILITY_TYPES.VACATION ? AVAILABILITY_TYPES.VACATION : AVAILABILITY_TYPES.CONSTRAINT
+            };
+        })
+        .filter(entry => entry.day || entry.startDate);
+}
+
+/**
+ * Turns entries back into sheet rows, header row included.
+ * @param {Array<Object>} entries - As returned by parseAvailabilityRows.
+ * @returns {Array<Array<string>>}
+ */
+export function serializeAvailability(entries) {
+    return [
+        AVAILABILITY_HEADERS,
+        ...entries.map(entry => [
+            entry.id, entry.employee, entry.day, entry.startDate, entry.endDate,
+            entry.shiftType, entry.reason, entry.createdAt, entry.createdBy, entry.type
+        ])
+    ];
+}
+
+export function setAvailability(entries) {
+    availabilityEntries = entries;
+}
+
+export function getAvailability() {
+    return availabilityEntries;
+}
+
+/**
+ * Creates a new entry.
+ * @param {{employee: string, day?: string, startDate?: string, endDate?: string, shiftType?: string, reason?: string, type?: string}} fields
+ * @param {string} createdBy - Email (or name) of whoever added it.
+ * @returns {Object}
+ */
+export function createAvailabilityEntry({ employee, day = '', startDate = '', endDate = '', shiftType = '', reason = '', type = AVAILABILITY_TYPES.CONSTRAINT }, createdBy) {
+    return {
+        id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        employee,
+        day,
+        startDate,
+        endDate: endDate || startDate,
+        shiftType,
+        reason,
+        createdAt: new Date().toISOString(),
+        createdBy,
+        type
+    };
+}
+
+/**
+ * Finds the entry that makes an employee unavailable for a cell.
+ * @param {string} employee - The employee name.
+ * @param {{weekId: string, day: string, shiftType: string}} cell - The shift.
+ * @param {Array<Object>} [entries] - Defaults to the loaded entries.
+ * @returns {Object|null} The first matching entry, or null if the employee is available.
+ */
+export function findUnavailability(employee, { weekId, day, shiftType }, entries = availabilityEntries) {
+    const date = toDateString(getDateOfDay(weekId, day));
+    return entries.find(entry =>
+        entry.employee === employee &&
+        (!entry.day || entry.day === day) &&
+        (!entry.startDate || (entry.startDate <= date && date <= entry.endDate)) &&
+        (!entry.shiftType || entry.shiftType === shiftType)
+    ) || null;
+}
+
+/**
+ * Lists who cannot work a cell, with the reason.
+ * @returns {Map<string, Object>} Employee name -> the matching entry.
+ */
+export function getUnavailableEmployees(cell, employees, entries = availabilityEntries) {
+    const unavailable = new Map();
+    employees.forEach(employee => {
+        const entry = findUnavailability(employee, cell, entries);
+        if (entry) unavailable.set(employee, entry);
+    });
+    return unavailable;
+}
+
+/**
+ * Counts an employee's vacation days in a month, for reports.
+ * @param {string} employee - The employee name.
+ * @param {string} monthKey - The month, 'YYYY-MM'.
+ * @param {Array<Object>} [entries] - Defaults to the loaded entries.
+ * @returns {number}
+ */
+export function countVacationDays(employee, monthKey, entries = availabilityEntries) {
+    const [year, month] = monthKey.split('-').map(Number);
+    const days = new Set();
+    entries
+        .filter(entry => entry.type === AVAILABILITY_TYPES.VACATION && entry.employee === employee && entry.startDate)
+        .forEach(entry => {
+            for (let date = new Date(year, month - 1, 1); date.getMonth() === month - 1; date.setDate(date.getDate() + 1)) {
+                const dateString = toDateString(date);
+                if (entry.startDate <= dateString && dateString <= entry.endDate) days.add(dateString);
+            }
+        });
+    return days.size;
+}
+
+/** Hebrew description of when an entry applies, e.g. "כל יום שלישי, משמרת ערב". */
+export function describeAvailabilityEntry(entry) {
+    let when;
+    if (entry.startDate) {
+        const range = entry.endDate !== entry.startDate
+            ? `${formatDate(entry.startDate)}–${formatDate(entry.endDate)}`
+            : formatDate(entry.startDate);
+        when = entry.day ? `${range}, בימי ${entry.day}` : range;
+    } else {
+        when = `כל יום ${entry.day}`;
+    }
+    if (entry.type === AVAILABILITY_TYPES.VACATION) when = `חופשה: ${when}`;
+    return entry.shiftType ? `${when}, משמרת ${getShiftLabel(entry.shiftType)}` : when;
+}
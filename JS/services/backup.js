@@ -0,0 +1,174 @@
+import { DAYS, SHEET_NAME_EMPLOYEES, SHEET_NAME_SETTINGS, SHEET_NAME_HOLIDAYS, SHEET_NAME_CHANGE_LOG, SHEET_NAME_LOGS, SHEET_NAME_SWAP_REQUESTS, SHEET_NAME_AVAILABILITY, SHEET_NAME_TEMPLATES, SHEET_NAME_RECURRING, SHEET_NAME_ATTENDANCE } from '../config.js';
+import { diffSchedules, applyChangeSet, flattenSchedules } from './scheduleDiff.js';
+import { getShiftType } from './shiftTypes.js';
+
+// Full-dataset backup files: the schedules, every data table (roster, settings, holidays, logs,
+// swap requests, availability, templates, recurring rules, attendance) as raw rows, and the
+// calendar event mappings.
+
+export const BACKUP_FORMAT = 'shift-schedule-backup';
+export const BACKUP_VERSION = 1;
+
+export const RESTORE_MODES = { MERGE: 'merge', REPLACE: 'replace' };
+
+const MAX_REPORTED_ERRORS = 10;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^\d{2}:\d{2}(:\d{2})?$/;
+
+/**
+ * The columns that identify a record of each backed-up table, for merging; a backup record replaces
+ * the current records with the same key. Log tables (null) are history and are merged by whole rows.
+ */
+export const TABLE_MERGE_KEYS = {
+    [SHEET_NAME_EMPLOYEES]: ['name'],
+    [SHEET_NAME_SETTINGS]: ['key'],
+    [SHEET_NAME_HOLIDAYS]: ['date'],
+    [SHEET_NAME_CHANGE_LOG]: null,
+    [SHEET_NAME_LOGS]: null,
+    [SHEET_NAME_SWAP_REQUESTS]: ['id'],
+    [SHEET_NAME_AVAILABILITY]: ['id'],
+    [SHEET_NAME_TEMPLATES]: ['name'],
+    [SHEET_NAME_RECURRING]: ['id'],
+    [SHEET_NAME_ATTENDANCE]: ['employee', 'date', 'shift_type']
+};
+
+export const BACKUP_TABLES = Object.keys(TABLE_MERGE_KEYS);
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Builds a backup object, ready to be written as JSON.
+ * @param {{schedules: Object, tables: Object<string, Array<Array<string>>>, calendarEvents: Object<string, string>}} data
+ * @returns {Object} The versioned backup.
+ */
+export function buildBackup({ schedules, tables, calendarEvents }) {
+    return {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        exportedAt: new Date().toISOString(),
+        schedules,
+        tables,
+        calendarEvents
+    };
+}
+
+/**
+ * Checks that parsed JSON is a backup this version can restore.
+ * @param {*} backup - The parsed file content.
+ * @returns {Array<string>} Problems found, in Hebrew for display; empty if the backup is valid.
+ */
+export function validateBackup(backup) {
+    if (!isPlainObject(backup) || backup.format !== BACKUP_FORMAT) {
+        return ['הקובץ אינו קובץ גיבוי של מערכת הסידור.'];
+    }
+    if (!Number.isInteger(backup.version) || backup.version < 1 || backup.version > BACKUP_VERSION) {
+        return [`גרסת הגיבוי (${backup.version}) אינה נתמכת בגרסה זו של המערכת.`];
+    }
+
+    const errors = [];
+    if (!isPlainObject(backup.schedules)) {
+        errors.push('חסרים נתוני המשמרות.');
+    } else {
+        Object.entries(backup.schedules).forEach(([weekId, weekData]) => {
+            if (!DATE_PATTERN.test(weekId) || !isPlainObject(weekData)) {
+                errors.push(`שבוע לא תקין: ${weekId}`);
+                return;
+            }
+            Object.entries(weekData).forEach(([day, dayData]) => {
+                if (!DAYS.includes(day) || !isPlainObject(dayData)) {
+                    errors.push(`יום לא תקין בשבוע ${weekId}: ${day}`);
+                    return;
+                }
+                Object.entries(dayData).forEach(([shiftType, shift]) => {
+                    if (!getShiftType(shiftType)) {
+                        errors.push(`סוג משמרת לא מוכר בשבוע ${weekId}, ${day}: ${shiftType}`);
+                        return;
+                    }
+                    const isValid = isPlainObject(shift) && typeof shift.employee === 'string' && shift.employee.trim() &&
+                        TIME_PATTERN.test(shift.start || '') && TIME_PATTERN.test(shift.end || '');
+                    if (!isValid) errors.push(`משמרת לא תקינה: ${weekId}, ${day}, ${shiftType}`);
+                });
+            });
+        });
+    }
+
+    if (!isPlainObject(backup.tables)) {
+        errors.push('חסרות טבלאות הנתונים.');
+    } else {
+        Object.entries(backup.tables).forEach(([name, rows]) => {
+            if (!Array.isArray(rows) || !rows.every(Array.isArray)) errors.push(`הטבלה ${name} אינה תקינה.`);
+        });
+    }
+
+    if (backup.calendarEvents !== undefined &&
+        (!isPlainObject(backup.calendarEvents) || !Object.values(backup.calendarEvents).every(id => typeof id === 'string'))) {
+        errors.push('מיפוי אירועי היומן אינו תקין.');
+    }
+
+    if (errors.length > MAX_REPORTED_ERRORS) {
+        return [...errors.slice(0, MAX_REPORTED_ERRORS), `ועוד ${errors.length - MAX_REPORTED_ERRORS} שגיאות.`];
+    }
+    return errors;
+}
+
+/** Counts what a backup holds, for the restore preview. */
+export function summarizeBackup(backup) {
+    return {
+        weeks: Object.keys(backup.schedules).length,
+        shifts: flattenSchedules(backup.schedules).size,
+        employees: Math.max((backup.tables.employees || []).length - 1, 0),
+        calendarEvents: Object.keys(backup.calendarEvents || {}).length
+    };
+}
+
+/**
+ * Computes the schedules after a restore.
+ * Merge writes every shift of the backup and keeps the current shifts it does not cover;
+ * replace makes the schedules exactly those of the backup.
+ * @param {Object} current - The current schedules.
+ * @param {Object} backupSchedules - The schedules in the backup.
+ * @param {string} mode - One of RESTORE_MODES.
+ * @returns {Object} The restored schedules (a new object).
+ */
+export function buildRestoredSchedules(current, backupSchedules, mode) {
+    if (mode === RESTORE_MODES.REPLACE) return JSON.parse(JSON.stringify(backupSchedules));
+    const restored = JSON.parse(JSON.stringify(current));
+    applyChangeSet(restored, { upserts: diffSchedules(current, backupSchedules).upserts, deletes: [] }, false);
+    return restored;
+}
+
+/**
+ * Computes a table's rows after a restore. Replace makes the table exactly the backup's, except for
+ * log tables, which are always merged so that nothing logged since the backup (the restore included)
+ * is lost. Merge keeps the current records and writes the backup's over the ones with the same key;
+ * log rows missing here are added before the current ones, as they are older.
+ * Backup rows are mapped to the current columns by header name.
+ * @param {Array<Array<string>>} currentRows - The table now, header row first (empty if the table is new).
+ * @param {Array<Array<string>>} backupRows - The table in the backup, header row first.
+ * @param {string} name - The table name (a key of TABLE_MERGE_KEYS).
+ * @param {string} mode - One of RESTORE_MODES.
+ * @returns {Array<Array<string>>} The rows to write, header row first; empty if there is nothing to write.
+ */
+export function buildRestoredTable(currentRows, backupRows, name, mode) {
+    const keyColumns = TABLE_MERGE_KEYS[name];
+    const isLog = keyColumns === null;
+    if (mode === RESTORE_MODES.REPLACE && !isLog) {
+        return backupRows.length > 0 ? backupRows : currentRows.slice(0, 1);
+    }
+    if (currentRows.length === 0) return backupRows;
+    if (backupRows.length === 0) return currentRows;
+
+    const [header, ...current] = currentRows;
+    const [backupHeader, ...backup] = backupRows;
+    const mapped = backup.map(row => header.map(column => row[backupHeader.indexOf(column)] ?? ''));
+    const rowKey = row => (isLog
+        ? JSON.stringify(header.map((_, index) => row[index] ?? ''))
+        : JSON.stringify(keyColumns.map(column => row[header.indexOf(column)] ?? '')));
+
+    if (isLog) {
+        const currentKeys = new Set(current.map(rowKey));
+        return [header, ...mapped.filter(row => !currentKeys.has(rowKey(row))), ...current];
+    }
+    const backupKeys = new Set(mapped.map(rowKey));
+    return [header, ...current.filter(row => !backupKeys.has(rowKey(row))), ...mapped];
+}
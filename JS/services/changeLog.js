@@ -0,0 +1,54 @@
+export const CHANGE_LOG_HEADERS = [
+    'timestamp', 'user_email', 'action', 'week_id', 'day', 'shift_type',
+    'old_employee', 'old_start', 'old_end', 'new_employee', 'new_start', 'new_end'
+];
+
+const shiftColumns = shift => shift ? [shift.employee, shift.start, shift.end] : ['', '', ''];
+
+/**
+ * Builds `change_log` rows for the rows written by a save.
+ * @param {{upserts: Array<Object>, deletes: Array<Object>}} changes - As returned by diffSchedules.
+ * @param {{timestamp: string, userEmail: string, action: string}} context - Who saved, when and through which action.
+ * @returns {Array<Array<string>>} Rows ready to be appended to the sheet.
+ */
+export function buildChangeLogRows({ upserts, deletes }, { timestamp, userEmail, action }) {
+    const row = (change, oldShift, newShift) => [
+        timestamp, userEmail, action, change.weekId, change.day, change.shiftType,
+        ...shiftColumns(oldShift), ...shiftColumns(newShift)
+    ];
+    return [
+        ...upserts.map(change => row(change, change.previous, change.shift)),
+        ...deletes.map(change => row(change, change.shift, null))
+    ];
+}
+
+/**
+ * Parses the raw values of the `change_log` sheet, newest entry first.
+ * @param {Array<Array<string>>} values - Raw sheet values, including the header row.
+ * @returns {Array<Object>} Entries ({ timestamp, userEmail, action, weekId, day, shiftType, oldShift, newShift }).
+ *   `oldShift`/`newShift` are null for an empty slot.
+ */
+export function parseChangeLogRows(values) {
+    if (!values || values.length <= 1) return [];
+
+    const headers = values[0];
+    const column = name => headers.indexOf(name);
+    const readShift = (row, prefix) => {
+        const employee = row[column(`${prefix}_employee`)];
+        return employee ? { employee, start: row[column(`${prefix}_start`)] || '', end: row[column(`${prefix}_end`)] || '' } : null;
+    };
+
+    return values.slice(1)
+        .filter(row => row && row[column('week_id')])
+        .map(row => ({
+            timestamp: row[column('timestamp')] || '',
+            userEmail: row[column('user_email')] || '',
+            action: row[column('action')] || '',
+            weekId: row[column('week_id')],
+            day: row[column('day')] || '',
+            shiftType: row[column('shift_type')] || '',
+            oldShift: readShift(row, 'old'),
+            newShift: readShift(row, 'new')
+        }))
+        .reverse(); // Rows are appended in chronological order
+}
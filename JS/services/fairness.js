@@ -0,0 +1,105 @@
+import { isEveningShiftType } from './shiftTypes.js';
+
+// Long-term fairness: how Fridays, evenings, hours and shifts next to the weekend are spread
+// across the staff over a range of months. Works on the per-month data the charts build for
+// each employee ({ 'YYYY-MM': { shifts: [{ date, dayName, shiftType, start, duration }] } }).
+
+export const FAIRNESS_METRICS = {
+    SHIFTS: 'shifts',
+    FRIDAYS: 'fridays',
+    EVENINGS: 'evenings',
+    HOURS: 'hours',
+    WEEKEND_ADJACENT: 'weekendAdjacent'
+};
+
+export const FAIRNESS_METRIC_LABELS = {
+    [FAIRNESS_METRICS.SHIFTS]: 'משמרות',
+    [FAIRNESS_METRICS.FRIDAYS]: 'ימי שישי',
+    [FAIRNESS_METRICS.EVENINGS]: 'משמרות ערב',
+    [FAIRNESS_METRICS.HOURS]: 'שעות',
+    [FAIRNESS_METRICS.WEEKEND_ADJACENT]: 'צמודות לסוף השבוע'
+};
+
+const FRIDAY = 'שישי';
+const THURSDAY = 'חמישי';
+const SUNDAY = 'ראשון';
+const MIDDAY = '12:00';
+
+const emptyTotals = () => Object.fromEntries(Object.values(FAIRNESS_METRICS).map(metric => [metric, 0]));
+
+/** Thursday afternoon-to-night shifts lead into the weekend; Sunday morning shifts come right after it. */
+function isWeekendAdjacent(shift) {
+    const start = (shift.start || '').substring(0, 5);
+    return (shift.dayName === THURSDAY && start >= MIDDAY) || (shift.dayName === SUNDAY && start < MIDDAY);
+}
+
+/**
+ * Lists the months from one to another, inclusive.
+ * @param {string} fromMonth - YYYY-MM.
+ * @param {string} toMonth - YYYY-MM.
+ * @returns {string[]} Empty if `toMonth` is before `fromMonth`.
+ */
+export function listMonths(fromMonth, toMonth) {
+    const months = [];
+    let [year, month] = fromMonth.split('-').map(Number);
+    for (let key = fromMonth; key <= toMonth; key = `${year}-${String(month).padStart(2, '0')}`) {
+        months.push(key);
+        month++;
+        if (month > 12) {
+            month = 1;
+            year++;
+        }
+    }
+    return months;
+}
+
+/**
+ * Compares employees over a range of months.
+ * Each metric's deviation is the employee's total minus the even share (the team average).
+ * Employees at least one Friday above the even share are "owed" the next Friday off,
+ * most owed first and, among equals, whoever worked a Friday most recently.
+ * @param {Object<string, Object>} monthlyDataByEmployee - Employee name to their per-month data.
+ * @param {string[]} months - The months to compare (YYYY-MM), in order.
+ * @returns {{rows: Array<{employee: string, totals: Object, deviations: Object, byMonth: Object, lastFriday: ?string}>,
+ *   evenShare: Object, owedFridayOff: Array<{employee: string, surplus: number, lastFriday: ?string}>}}
+ */
+export function buildFairnessReport(monthlyDataByEmployee, months) {
+    const rows = Object.entries(monthlyDataByEmployee).map(([employee, monthlyData]) => {
+        const totals = emptyTotals();
+        const byMonth = {};
+        let lastFriday = null;
+        months.forEach(monthKey => {
+            const monthTotals = emptyTotals();
+            (monthlyData[monthKey]?.shifts || []).forEach(shift => {
+                monthTotals[FAIRNESS_METRICS.SHIFTS]++;
+                monthTotals[FAIRNESS_METRICS.HOURS] += shift.duration || 0;
+                if (isEveningShiftType(shift.shiftType)) monthTotals[FAIRNESS_METRICS.EVENINGS]++;
+                if (isWeekendAdjacent(shift)) monthTotals[FAIRNESS_METRICS.WEEKEND_ADJACENT]++;
+                if (shift.dayName === FRIDAY) {
+                    monthTotals[FAIRNESS_METRICS.FRIDAYS]++;
+                    if (!lastFriday || shift.date > lastFriday) lastFriday = shift.date;
+                }
+            });
+            byMonth[monthKey] = monthTotals;
+            Object.keys(totals).forEach(metric => { totals[metric] += monthTotals[metric]; });
+        });
+        return { employee, totals, byMonth, lastFriday };
+    });
+
+    const evenShare = emptyTotals();
+    if (rows.length > 0) {
+        Object.keys(evenShare).forEach(metric => {
+            evenShare[metric] = rows.reduce((sum, row) => sum + row.totals[metric], 0) / rows.length;
+        });
+    }
+    rows.forEach(row => {
+        row.deviations = Object.fromEntries(Object.keys(evenShare).map(metric => [metric, row.totals[metric] - evenShare[metric]]));
+    });
+
+    const owedFridayOff = rows
+        .filter(row => row.deviations[FAIRNESS_METRICS.FRIDAYS] >= 1)
+        .map(row => ({ employee: row.employee, surplus: row.deviations[FAIRNESS_METRICS.FRIDAYS], lastFriday: row.lastFriday }))
+        .sort((a, b) => b.surplus - a.surplus || (b.lastFriday || '').localeCompare(a.lastFriday || ''));
+
+    return { rows, evenShare, owedFridayOff };
+}
@@ -1,4 +1,6 @@
-import { getWeekId, DAYS } from '../utils.js';
+import { DAYS } from '../utils.js';
+import { classifyShiftByTime, sortShiftTypeIds } from './shiftTypes.js';
+import { getActiveShiftTypes, getShiftTypesForDate } from './operatingRules.js';
 
 /**
  * Ensures a time string is always in HH:MM:SS format.
@@ -90,7 +92,7 @@ const PROMPT_TEMPLATES = {
         4.  Ignore non-work days (like 'שבת', 'חופש', or empty rows).
         5.  You MUST respond ONLY with a valid JSON array. If no shifts are found, return an empty array: [].`,
 
-    'generic': (month, year) => `
+    'generic': (employeeName, month, year) => `
         You are an expert at extracting data from Hebrew work schedule images.
         The image is a schedule for ${month}/${year}.
         Task: Extract every shift for every employee.
@@ -98,11 +100,11 @@ const PROMPT_TEMPLATES = {
         **RULES:**
         1.  For each shift, create a JSON object with:
             * "day": The day of the month (number).
-            * "shiftType": "morning" or "evening".
+            * "shiftType": one of ${getActiveShiftTypes().map(type => `"${type.id}" (${type.label})`).join(', ')}.
             * "employee": The employee's name.
             * "start": Start time (HH:MM).
             * "end": End time (HH:MM).
-        2.  Default times: morning 07:00-16:00, evening 13:00-22:00. Use if not specified.
+        2.  Default times: ${getActiveShiftTypes().map(type => `${type.id} ${type.start.substring(0, 5)}-${type.end.substring(0, 5)}`).join(', ')}. Use if not specified.
         3.  The employee's name is critical. If no name, do not include the shift.
         4.  You MUST respond ONLY with a valid JSON array. If no shifts, return [].`
 };
@@ -159,7 +161,7 @@ export function structureShifts(shifts, month, year, employeeName) {
             }
             
             const dateString = `${year}-${String(month).padStart(2, '0')}-${String(shift.day).padStart(2, '0')}`;
-            const shiftType = parseInt(entry.split(':')[0], 10) < 12 ? 'morning' : 'evening';
+            const shiftType = classifyShiftByTime(entry, getShiftTypesForDate(dateString));
             
             if (!structured[dateString]) structured[dateString] = {};
             
@@ -196,7 +198,8 @@ export function compareSchedules(googleSheetsShifts, hilanetShifts) {
         const hlDay = hilanetShifts[date] || {};
         const dayName = DAYS[new Date(date).getDay()];
 
-        ['morning', 'evening'].forEach(shiftType => {
+        const shiftTypes = sortShiftTypeIds([...new Set([...Object.keys(gsDay), ...Object.keys(hlDay)])]);
+        shiftTypes.forEach(shiftType => {
             const gsShift = gsDay[shiftType];
             const hlShift = hlDay[shiftType];
             const id = `${date}-${shiftType}`;
@@ -222,33 +225,14 @@ export function compareSchedules(googleSheetsShifts, hilanetShifts) {
 }
 
 /**
- * Handles the import of selected shifts, filtering out shifts on Shabbat.
+ * Lists the Hilanet shifts to save as attendance: every punch in the report, whether or not it
+ * matches the schedule, since they record what was actually worked.
+ * @param {Object} hilanetShifts - As returned by structureShifts.
+ * @returns {Array<{employee: string, date: string, shiftType: string, clockIn: string, clockOut: string}>}
  */
-export function handleImportSelectedHilanetShifts(selectedDifferences, allSchedules) {
-    if (!selectedDifferences || selectedDifferences.length === 0) {
-        return { updatedSchedules: allSchedules, importedCount: 0 };
-    }
-
-    let importedCount = 0;
-    const newSchedules = JSON.parse(JSON.stringify(allSchedules));
-
-    const validDifferencesToImport = selectedDifferences.filter(diff => {
-        return diff.dayName !== 'שבת' && (diff.type === 'added' || diff.type === 'changed');
-    });
-
-    validDifferencesToImport.forEach(diff => {
-        const weekId = getWeekId(diff.date);
-        const dayName = DAYS[new Date(diff.date).getDay()];
-        
-        if (!newSchedules[weekId]) newSchedules[weekId] = {};
-        if (!newSchedules[weekId][dayName]) newSchedules[weekId][dayName] = {};
-
-        newSchedules[weekId][dayName][diff.shiftType] = diff.hilanet;
-        importedCount++;
-    });
-
-    return { 
-        updatedSchedules: newSchedules, 
-        importedCount: importedCount
-    };
-}
\ No newline at end of file
+export function getAttendanceShifts(hilanetShifts) {
+    return Object.entries(hilanetShifts).flatMap(([date, dayShifts]) =>
+        Object.entries(dayShifts)
+            .filter(([, shift]) => shift?.employee)
+            .map(([shiftType, shift]) => ({ employee: shift.employee, date, shiftType, clockIn: shift.start, clockOut: shift.end })));
+}
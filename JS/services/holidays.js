@@ -0,0 +1,204 @@
+// Computes the Israeli holiday calendar locally (no external service).
+// Dates are handled as day numbers (days since 1970-01-01) to stay clear of DST issues.
+
+export const HOLIDAY_TYPES = {
+    HOLIDAY: 'holiday', // The department is closed, like on Shabbat
+    EVE: 'eve'          // Short day, like on Friday
+};
+
+export const HOLIDAY_OVERRIDE_HEADERS = ['date', 'name', 'type'];
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Rosh Hashana 5785 fell on 2024-10-03; every other year is computed relative to it
+const ANCHOR_YEAR = 5785;
+const ANCHOR_DAY = Date.UTC(2024, 9, 3) / MS_PER_DAY;
+
+const MONTHS = ['tishrei', 'cheshvan', 'kislev', 'tevet', 'shevat', 'adar1', 'adar', 'nisan', 'iyar', 'sivan', 'tammuz', 'av', 'elul'];
+
+const yearCache = new Map();
+let holidayOverrides = new Map();
+
+/** Days from the epoch of the Hebrew calendar to the molad of Tishrei, with the molad postponements. */
+function elapsedDays(year) {
+    const monthsElapsed = Math.floor((235 * year - 234) / 19);
+    const partsElapsed = 12084 + 13753 * monthsElapsed;
+    const days = 29 * monthsElapsed + Math.floor(partsElapsed / 25920);
+    return (3 * (days + 1)) % 7 < 3 ? days + 1 : days;
+}
+
+/** Additional postponement that keeps the year length within the allowed values. */
+function yearLengthCorrection(year) {
+    const previous = elapsedDays(year - 1);
+    const current = elapsedDays(year);
+    const next = elapsedDays(year + 1);
+    if (next - current === 356) return 2;
+    if (current - previous === 382) return 1;
+    return 0;
+}
+
+function roshHashanaDay(year) {
+    const offset = elapsedDays(year) + yearLengthCorrection(year)
+        - elapsedDays(ANCHOR_YEAR) - yearLengthCorrection(ANCHOR_YEAR);
+    return ANCHOR_DAY + offset;
+}
+
+function isLeapYear(year) {
+    return (7 * year + 1) % 19 < 7;
+}
+
+/** Returns the lengths of the months of a Hebrew year, keyed by month, starting from Tishrei. */
+function monthLengths(year) {
+    const yearLength = roshHashanaDay(year + 1) - roshHashanaDay(year);
+    return {
+        tishrei: 30,
+        cheshvan: yearLength % 10 === 5 ? 30 : 29, // Complete year
+        kislev: yearLength % 10 === 3 ? 29 : 30,   // Deficient year
+        tevet: 29,
+        shevat: 30,
+        adar1: isLeapYear(year) ? 30 : 0,
+        adar: 29,
+        nisan: 30,
+        iyar: 29,
+        sivan: 30,
+        tammuz: 29,
+        av: 30,
+        elul: 29
+    };
+}
+
+function hebrewDateToDay(year, month, dayOfMonth) {
+    const lengths = monthLengths(year);
+    let day = roshHashanaDay(year);
+    for (const name of MONTHS) {
+        if (name === month) break;
+        day += lengths[name];
+    }
+    return day + dayOfMonth - 1;
+}
+
+function weekdayOf(day) {
+    return new Date(day * MS_PER_DAY).getUTCDay();
+}
+
+/** Yom HaAtzmaut is 5 Iyar, moved so that neither it nor Yom HaZikaron touches Shabbat. */
+function independenceDay(year) {
+    const fifthOfIyar = hebrewDateToDay(year, 'iyar', 5);
+    switch (weekdayOf(fifthOfIyar)) {
+        case 5: return fifthOfIyar - 1; // Friday -> Thursday
+        case 6: return fifthOfIyar - 2; // Shabbat -> Thursday
+        case 1: return fifthOfIyar + 1; // Monday -> Tuesday
+        default: return fifthOfIyar;
+    }
+}
+
+/**
+ * Returns the closure days and eves of a Hebrew year (as observed in Israel).
+ * @param {number} year - The Hebrew year (e.g. 5786).
+ * @returns {Map<number, {name: string, type: string}>} Keyed by day number.
+ */
+function getHebrewYearHolidays(year) {
+    if (yearCache.has(year)) return yearCache.get(year);
+
+    const { HOLIDAY, EVE } = HOLIDAY_TYPES;
+    const atzmaut = independenceDay(year);
+    const entries = [
+        [hebrewDateToDay(year, 'tishrei', 1) - 1, 'ערב ראש השנה', EVE],
+        [hebrewDateToDay(year, 'tishrei', 1), 'ראש השנה', HOLIDAY],
+        [hebrewDateToDay(year, 'tishrei', 2), 'ראש השנה', HOLIDAY],
+        [hebrewDateToDay(year, 'tishrei', 9), 'ערב יום כיפור', EVE],
+        [hebrewDateToDay(year, 'tishrei', 10), 'יום כיפור', HOLIDAY],
+        [hebrewDateToDay(year, 'tishrei', 14), 'ערב סוכות', EVE],
+        [hebrewDateToDay(year, 'tishrei', 15), 'סוכות', HOLIDAY],
+        [hebrewDateToDay(year, 'tishrei', 21), 'הושענא רבה', EVE],
+        [hebrewDateToDay(year, 'tishrei', 22), 'שמחת תורה', HOLIDAY],
+        [hebrewDateToDay(year, 'nisan', 14), 'ערב פסח', EVE],
+        [hebrewDateToDay(year, 'nisan', 15), 'פסח', HOLIDAY],
+        [hebrewDateToDay(year, 'nisan', 20), 'ערב שביעי של פסח', EVE],
+        [hebrewDateToDay(year, 'nisan', 21), 'שביעי של פסח', HOLIDAY],
+        [atzmaut - 1, 'יום הזיכרון', EVE],
+        [atzmaut, 'יום העצמאות', HOLIDAY],
+        [hebrewDateToDay(year, 'sivan', 5), 'ערב שבועות', EVE],
+        [hebrewDateToDay(year, 'sivan', 6), 'שבועות', HOLIDAY]
+    ];
+
+    const holidays = new Map();
+    entries.forEach(([day, name, type]) => {
+        // A day that is both a holiday and the eve of the next one (e.g. the first day of Rosh Hashana) stays a holiday
+        if (holidays.get(day)?.type === HOLIDAY) return;
+        holidays.set(day, { name, type });
+    });
+    yearCache.set(year, holidays);
+    return holidays;
+}
+
+/** Converts a Date (local calendar day) or a 'YYYY-MM-DD' string to a day number. */
+function toDayNumber(date) {
+    if (typeof date === 'string') {
+        const [year, month, day] = date.split('-').map(Number);
+        return Date.UTC(year, month - 1, day) / MS_PER_DAY;
+    }
+    const d = new Date(date);
+    return Date.UTC(d.getFullYear(), d.getMonth(), d.getDate()) / MS_PER_DAY;
+}
+
+function dayNumberToISO(day) {
+    return new Date(day * MS_PER_DAY).toISOString().split('T')[0];
+}
+
+/**
+ * Parses the raw values of the `holidays` sheet (date, name, type) into overrides.
+ * A missing or unknown type counts as a closure day.
+ * @param {Array<Array<string>>} values - Raw sheet values, including the header row.
+ * @returns {Array<Object>} Overrides ({ date: 'YYYY-MM-DD', name, type }).
+ */
+export function parseHolidayOverrideRows(values) {
+    if (!values || values.length <= 1) return [];
+
+    const headers = values[0];
+    const dateIndex = headers.indexOf('date');
+    const nameIndex = headers.indexOf('name');
+    const typeIndex = headers.indexOf('type');
+
+    return values.slice(1)
+        .filter(row => row && /^\d{4}-\d{2}-\d{2}$/.test(row[dateIndex]?.trim() || ''))
+        .map(row => ({
+            date: row[dateIndex].trim(),
+            name: row[nameIndex]?.trim() || 'סגור',
+            type: row[typeIndex]?.trim() === HOLIDAY_TYPES.EVE ? HOLIDAY_TYPES.EVE : HOLIDAY_TYPES.HOLIDAY
+        }));
+}
+
+/** Replaces the manager-defined closure days and eves. They take precedence over the computed calendar. */
+export function setHolidayOverrides(overrides) {
+    holidayOverrides = new Map(overrides.map(entry => [toDayNumber(entry.date), { name: entry.name, type: entry.type }]));
+}
+
+/**
+ * Returns the holiday or holiday eve that falls on a date, if any.
+ * @param {Date|string} date - The date (a Date or a 'YYYY-MM-DD' string).
+ * @returns {{name: string, type: string}|null}
+ */
+export function getHoliday(date) {
+    const day = toDayNumber(date);
+    if (holidayOverrides.has(day)) return holidayOverrides.get(day);
+
+    // A Gregorian date falls in the Hebrew year that started on the last Rosh Hashana before it
+    const gregorianYear = new Date(day * MS_PER_DAY).getUTCFullYear();
+    const hebrewYear = day >= roshHashanaDay(gregorianYear + 3761) ? gregorianYear + 3761 : gregorianYear + 3760;
+    // Erev Rosh Hashana belongs to the old year but is listed with the new one
+    return getHebrewYearHolidays(hebrewYear).get(day) || getHebrewYearHolidays(hebrewYear + 1).get(day) || null;
+}
+
+/**
+ * Lists the holidays and eves between two dates (inclusive), e.g. for a month view.
+ * @returns {Array<{date: string, name: string, type: string}>}
+ */
+export function getHolidaysInRange(startDate, endDate) {
+    const result = [];
+    for (let day = toDayNumber(startDate); day <= toDayNumber(endDate); day++) {
+        const holiday = getHoliday(dayNumberToISO(day));
+        if (holiday) result.push({ date: dayNumberToISO(day), ...holiday });
+    }
+    return result;
+}
@@ -0,0 +1,86 @@
+// IndexedDB storage for working offline: a snapshot of the last loaded data, used to render
+// at startup, and a durable queue of schedule changes saved while the network was down.
+
+const DB_NAME = 'shift-schedule-app';
+const DB_VERSION = 1;
+const CACHE_STORE = 'cache';
+const QUEUE_STORE = 'pendingSaves';
+const SNAPSHOT_KEY = 'snapshot';
+
+let dbPromise = null;
+
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB is not available in this browser.'));
+                return;
+            }
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(CACHE_STORE)) db.createObjectStore(CACHE_STORE);
+                if (!db.objectStoreNames.contains(QUEUE_STORE)) db.createObjectStore(QUEUE_STORE, { keyPath: 'id', autoIncrement: true });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // Let a later call try again if opening failed
+        dbPromise.catch(() => { dbPromise = null; });
+    }
+    return dbPromise;
+}
+
+/**
+ * Runs a single request in a transaction and resolves once the transaction has committed.
+ * @param {string} storeName - The object store.
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'.
+ * @param {function(IDBObjectStore): IDBRequest} operation - Issues the request.
+ * @returns {Promise<*>} The request result.
+ */
+async function runRequest(storeName, mode, operation) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = operation(transaction.objectStore(storeName));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Stores the data needed to render the app without the network.
+ * @param {{schedules: Object, employees: Array<Object>, weeklyPolicy: Array<Object>}} snapshot
+ */
+export function saveSnapshot(snapshot) {
+    return runRequest(CACHE_STORE, 'readwrite', store => store.put({ ...snapshot, savedAt: Date.now() }, SNAPSHOT_KEY));
+}
+
+/** @returns {Promise<Object|undefined>} The last stored snapshot, if any. */
+export function loadSnapshot() {
+    return runRequest(CACHE_STORE, 'readonly', store => store.get(SNAPSHOT_KEY));
+}
+
+/** Removes the snapshot and the queue, e.g. when the user signs out. */
+export async function clearOfflineData() {
+    await runRequest(CACHE_STORE, 'readwrite', store => store.clear());
+    await runRequest(QUEUE_STORE, 'readwrite', store => store.clear());
+}
+
+/**
+ * Adds a change set to the queue of saves waiting for the network.
+ * @param {{action: string, changes: Object}} entry - What was changed and through which action.
+ */
+export function addPendingSave(entry) {
+    return runRequest(QUEUE_STORE, 'readwrite', store => store.add({ ...entry, queuedAt: Date.now() }));
+}
+
+/** @returns {Promise<Array<Object>>} The queued saves, oldest first (each with its `id`). */
+export function getPendingSaves() {
+    return runRequest(QUEUE_STORE, 'readonly', store => store.getAll());
+}
+
+export function removePendingSave(id) {
+    return runRequest(QUEUE_STORE, 'readwrite', store => store.delete(id));
+}
@@ -0,0 +1,114 @@
+import { DEFAULT_WEEKLY_POLICY, SHIFT_TYPES } from '../config.js';
+import { getShiftType } from './shiftTypes.js';
+import { getHoliday, HOLIDAY_TYPES } from './holidays.js';
+
+// Key of the edited policy in the settings sheet
+export const WEEKLY_POLICY_SETTING_KEY = 'weekly_policy';
+
+// The policy in effect; replaced by the copy stored in the settings sheet once it is loaded
+let weeklyPolicy = normalizePolicy(DEFAULT_WEEKLY_POLICY);
+
+/**
+ * Cleans up a weekly policy read from storage: guarantees 7 weekdays, drops unknown
+ * shift types and keeps the shifts in registry order.
+ * @param {Array<Object>} policy - A weekly policy ({ shifts, closedLabel } per weekday).
+ * @returns {Array<Object>} A normalized copy.
+ */
+export function normalizePolicy(policy) {
+    return Array.from({ length: 7 }, (_, dayIndex) => {
+        const day = (Array.isArray(policy) && policy[dayIndex]) || DEFAULT_WEEKLY_POLICY[dayIndex];
+        const shifts = {};
+        SHIFT_TYPES.forEach(type => {
+            const override = day.shifts?.[type.id];
+            if (!override) return;
+            shifts[type.id] = {};
+            if (override.start) shifts[type.id].start = override.start;
+            if (override.end) shifts[type.id].end = override.end;
+        });
+        return {
+            shifts,
+            closedLabel: typeof day.closedLabel === 'string' ? day.closedLabel : DEFAULT_WEEKLY_POLICY[dayIndex].closedLabel
+        };
+    });
+}
+
+/** Returns a copy of the weekly policy in effect. */
+export function getWeeklyPolicy() {
+    return JSON.parse(JSON.stringify(weeklyPolicy));
+}
+
+/** Replaces the weekly policy in effect (e.g. after loading or editing it). */
+export function setWeeklyPolicy(policy) {
+    weeklyPolicy = normalizePolicy(policy);
+}
+
+// Holidays follow the Shabbat rules and holiday eves follow the Friday rules
+const SHABBAT_INDEX = 6;
+const FRIDAY_INDEX = 5;
+
+/**
+ * Resolves the operating rules for a calendar date, including holidays and holiday eves.
+ * @param {Date|string} date - The date (a Date or a 'YYYY-MM-DD' string).
+ * @returns {{dayIndex: number, ruleDayIndex: number, holiday: ?Object, shifts: Array<Object>, closedLabel: string, isOpen: boolean}}
+ *   `ruleDayIndex` is the weekday whose rules apply; `shifts` are the shifts that run that day
+ *   (with their resolved hours, in registry order).
+ */
+export function getDayRules(date) {
+    const dayIndex = new Date(date).getDay();
+    const holiday = getHoliday(date);
+
+    let ruleDayIndex = dayIndex;
+    let closedLabel = weeklyPolicy[dayIndex].closedLabel;
+    if (holiday?.type === HOLIDAY_TYPES.HOLIDAY) {
+        ruleDayIndex = SHABBAT_INDEX;
+        closedLabel = `${holiday.name} - חג שמח`;
+    } else if (holiday?.type === HOLIDAY_TYPES.EVE && dayIndex < FRIDAY_INDEX) {
+        // An eve that falls on Friday or Shabbat keeps that day's own rules
+        ruleDayIndex = FRIDAY_INDEX;
+        closedLabel = 'חג שמח';
+    }
+
+    const shifts = Object.entries(weeklyPolicy[ruleDayIndex].shifts).map(([id, override]) => {
+        const type = getShiftType(id);
+        return {
+            id,
+            label: type.label,
+            color: type.color,
+            start: override.start || type.start,
+            end: override.end || type.end
+        };
+    });
+    return { dayIndex, ruleDayIndex, holiday, shifts, closedLabel, isOpen: shifts.length > 0 };
+}
+
+/** Returns the shifts that run on a date, with their hours for that date. */
+export function getShiftTypesForDate(date) {
+    return getDayRules(date).shifts;
+}
+
+export function isShiftOnDate(shiftTypeId, date) {
+    return getShiftTypesForDate(date).some(shift => shift.id === shiftTypeId);
+}
+
+/**
+ * Returns the default hours of a shift on a date. Falls back to the registry hours
+ * when the shift does not normally run that day.
+ * @returns {{start: string, end: string}}
+ */
+export function getDefaultShiftTimes(shiftTypeId, date) {
+    const shift = getShiftTypesForDate(date).find(s => s.id === shiftTypeId) || getShiftType(shiftTypeId);
+    return { start: shift?.start || '', end: shift?.end || '' };
+}
+
+/** Returns the label shown in place of shifts that do not run on a date. */
+export function getClosedLabel(date) {
+    return getDayRules(date).closedLabel;
+}
+
+/**
+ * Returns the shift types that run on at least one weekday, in registry order.
+ * These are the columns of the weekly table.
+ */
+export function getActiveShiftTypes() {
+    return SHIFT_TYPES.filter(type => weeklyPolicy.some(day => day.shifts[type.id]));
+}
@@ -0,0 +1,117 @@
+import { DAYS } from '../config.js';
+import { getHoliday, HOLIDAY_TYPES } from './holidays.js';
+import { getShiftLabel, sortShiftTypeIds } from './shiftTypes.js';
+import { calculateHours, getWeekId, toDateString } from '../utils.js';
+
+// Payroll hours: what each worked day is paid as, not just how long the shifts were.
+// A day's net hours (after the unpaid break) are regular up to the daily quota, then overtime at
+// 125% and 150%. Regular hours beyond the weekly quota are paid at 125% too. Hours on Fridays and
+// holiday eves carry a premium on top.
+
+export const PAYROLL_RULES = {
+    DAILY_REGULAR_HOURS: 8.6,
+    WEEKLY_REGULAR_HOURS: 42,
+    OVERTIME_125_HOURS: 2,        // The first overtime hours of a day; the rest are at 150%
+    BREAK_MINUTES: 30,            // Unpaid break deducted from a shift...
+    BREAK_MIN_SHIFT_HOURS: 6,     // ...of at least this many hours
+    EVE_PREMIUM: 0.25             // Extra pay rate for hours on Fridays and holiday eves
+};
+
+export const OVERTIME_RATES = { TIER_1: 1.25, TIER_2: 1.5 };
+
+const FRIDAY_INDEX = 5;
+
+const emptyTotals = () => ({ gross: 0, breakHours: 0, net: 0, regular: 0, overtime125: 0, overtime150: 0, premiumHours: 0 });
+
+/**
+ * Splits a shift's hours into worked time and the unpaid break.
+ * @param {{start: string, end: string}} shift - Times as HH:MM:SS.
+ * @returns {{gross: number, breakHours: number, net: number}}
+ */
+export function calculateShiftHours({ start, end }) {
+    const gross = calculateHours(start, end);
+    const breakHours = gross >= PAYROLL_RULES.BREAK_MIN_SHIFT_HOURS ? PAYROLL_RULES.BREAK_MINUTES / 60 : 0;
+    return { gross, breakHours, net: gross - breakHours };
+}
+
+/**
+ * Builds an employee's payroll sheet for a month, one row per worked day.
+ * The weekly quota counts the whole week, so the days of the first week that fall in the
+ * previous month are counted (but not listed).
+ * @param {Object} schedules - The schedule object.
+ * @param {string} employee - The employee name.
+ * @param {string} monthKey - The month, 'YYYY-MM'.
+ * @returns {{employee: string, month: string, days: Array<Object>, totals: Object, payableHours: number}}
+ *   Each day: { date, dayName, shifts: [{ shiftType, shiftLabel, start, end }], premium: ?string,
+ *   gross, breakHours, net, regular, overtime125, overtime150, premiumHours }. `payableHours` is the
+ *   month in regular-hour equivalents (overtime and premiums weighted by their rates).
+ */
+export function buildMonthlyPayroll(schedules, employee, monthKey) {
+    const [year, month] = monthKey.split('-').map(Number);
+    const firstOfMonth = new Date(year, month - 1, 1);
+    const lastDate = toDateString(new Date(year, month, 0));
+    const days = [];
+    let weekRegular = 0;
+
+    for (let date = new Date(year, month - 1, 1 - firstOfMonth.getDay()); toDateString(date) <= lastDate; date.setDate(date.getDate() + 1)) {
+        if (date.getDay() === 0) weekRegular = 0;
+        const dateString = toDateString(date);
+        const dayName = DAYS[date.getDay()];
+        const dayData = schedules[getWeekId(dateString)]?.[dayName] || {};
+        const shifts = sortShiftTypeIds(Object.keys(dayData))
+            .filter(shiftType => dayData[shiftType]?.employee === employee)
+            .map(shiftType => ({ shiftType, shiftLabel: getShiftLabel(shiftType), start: dayData[shiftType].start, end: dayData[shiftType].end }));
+        if (shifts.length === 0) continue;
+
+        const hours = shifts.map(calculateShiftHours);
+        const gross = hours.reduce((sum, h) => sum + h.gross, 0);
+        const breakHours = hours.reduce((sum, h) => sum + h.breakHours, 0);
+        const net = gross - breakHours;
+
+        let regular = Math.min(net, PAYROLL_RULES.DAILY_REGULAR_HOURS);
+        let overtime125 = Math.min(net - regular, PAYROLL_RULES.OVERTIME_125_HOURS);
+        const overtime150 = net - regular - overtime125;
+        const beyondWeekly = Math.min(regular, Math.max(0, weekRegular + regular - PAYROLL_RULES.WEEKLY_REGULAR_HOURS));
+        regular -= beyondWeekly;
+        overtime125 += beyondWeekly;
+        weekRegular += regular;
+
+        const holiday = getHoliday(dateString);
+        let premium = null;
+        if (date.getDay() === FRIDAY_INDEX) premium = 'יום שישי';
+        else if (holiday?.type === HOLIDAY_TYPES.EVE) premium = `ערב ${holiday.name}`;
+
+        if (dateString.startsWith(monthKey)) {
+            days.push({ date: dateString, dayName, shifts, premium, gross, breakHours, net, regular, overtime125, overtime150, premiumHours: premium ? net : 0 });
+        }
+    }
+
+    const totals = emptyTotals();
+    days.forEach(day => Object.keys(totals).forEach(key => { totals[key] += day[key]; }));
+    const payableHours = totals.regular + OVERTIME_RATES.TIER_1 * totals.overtime125 +
+        OVERTIME_RATES.TIER_2 * totals.overtime150 + PAYROLL_RULES.EVE_PREMIUM * totals.premiumHours;
+    return { employee, month: monthKey, days, totals, payableHours };
+}
+
+/**
+ * Lays out a payroll as rows for a spreadsheet (header row first, totals last).
+ * @param {Object} payroll - As returned by buildMonthlyPayroll.
+ * @returns {Array<Array<string|number>>}
+ */
+export function payrollToRows(payroll) {
+    const round = value => Math.round(value * 100) / 100;
+    const rows = [['תאריך', 'יום', 'משמרות', 'שעות', 'ברוטו', 'הפסקה', 'נטו', 'רגילות', '125%', '150%', 'תוספת ערב שבת/חג']];
+    payroll.days.forEach(day => rows.push([
+        day.date,
+        day.dayName,
+        day.shifts.map(shift => shift.shiftLabel).join(', '),
+        day.shifts.map(shift => `${(shift.start || '').substring(0, 5)}-${(shift.end || '').substring(0, 5)}`).join(', '),
+        round(day.gross), round(day.breakHours), round(day.net), round(day.regular),
+        round(day.overtime125), round(day.overtime150), round(day.premiumHours)
+    ]));
+    const { totals } = payroll;
+    rows.push(['סה"כ', '', '', '', round(totals.gross), round(totals.breakHours), round(totals.net), round(totals.regular),
+        round(totals.overtime125), round(totals.overtime150), round(totals.premiumHours)]);
+    rows.push(['שעות לתשלום (שקולות לשעות רגילות)', '', '', '', '', '', '', round(payroll.payableHours)]);
+    return rows;
+}
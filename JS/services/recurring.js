@@ -0,0 +1,190 @@
+import { DAYS } from '../config.js';
+import { getShiftLabel } from './shiftTypes.js';
+import { getShiftTypesForDate } from './operatingRules.js';
+import { setScheduleCell, flattenSchedules } from './scheduleDiff.js';
+import { getAssignmentViolations } from './schedulingRules.js';
+import { getWeekDates, getDateOfDay, toDateString, formatDate } from '../utils.js';
+
+// Fixed assignments that repeat every week ("Mor every Tuesday morning"), kept in the `recurring`
+// sheet. The empty shifts of an empty week are proposed from them, and saved once the manager
+// confirms. A shift saved from a rule keeps the rule's employee in `recurringEmployee` (the
+// `recurring_employee` column), so it shows as fixed, or as an exception once someone else holds it,
+// however the rules change later.
+
+export const RECURRING_HEADERS = ['id', 'employee', 'day', 'shift_type', 'start_date', 'end_date', 'created_at', 'created_by'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+let recurringRules = [];
+// The prefill proposed for the displayed week ({ weekId, updates, skipped }), shown until confirmed or dismissed
+let recurringProposal = null;
+
+/**
+ * Parses the raw values of the `recurring` sheet. Rows without an employee, a valid weekday,
+ * a shift type or a valid start date are skipped.
+ * @param {Array<Array<string>>} values - Raw sheet values, including the header row.
+ * @returns {Array<Object>} Rules ({ id, employee, day, shiftType, startDate, endDate, createdAt, createdBy }).
+ *   `endDate` is '' for a rule with no end.
+ */
+export function parseRecurringRows(values) {
+    if (!values || values.length <= 1) return [];
+
+    const headers = values[0];
+    const read = (row, name) => (row[headers.indexOf(name)] || '').trim();
+
+    return values.slice(1)
+        .filter(row => row && read(row, 'employee') && DAYS.includes(read(row, 'day')) && read(row, 'shift_type') && DATE_PATTERN.test(read(row, 'start_date')))
+        .map(row => ({
+            id: read(row, 'id'),
+            employee: read(row, 'employee'),
+            day: read(row, 'day'),
+            shiftType: read(row, 'shift_type'),
+            startDate: read(row, 'start_date'),
+            endDate: DATE_PATTERN.test(read(row, 'end_date')) ? read(row, 'end_date') : '',
+            createdAt: read(row, 'created_at'),
+            createdBy: read(row, 'created_by')
+        }));
+}
+
+/**
+ * Turns rules back into sheet rows, header row included.
+ * @param {Array<Object>} rules - As returned by parseRecurringRows.
+ * @returns {Array<Array<string>>}
+ */
+export function serializeRecurring(rules) {
+    return [
+        RECURRING_HEADERS,
+        ...rules.map(rule => [rule.id, rule.employee, rule.day, rule.shiftType, rule.startDate, rule.endDate, rule.createdAt, rule.createdBy])
+    ];
+}
+
+export function setRecurringRules(rules) {
+    recurringRules = rules;
+}
+
+export function getRecurringRules() {
+    return recurringRules;
+}
+
+export function setRecurringProposal(proposal) {
+    recurringProposal = proposal;
+}
+
+export function getRecurringProposal() {
+    return recurringProposal;
+}
+
+/**
+ * The shift proposed for a cell by the current proposal, if any.
+ * @param {{weekId: string, day: string, shiftType: string}} cell
+ * @returns {Object|null}
+ */
+export function getProposedShift({ weekId, day, shiftType }) {
+    if (recurringProposal?.weekId !== weekId) return null;
+    return recurringProposal.updates.find(({ cell }) => cell.day === day && cell.shiftType === shiftType)?.shift || null;
+}
+
+/**
+ * True if the change log shows shifts removed from the week, i.e. it was cleared (by a reset,
+ * an undo or by hand) rather than never filled. Such a week is not prefilled again.
+ * @param {Array<Object>} changeLog - As returned by parseChangeLogRows.
+ * @param {string} weekId - The week (a Sunday, YYYY-MM-DD).
+ * @returns {boolean}
+ */
+export function wasWeekCleared(changeLog, weekId) {
+    return changeLog.some(entry => entry.weekId === weekId && entry.oldShift && !entry.newShift);
+}
+
+/**
+ * Creates a new rule.
+ * @param {{employee: string, day: string, shiftType: string, startDate: string, endDate?: string}} fields
+ * @param {string} createdBy - Email (or name) of whoever added it.
+ * @returns {Object}
+ */
+export function createRecurringRule({ employee, day, shiftType, startDate, endDate = '' }, createdBy) {
+    return {
+        id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        employee,
+        day,
+        shiftType,
+        startDate,
+        endDate,
+        createdAt: new Date().toISOString(),
+        createdBy
+    };
+}
+
+/**
+ * Finds the rule that covers a shift on a date.
+ * @param {{day: string, shiftType: string}} cell - The shift.
+ * @param {string} date - The shift's date (YYYY-MM-DD).
+ * @param {Array<Object>} [rules] - Defaults to the loaded rules.
+ * @returns {Object|null} The oldest matching rule, or null.
+ */
+export function findRecurringRule({ day, shiftType }, date, rules = recurringRules) {
+    return rules.find(rule =>
+        rule.day === day && rule.shiftType === shiftType &&
+        rule.startDate <= date && (!rule.endDate || date <= rule.endDate)
+    ) || null;
+}
+
+/**
+ * Plans the prefill of a week from the rules. Only running, empty shifts are filled, and each one is
+ * checked against the scheduling rules (availability included) with the shifts planned before it in place.
+ * @param {Object} schedules - The schedule object (not modified).
+ * @param {string} weekId - The week (a Sunday, YYYY-MM-DD).
+ * @param {Array<Object>} [rules] - Defaults to the loaded rules.
+ * @returns {{updates: Array<{cell: Object, shift: Object}>, skipped: Array<{cell: Object, employee: string, problems: string[]}>}}
+ *   Updates for the week's empty shifts, and the shifts left empty because the rule's employee breaks a rule.
+ */
+export function planRecurringPrefill(schedules, weekId, rules = recurringRules) {
+    const draft = JSON.parse(JSON.stringify(schedules));
+    const updates = [];
+    const skipped = [];
+    getWeekDates(new Date(weekId)).forEach((date, index) => {
+        const day = DAYS[index];
+        getShiftTypesForDate(date).forEach(type => {
+            const cell = { weekId, day, shiftType: type.id };
+            const current = schedules[weekId]?.[day]?.[type.id]?.employee;
+            const rule = findRecurringRule(cell, toDateString(date), rules);
+            if (!rule || (current && current !== 'none')) return;
+            const violations = getAssignmentViolations(draft, cell, rule.employee);
+            if (violations.length > 0) {
+                skipped.push({ cell, employee: rule.employee, problems: violations.map(violation => violation.message) });
+                return;
+            }
+            const shift = { employee: rule.employee, start: type.start, end: type.end, recurringEmployee: rule.employee };
+            setScheduleCell(draft, cell, shift);
+            updates.push({ cell, shift });
+        });
+    });
+    return { updates, skipped };
+}
+
+/**
+ * Keeps the recurring mark of shifts through edits, which build new shift objects without it:
+ * a shift that was already saved takes the mark of its saved value. A new shift keeps its mark only
+ * if a rule puts that employee in that cell, so a fixed shift dragged elsewhere leaves its mark behind.
+ * @param {Object} before - The schedules as last saved.
+ * @param {Object} after - The schedules about to be saved (updated in place).
+ */
+export function carryRecurringMarks(before, after) {
+    flattenSchedules(after).forEach(({ weekId, day, shiftType, shift }) => {
+        const previous = before?.[weekId]?.[day]?.[shiftType];
+        let mark;
+        if (previous?.employee && previous.employee !== 'none') {
+            mark = previous.recurringEmployee;
+        } else if (shift.recurringEmployee) {
+            const rule = findRecurringRule({ day, shiftType }, toDateString(getDateOfDay(weekId, day)));
+            mark = rule?.employee === shift.recurringEmployee ? shift.recurringEmployee : '';
+        }
+        if (mark) shift.recurringEmployee = mark;
+        else delete shift.recurringEmployee;
+    });
+}
+
+/** A short Hebrew description, e.g. "כל יום שלישי, משמרת בוקר, מ-01.09.2026". */
+export function describeRecurringRule(rule) {
+    const range = rule.endDate ? `${formatDate(rule.startDate)} עד ${formatDate(rule.endDate)}` : `מ-${formatDate(rule.startDate)}`;
+    return `כל יום ${rule.day}, משמרת ${getShiftLabel(rule.shiftType)}, ${range}`;
+}
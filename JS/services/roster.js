@@ -0,0 +1,110 @@
+import { allEmployees } from '../main.js';
+
+export const ROSTER_HEADERS = ['name', 'email', 'role', 'active'];
+
+export const ROSTER_ROLES = {
+    STAFF: 'staff',
+    REPLACEMENT: 'replacement'
+};
+
+/**
+ * Parses the raw values of the `employees` sheet into roster entries.
+ * Rows without a name are skipped; a missing `active` cell counts as active.
+ * @param {Array<Array<string>>} values - Raw sheet values, including the header row.
+ * @returns {Array<Object>} Roster entries ({ name, email, role, active }).
+ */
+export function parseRosterRows(values) {
+    if (!values || values.length <= 1) return [];
+
+    const headers = values[0];
+    const nameIndex = headers.indexOf('name');
+    const emailIndex = headers.indexOf('email');
+    const roleIndex = headers.indexOf('role');
+    const activeIndex = headers.indexOf('active');
+
+    return values.slice(1)
+        .filter(row => row && row[nameIndex]?.trim())
+        .map(row => ({
+            name: row[nameIndex].trim(),
+            email: row[emailIndex]?.trim() || '',
+            role: row[roleIndex]?.trim() === ROSTER_ROLES.REPLACEMENT ? ROSTER_ROLES.REPLACEMENT : ROSTER_ROLES.STAFF,
+            active: String(row[activeIndex] ?? 'TRUE').trim().toUpperCase() !== 'FALSE'
+        }));
+}
+
+/**
+ * Converts roster entries back into sheet rows (header row first).
+ * @param {Array<Object>} employees - Roster entries.
+ * @returns {Array<Array<string>>} Rows ready to be written to the sheet.
+ */
+export function serializeRoster(employees) {
+    return [
+        ROSTER_HEADERS,
+        ...employees.map(emp => [emp.name, emp.email || '', emp.role, emp.active ? 'TRUE' : 'FALSE'])
+    ];
+}
+
+/** Replaces the in-memory roster with the given entries (keeps the shared array reference). */
+export function setRoster(employees) {
+    allEmployees.splice(0, allEmployees.length, ...employees);
+}
+
+export function getEmployee(name) {
+    return allEmployees.find(emp => emp.name === name) || null;
+}
+
+/** Finds the roster entry whose email matches (case-insensitive), e.g. for the signed-in user. */
+export function getEmployeeByEmail(email) {
+    if (!email) return null;
+    const normalized = email.trim().toLowerCase();
+    return allEmployees.find(emp => emp.email && emp.email.toLowerCase() === normalized) || null;
+}
+
+export function getActiveEmployees() {
+    return allEmployees.filter(emp => emp.active);
+}
+
+/**
+ * Returns the names of active staff members who can be assigned to shifts directly.
+ * The vacation replacement is excluded: they only cover shifts through the vacation planner.
+ */
+export function getSchedulableEmployees() {
+    return getActiveEmployees()
+        .filter(emp => emp.role === ROSTER_ROLES.STAFF)
+        .map(emp => emp.name);
+}
+
+/**
+ * Returns the names of every staff member, including deactivated ones,
+ * for views that show historical data (e.g. the monthly summary).
+ */
+export function getAllStaffNames() {
+    return allEmployees
+        .filter(emp => emp.role === ROSTER_ROLES.STAFF)
+        .map(emp => emp.name);
+}
+
+/** Returns every name in the roster, active or not. */
+export function getAllEmployeeNames() {
+    return allEmployees.map(emp => emp.name);
+}
+
+/** Returns the name of the active vacation replacement, or null if none is defined. */
+export function getReplacementEmployee() {
+    return getActiveEmployees().find(emp => emp.role === ROSTER_ROLES.REPLACEMENT)?.name || null;
+}
+
+export function getEmployeeEmail(name) {
+    return getEmployee(name)?.email || '';
+}
+
+/**
+ * True if the user may act for the employee (e.g. accept a swap, mark availability):
+ * the manager may act for anyone, an employee only for the roster entry with their email.
+ * @param {{email: string, isManager: boolean}} user - As returned by getCurrentUser.
+ * @param {string} employee - The employee name.
+ */
+export function canActAs(user, employee) {
+    if (user.isManager) return true;
+    return Boolean(user.email) && getEmployeeEmail(employee).toLowerCase() === user.email.toLowerCase();
+}
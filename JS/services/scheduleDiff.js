@@ -0,0 +1,179 @@
+// Row-level comparison of two schedule objects ({ weekId: { day: { shiftType: shift } } }).
+// A shift assigned to 'none' counts as an empty slot.
+
+/** Builds the key that identifies a row of the `schedules` sheet. */
+export function scheduleRowKey(weekId, day, shiftType) {
+    return `${weekId}|${day}|${shiftType}`;
+}
+
+/**
+ * Flattens a schedule object into a Map of assigned shifts keyed by row key.
+ * @param {Object} schedules - The schedule object.
+ * @returns {Map<string, {weekId: string, day: string, shiftType: string, shift: Object}>}
+ */
+export function flattenSchedules(schedules) {
+    const rows = new Map();
+    Object.entries(schedules || {}).forEach(([weekId, weekData]) => {
+        Object.entries(weekData || {}).forEach(([day, dayData]) => {
+            Object.entries(dayData || {}).forEach(([shiftType, shift]) => {
+                if (!shift || !shift.employee || shift.employee === 'none') return;
+                rows.set(scheduleRowKey(weekId, day, shiftType), { weekId, day, shiftType, shift });
+            });
+        });
+    });
+    return rows;
+}
+
+function isSameShift(a, b) {
+    return a.employee.trim() === b.employee.trim() && a.start === b.start && a.end === b.end &&
+        (a.recurringEmployee || '') === (b.recurringEmployee || '');
+}
+
+/**
+ * Compares two schedule objects row by row.
+ * @param {Object} before - The schedules as last saved.
+ * @param {Object} after - The schedules as they are now.
+ * @returns {{upserts: Array<Object>, deletes: Array<Object>}} Rows to write (new or changed,
+ *   with `previous` set for changed rows) and rows to remove (with the `shift` that was removed).
+ */
+export function diffSchedules(before, after) {
+    const beforeRows = flattenSchedules(before);
+    const afterRows = flattenSchedules(after);
+    const upserts = [];
+    const deletes = [];
+
+    afterRows.forEach((row, key) => {
+        const previous = beforeRows.get(key);
+        if (!previous) {
+            upserts.push({ ...row, previous: null });
+        } else if (!isSameShift(previous.shift, row.shift)) {
+            upserts.push({ ...row, previous: previous.shift });
+        }
+    });
+    beforeRows.forEach((row, key) => {
+        if (!afterRows.has(key)) deletes.push(row);
+    });
+
+    return { upserts, deletes };
+}
+
+function cellValue(schedules, weekId, day, shiftType) {
+    const shift = schedules?.[weekId]?.[day]?.[shiftType];
+    return shift && shift.employee && shift.employee !== 'none' ? shift : null;
+}
+
+function isSameCell(a, b) {
+    if (!a || !b) return a === b;
+    return isSameShift(a, b);
+}
+
+/** Sets (or, for a null shift, clears) one cell of a schedule object in place. */
+export function setScheduleCell(schedules, { weekId, day, shiftType }, shift) {
+    if (shift) {
+        if (!schedules[weekId]) schedules[weekId] = {};
+        if (!schedules[weekId][day]) schedules[weekId][day] = {};
+        schedules[weekId][day][shiftType] = { ...shift };
+    } else if (schedules[weekId]?.[day]) {
+        delete schedules[weekId][day][shiftType];
+    }
+}
+
+/**
+ * Three-way merge of schedule edits made by two people from the same starting point.
+ * Cells changed on one side only take that side's value; cells changed on both sides
+ * to different values are returned as conflicts and keep "their" value in `merged`.
+ * @param {Object} base - The schedules both sides started from.
+ * @param {Object} mine - The schedules with my edits.
+ * @param {Object} theirs - The schedules as saved by the other person.
+ * @returns {{merged: Object, conflicts: Array<{weekId: string, day: string, shiftType: string, mine: ?Object, theirs: ?Object}>}}
+ */
+export function mergeSchedules(base, mine, theirs) {
+    const merged = JSON.parse(JSON.stringify(theirs));
+    const myChanges = diffSchedules(base, mine);
+    const theirChanges = diffSchedules(base, theirs);
+    const theirChangedKeys = new Set([...theirChanges.upserts, ...theirChanges.deletes]
+        .map(row => scheduleRowKey(row.weekId, row.day, row.shiftType)));
+
+    const conflicts = [];
+    [...myChanges.upserts, ...myChanges.deletes].forEach(row => {
+        const cell = { weekId: row.weekId, day: row.day, shiftType: row.shiftType };
+        const myValue = cellValue(mine, row.weekId, row.day, row.shiftType);
+        const theirValue = cellValue(theirs, row.weekId, row.day, row.shiftType);
+
+        if (!theirChangedKeys.has(scheduleRowKey(row.weekId, row.day, row.shiftType))) {
+            setScheduleCell(merged, cell, myValue);
+        } else if (!isSameCell(myValue, theirValue)) {
+            conflicts.push({ ...cell, mine: myValue, theirs: theirValue });
+        }
+    });
+
+    return { merged, conflicts };
+}
+
+/**
+ * Applies the choices made in the merge dialog on top of a merge result.
+ * @param {Object} merged - The `merged` schedules returned by mergeSchedules.
+ * @param {Array<Object>} conflicts - The conflicts returned by mergeSchedules.
+ * @param {Map<string, string>} choices - 'mine' or 'theirs' per row key.
+ * @returns {Object} The resolved schedules (a new object).
+ */
+export function applyConflictChoices(merged, conflicts, choices) {
+    const resolved = JSON.parse(JSON.stringify(merged));
+    conflicts.forEach(conflict => {
+        const key = scheduleRowKey(conflict.weekId, conflict.day, conflict.shiftType);
+        if (choices.get(key) === 'mine') setScheduleCell(resolved, conflict, conflict.mine);
+    });
+    return resolved;
+}
+
+/**
+ * Applies a change set (as returned by diffSchedules) to a schedule object in place,
+ * backwards (restoring the previous values) or forwards.
+ * @param {Object} schedules - The schedule object to update.
+ * @param {{upserts: Array<Object>, deletes: Array<Object>}} changes - The change set.
+ * @param {boolean} backwards - True to revert the change set, false to apply it.
+ */
+export function applyChangeSet(schedules, { upserts, deletes }, backwards) {
+    upserts.forEach(row => setScheduleCell(schedules, row, backwards ? row.previous : row.shift));
+    deletes.forEach(row => setScheduleCell(schedules, row, backwards ? row.shift : null));
+}
+
+/**
+ * Finds the cells of queued change sets that someone else changed in the meantime:
+ * the current value is neither what the first queued change expected nor the queued result.
+ * @param {Array<{upserts: Array<Object>, deletes: Array<Object>}>} changeSets - Queued change sets, oldest first.
+ * @param {Object} current - The schedules as they are now in the sheet.
+ * @returns {Array<{weekId: string, day: string, shiftType: string, mine: ?Object, theirs: ?Object}>}
+ */
+export function findQueuedConflicts(changeSets, current) {
+    const expected = new Map();
+    changeSets.forEach(({ upserts, deletes }) => {
+        upserts.forEach(row => {
+            const key = scheduleRowKey(row.weekId, row.day, row.shiftType);
+            if (!expected.has(key)) expected.set(key, { row, value: row.previous });
+        });
+        deletes.forEach(row => {
+            const key = scheduleRowKey(row.weekId, row.day, row.shiftType);
+            if (!expected.has(key)) expected.set(key, { row, value: row.shift });
+        });
+    });
+
+    const mine = JSON.parse(JSON.stringify(current));
+    changeSets.forEach(changes => applyChangeSet(mine, changes, false));
+
+    const conflicts = [];
+    expected.forEach(({ row, value }) => {
+        const theirValue = cellValue(current, row.weekId, row.day, row.shiftType);
+        const myValue = cellValue(mine, row.weekId, row.day, row.shiftType);
+        if (!isSameCell(theirValue, value || null) && !isSameCell(theirValue, myValue)) {
+            conflicts.push({ weekId: row.weekId, day: row.day, shiftType: row.shiftType, mine: myValue, theirs: theirValue });
+        }
+    });
+    return conflicts;
+}
+
+/** Returns a copy of a change set without the given row keys. */
+export function withoutCells({ upserts, deletes }, excludedKeys) {
+    const keep = row => !excludedKeys.has(scheduleRowKey(row.weekId, row.day, row.shiftType));
+    return { upserts: upserts.filter(keep), deletes: deletes.filter(keep) };
+}
@@ -0,0 +1,151 @@
+import { DAYS } from '../config.js';
+import { findUnavailability } from './availability.js';
+import { getShiftPeriod } from './agenda.js';
+import { getShiftTypesForDate, getDefaultShiftTimes } from './operatingRules.js';
+import { getDateOfDay, getWeekId, getWeekDates, toDateString } from '../utils.js';
+
+// The scheduling rules the manager works by (also spelled out in the Gemini suggestion prompt),
+// checked locally for a single assignment or a whole week. A cell is { weekId, day, shiftType }.
+
+export const SCHEDULING_RULES = {
+    SAME_DAY: 'sameDay',
+    THURSDAY_FRIDAY: 'thursdayFriday',
+    FRIDAY_ROTATION: 'fridayRotation',
+    WEEKLY_CAP: 'weeklyCap',
+    MIN_REST: 'minRest',
+    AVAILABILITY: 'availability',
+    UNCOVERED: 'uncovered'
+};
+
+export const MAX_WEEKLY_SHIFTS = 5;
+export const MIN_REST_HOURS = 8;
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+const THURSDAY = 'חמישי';
+const FRIDAY = 'שישי';
+
+const employeeAt = (schedules, weekId, day, shiftType) => schedules[weekId]?.[day]?.[shiftType]?.employee;
+
+/** The ids of the shifts that run on a day of a week, in order. */
+function getDayShiftIds(weekId, day) {
+    return getShiftTypesForDate(getDateOfDay(weekId, day)).map(type => type.id);
+}
+
+function getPreviousWeekId(weekId) {
+    const [year, month, dayOfMonth] = weekId.split('-').map(Number);
+    return getWeekId(toDateString(new Date(year, month - 1, dayOfMonth - 7)));
+}
+
+/** Counts the shifts an employee holds in a week, not counting one cell. */
+export function countWeeklyShifts(schedules, weekId, employee, exceptCell = null) {
+    let count = 0;
+    Object.entries(schedules[weekId] || {}).forEach(([day, dayData]) => {
+        Object.entries(dayData || {}).forEach(([shiftType, shift]) => {
+            const isExcepted = exceptCell && exceptCell.day === day && exceptCell.shiftType === shiftType;
+            if (shift?.employee === employee && !isExcepted) count++;
+        });
+    });
+    return count;
+}
+
+/**
+ * True if the employee has a shift on the day before or after that leaves less than
+ * MIN_REST_HOURS between it and the cell (two shifts on the same day are the same-day rule).
+ */
+function hasShortRest(schedules, cell, employee) {
+    const date = getDateOfDay(cell.weekId, cell.day);
+    const own = schedules[cell.weekId]?.[cell.day]?.[cell.shiftType];
+    const times = own?.start && own?.end ? own : getDefaultShiftTimes(cell.shiftType, date);
+    if (!times.start || !times.end) return false;
+    const period = getShiftPeriod({ date, start: times.start, end: times.end });
+
+    return [-1, 1].some(offset => {
+        const otherDate = new Date(date.getFullYear(), date.getMonth(), date.getDate() + offset);
+        const otherDay = schedules[getWeekId(toDateString(otherDate))]?.[DAYS[otherDate.getDay()]] || {};
+        return Object.values(otherDay).some(shift => {
+            if (shift?.employee !== employee || !shift.start || !shift.end) return false;
+            const other = getShiftPeriod({ date: otherDate, start: shift.start, end: shift.end });
+            const gap = offset > 0 ? other.startsAt - period.endsAt : period.startsAt - other.endsAt;
+            return gap < MIN_REST_HOURS * MS_PER_HOUR;
+        });
+    });
+}
+
+/**
+ * Lists the rules an employee would break by holding a cell. Whoever holds the cell now is ignored.
+ * @param {Object} schedules - The schedule object.
+ * @param {{weekId: string, day: string, shiftType: string}} cell - The shift.
+ * @param {string} employee - The employee name.
+ * @returns {Array<{rule: string, message: string}>} Empty if the assignment is valid. Messages are in Hebrew.
+ */
+export function getAssignmentViolations(schedules, cell, employee) {
+    const { weekId, day, shiftType } = cell;
+    const violations = [];
+    const add = (rule, message) => violations.push({ rule, message });
+
+    const dayData = schedules[weekId]?.[day] || {};
+    if (Object.entries(dayData).some(([id, shift]) => id !== shiftType && shift?.employee === employee)) {
+        add(SCHEDULING_RULES.SAME_DAY, 'כבר משובץ/ת למשמרת אחרת ביום זה');
+    }
+
+    // Friday morning and Thursday evening: the first shift of Friday and the last one of Thursday
+    const isFridayOpening = day === FRIDAY && getDayShiftIds(weekId, FRIDAY)[0] === shiftType;
+    const isThursdayClosing = day === THURSDAY && getDayShiftIds(weekId, THURSDAY).at(-1) === shiftType;
+    if (isFridayOpening) {
+        const thursdayClosing = getDayShiftIds(weekId, THURSDAY).at(-1);
+        if (thursdayClosing && employeeAt(schedules, weekId, THURSDAY, thursdayClosing) === employee) {
+            add(SCHEDULING_RULES.THURSDAY_FRIDAY, 'עובד/ת במשמרת האחרונה של יום חמישי');
+        }
+    }
+    if (day === FRIDAY) {
+        const previousFriday = schedules[getPreviousWeekId(weekId)]?.[FRIDAY] || {};
+        if (Object.values(previousFriday).some(shift => shift?.employee === employee)) {
+            add(SCHEDULING_RULES.FRIDAY_ROTATION, 'עבד/ה ביום שישי הקודם');
+        }
+    }
+    if (isThursdayClosing) {
+        const fridayOpening = getDayShiftIds(weekId, FRIDAY)[0];
+        if (fridayOpening && employeeAt(schedules, weekId, FRIDAY, fridayOpening) === employee) {
+            add(SCHEDULING_RULES.THURSDAY_FRIDAY, 'משובץ/ת לבוקר של יום שישי');
+        }
+    }
+
+    if (countWeeklyShifts(schedules, weekId, employee, cell) + 1 > MAX_WEEKLY_SHIFTS) {
+        add(SCHEDULING_RULES.WEEKLY_CAP, `כבר משובץ/ת ל-${MAX_WEEKLY_SHIFTS} משמרות השבוע`);
+    }
+
+    if (hasShortRest(schedules, cell, employee)) {
+        add(SCHEDULING_RULES.MIN_REST, `פחות מ-${MIN_REST_HOURS} שעות מנוחה ממשמרת סמוכה`);
+    }
+
+    const unavailability = findUnavailability(employee, cell);
+    if (unavailability) {
+        add(SCHEDULING_RULES.AVAILABILITY, unavailability.reason ? `לא זמין/ה (${unavailability.reason})` : 'לא זמין/ה');
+    }
+    return violations;
+}
+
+/**
+ * Checks every shift of a week against the rules, for highlighting in the schedule.
+ * Assigned shifts are checked with getAssignmentViolations; shifts that run but have no one are uncovered.
+ * @param {Object} schedules - The schedule object.
+ * @param {string} weekId - The week (a Sunday, YYYY-MM-DD).
+ * @returns {Array<{cell: Object, rule: string, message: string}>}
+ */
+export function findWeekViolations(schedules, weekId) {
+    const violations = [];
+    getWeekDates(new Date(weekId)).forEach((date, index) => {
+        const day = DAYS[index];
+        getShiftTypesForDate(date).forEach(type => {
+            const cell = { weekId, day, shiftType: type.id };
+            const employee = employeeAt(schedules, weekId, day, type.id);
+            if (!employee || employee === 'none') {
+                violations.push({ cell, rule: SCHEDULING_RULES.UNCOVERED, message: 'המשמרת אינה מאוישת' });
+                return;
+            }
+            getAssignmentViolations(schedules, cell, employee).forEach(violation => violations.push({ cell, ...violation }));
+        });
+    });
+    return violations;
+}
@@ -0,0 +1,73 @@
+import { setScheduleCell } from './scheduleDiff.js';
+import { getDefaultShiftTimes } from './operatingRules.js';
+import { getDateOfDay } from '../utils.js';
+
+// Cell updates for drag-and-drop: moving or swapping assignments between cells and
+// assigning an employee from the roster. A cell is { weekId, day, shiftType }.
+
+const sameCell = (a, b) => a.weekId === b.weekId && a.day === b.day && a.shiftType === b.shiftType;
+
+function getAssignedShift(schedules, { weekId, day, shiftType }) {
+    const shift = schedules[weekId]?.[day]?.[shiftType];
+    return shift && shift.employee && shift.employee !== 'none' ? shift : null;
+}
+
+/** The target's own hours if it is assigned, otherwise the shift's default hours on that date. */
+function getCellTimes(schedules, cell) {
+    const shift = getAssignedShift(schedules, cell);
+    return shift ? { start: shift.start, end: shift.end } : getDefaultShiftTimes(cell.shiftType, getDateOfDay(cell.weekId, cell.day));
+}
+
+/**
+ * Finds an employee who would hold two shifts on the same day after the updates,
+ * the rule `data-other-shift-employee` enforces in the shift modal.
+ * @returns {{employee: string, day: string}|null}
+ */
+export function findSameDayConflict(schedules, updates) {
+    const result = JSON.parse(JSON.stringify(schedules));
+    updates.forEach(({ cell, shift }) => setScheduleCell(result, cell, shift));
+
+    for (const { cell, shift } of updates) {
+        if (!shift) continue;
+        const dayData = result[cell.weekId]?.[cell.day] || {};
+        const holders = Object.values(dayData).filter(other => other?.employee === shift.employee);
+        if (holders.length > 1) return { employee: shift.employee, day: cell.day };
+    }
+    return null;
+}
+
+/**
+ * Plans dropping an assigned cell on another cell: onto an empty cell the assignment moves
+ * (taking the target's hours), onto an assigned cell the two employees swap.
+ * @returns {{updates: Array<{cell: Object, shift: ?Object}>, swapped: boolean, conflict: ?Object}}
+ *   `updates` is empty when there is nothing to do.
+ */
+export function planCellDrop(schedules, source, target) {
+    const sourceShift = getAssignedShift(schedules, source);
+    if (!sourceShift || sameCell(source, target)) return { updates: [], swapped: false, conflict: null };
+
+    const targetShift = getAssignedShift(schedules, target);
+    const targetTimes = getCellTimes(schedules, target);
+    const updates = [{ cell: target, shift: { employee: sourceShift.employee, ...targetTimes } }];
+    if (targetShift) {
+        updates.push({ cell: source, shift: { employee: targetShift.employee, start: sourceShift.start, end: sourceShift.end } });
+    } else {
+        updates.push({ cell: source, shift: null });
+    }
+    return { updates, swapped: Boolean(targetShift), conflict: findSameDayConflict(schedules, updates) };
+}
+
+/**
+ * Plans assigning an employee (dragged from the roster) to a cell, replacing whoever holds it.
+ * @returns {{updates: Array<{cell: Object, shift: ?Object}>, conflict: ?Object}}
+ */
+export function planEmployeeDrop(schedules, employee, target) {
+    if (getAssignedShift(schedules, target)?.employee === employee) return { updates: [], conflict: null };
+    const updates = [{ cell: target, shift: { employee, ...getCellTimes(schedules, target) } }];
+    return { updates, conflict: findSameDayConflict(schedules, updates) };
+}
+
+/** Applies planned updates to a schedule object in place. */
+export function applyCellUpdates(schedules, updates) {
+    updates.forEach(({ cell, shift }) => setScheduleCell(schedules, cell, shift));
+}
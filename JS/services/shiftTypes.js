@@ -0,0 +1,73 @@
+import { SHIFT_TYPES } from '../config.js';
+
+/** Returns every registered shift type, in display order. */
+export function getShiftTypes() {
+    return SHIFT_TYPES;
+}
+
+/** Returns the registry entry of a shift type, or null for unknown ids. */
+export function getShiftType(shiftTypeId) {
+    return SHIFT_TYPES.find(type => type.id === shiftTypeId) || null;
+}
+
+/** Returns the Hebrew label of a shift type, falling back to its id for unknown types. */
+export function getShiftLabel(shiftTypeId) {
+    return getShiftType(shiftTypeId)?.label || shiftTypeId;
+}
+
+/** True if the registry marks the shift type as an evening shift. */
+export function isEveningShiftType(shiftTypeId) {
+    return Boolean(getShiftType(shiftTypeId)?.isEvening);
+}
+
+/**
+ * Sorts shift type ids by registry order. Unknown ids (e.g. from old sheet rows) go last.
+ * @param {string[]} shiftTypeIds - Shift type ids to sort.
+ * @returns {string[]} A new, sorted array.
+ */
+export function sortShiftTypeIds(shiftTypeIds) {
+    const order = id => {
+        const index = SHIFT_TYPES.findIndex(type => type.id === id);
+        return index === -1 ? SHIFT_TYPES.length : index;
+    };
+    return [...shiftTypeIds].sort((a, b) => order(a) - order(b));
+}
+
+/**
+ * Classifies a clock-in time into a shift type. Types whose default hours contain the time
+ * are preferred; among those (or among all candidates, if none match) the nearest start wins.
+ * Used to classify clock-in times from attendance reports.
+ * @param {string} time - A time string (HH:MM or HH:MM:SS).
+ * @param {Object[]} [shiftTypes=SHIFT_TYPES] - The shift types to choose from.
+ * @returns {string} The matching shift type id.
+ */
+export function classifyShiftByTime(time, shiftTypes = SHIFT_TYPES) {
+    const toMinutes = value => {
+        const [h, m] = value.split(':').map(Number);
+        return h * 60 + (m || 0);
+    };
+    const target = toMinutes(time);
+    const activeTypes = shiftTypes.length > 0 ? shiftTypes : SHIFT_TYPES;
+
+    const contains = type => {
+        const start = toMinutes(type.start);
+        const end = toMinutes(type.end);
+        return start <= end
+            ? target >= start && target < end
+            : target >= start || target < end; // Overnight shift
+    };
+    const containing = activeTypes.filter(contains);
+    const candidates = containing.length > 0 ? containing : activeTypes;
+
+    let best = candidates[0];
+    let bestDistance = Infinity;
+    candidates.forEach(type => {
+        const diff = Math.abs(toMinutes(type.start) - target);
+        const distance = Math.min(diff, 24 * 60 - diff); // Wrap around midnight
+        if (distance < bestDistance) {
+            best = type;
+            bestDistance = distance;
+        }
+    });
+    return best.id;
+}
@@ -0,0 +1,151 @@
+import { findSameDayConflict } from './shiftMoves.js';
+
+// Shift swap requests, kept as rows in the `swap_requests` sheet. A request moves from `pending`
+// (waiting for the counterpart) to `accepted` (waiting for the manager) to `approved`, and only
+// approval changes the schedule. A cell is { weekId, day, shiftType }.
+
+export const SWAP_REQUEST_HEADERS = [
+    'id', 'created_at', 'status', 'type', 'requester', 'week_id', 'day', 'shift_type',
+    'counterpart', 'counterpart_week_id', 'counterpart_day', 'counterpart_shift_type',
+    'note', 'updated_at', 'updated_by'
+];
+
+/** `give` hands the requester's shift to the counterpart; `trade` exchanges it for one of the counterpart's shifts. */
+export const SWAP_TYPES = { GIVE: 'give', TRADE: 'trade' };
+
+export const SWAP_STATUSES = {
+    PENDING: 'pending',
+    ACCEPTED: 'accepted',
+    APPROVED: 'approved',
+    DECLINED: 'declined',   // By the counterpart
+    REJECTED: 'rejected',   // By the manager
+    CANCELLED: 'cancelled'  // By the requester
+};
+
+export const SWAP_STATUS_LABELS = {
+    pending: 'ממתין לאישור העמית',
+    accepted: 'ממתין לאישור המנהל',
+    approved: 'אושר',
+    declined: 'נדחה על ידי העמית',
+    rejected: 'נדחה על ידי המנהל',
+    cancelled: 'בוטל'
+};
+
+const NEXT_STATUSES = {
+    pending: ['accepted', 'declined', 'cancelled'],
+    accepted: ['approved', 'rejected', 'cancelled']
+};
+
+/** True if a request in this status still waits for someone. */
+export const isOpenSwapRequest = request => request.status in NEXT_STATUSES;
+
+/**
+ * Parses the raw values of the `swap_requests` sheet, newest request first.
+ * @param {Array<Array<string>>} values - Raw sheet values, including the header row.
+ * @returns {Array<Object>} Requests ({ id, createdAt, status, type, requester, shift, counterpart, counterpartShift,
+ *   note, updatedAt, updatedBy }). `counterpartShift` is null for a give.
+ */
+export function parseSwapRequestRows(values) {
+    if (!values || values.length <= 1) return [];
+
+    const headers = values[0];
+    const read = (row, name) => row[headers.indexOf(name)] || '';
+    const readCell = (row, prefix) => read(row, `${prefix}week_id`)
+        ? { weekId: read(row, `${prefix}week_id`), day: read(row, `${prefix}day`), shiftType: read(row, `${prefix}shift_type`) }
+        : null;
+
+    return values.slice(1)
+        .filter(row => row && read(row, 'id') && read(row, 'week_id'))
+        .map(row => ({
+            id: read(row, 'id'),
+            createdAt: read(row, 'created_at'),
+            status: read(row, 'status') || SWAP_STATUSES.PENDING,
+            type: read(row, 'type') === SWAP_TYPES.TRADE ? SWAP_TYPES.TRADE : SWAP_TYPES.GIVE,
+            requester: read(row, 'requester'),
+            shift: readCell(row, ''),
+            counterpart: read(row, 'counterpart'),
+            counterpartShift: readCell(row, 'counterpart_'),
+            note: read(row, 'note'),
+            updatedAt: read(row, 'updated_at'),
+            updatedBy: read(row, 'updated_by')
+        }))
+        .reverse(); // Rows are kept in creation order
+}
+
+/**
+ * Turns requests back into sheet rows, oldest first, header row included.
+ * @param {Array<Object>} requests - As returned by parseSwapRequestRows.
+ * @returns {Array<Array<string>>}
+ */
+export function serializeSwapRequests(requests) {
+    const cellColumns = cell => cell ? [cell.weekId, cell.day, cell.shiftType] : ['', '', ''];
+    const rows = [...requests]
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+        .map(request => [
+            request.id, request.createdAt, request.status, request.type, request.requester, ...cellColumns(request.shift),
+            request.counterpart, ...cellColumns(request.counterpartShift),
+            request.note, request.updatedAt, request.updatedBy
+        ]);
+    return [SWAP_REQUEST_HEADERS, ...rows];
+}
+
+/**
+ * Creates a new pending request.
+ * @param {{type: string, requester: string, shift: Object, counterpart: string, counterpartShift: ?Object, note: string}} fields
+ * @param {string} createdBy - Email (or name) of whoever submitted it.
+ * @returns {Object}
+ */
+export function createSwapRequest({ type, requester, shift, counterpart, counterpartShift = null, note = '' }, createdBy) {
+    const now = new Date().toISOString();
+    return {
+        id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        createdAt: now,
+        status: SWAP_STATUSES.PENDING,
+        type,
+        requester,
+        shift,
+        counterpart,
+        counterpartShift: type === SWAP_TYPES.TRADE ? counterpartShift : null,
+        note,
+        updatedAt: now,
+        updatedBy: createdBy
+    };
+}
+
+/**
+ * Moves a request to its next status.
+ * @param {Object} request - The request.
+ * @param {string} status - One of SWAP_STATUSES.
+ * @param {string} updatedBy - Email (or name) of whoever acted.
+ * @returns {Object} The updated request (a new object).
+ * @throws {Error} If the request cannot move to that status.
+ */
+export function transitionSwapRequest(request, status, updatedBy) {
+    if (!(NEXT_STATUSES[request.status] || []).includes(status)) {
+        throw new Error(`Cannot move a ${request.status} swap request to ${status}`);
+    }
+    return { ...request, status, updatedAt: new Date().toISOString(), updatedBy };
+}
+
+/**
+ * Plans the schedule change of an approved request. The shifts must still be held as they were when
+ * the request was made; each cell keeps its hours and only the employee changes.
+ * @param {Object} schedules - The schedule object.
+ * @param {Object} request - The request.
+ * @returns {{updates: Array<{cell: Object, shift: Object}>, stale: boolean, conflict: ?Object}}
+ *   `stale` is true (and `updates` empty) if a shift changed hands since the request.
+ */
+export function planSwapApproval(schedules, request) {
+    const shiftAt = cell => schedules[cell.weekId]?.[cell.day]?.[cell.shiftType];
+    const shift = shiftAt(request.shift);
+    const counterpartShift = request.type === SWAP_TYPES.TRADE ? shiftAt(request.counterpartShift || {}) : null;
+    const isStale = shift?.employee !== request.requester ||
+        (request.type === SWAP_TYPES.TRADE && counterpartShift?.employee !== request.counterpart);
+    if (isStale) return { updates: [], stale: true, conflict: null };
+
+    const updates = [{ cell: request.shift, shift: { ...shift, employee: request.counterpart } }];
+    if (counterpartShift) {
+        updates.push({ cell: request.counterpartShift, shift: { ...counterpartShift, employee: request.requester } });
+    }
+    return { updates, stale: false, conflict: findSameDayConflict(schedules, updates) };
+}
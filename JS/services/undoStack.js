@@ -0,0 +1,68 @@
+// Undo/redo history of saved schedule changes. Each entry holds the rows written by one save
+// (as returned by diffSchedules), so undoing touches only those cells and keeps other people's edits.
+
+const MAX_ENTRIES = 50;
+
+const undoEntries = [];
+const redoEntries = [];
+let changeListener = () => {};
+
+function notify() {
+    changeListener();
+}
+
+/** Registers a callback that runs whenever the stacks change (e.g. to refresh the toolbar buttons). */
+export function onUndoStackChange(listener) {
+    changeListener = listener;
+}
+
+/**
+ * Records the changes written by a save. A new change clears the redo stack.
+ * @param {string} action - What caused the change (shown in the button tooltips).
+ * @param {{upserts: Array<Object>, deletes: Array<Object>}} changes - The rows written.
+ */
+export function recordChange(action, changes) {
+    if (changes.upserts.length === 0 && changes.deletes.length === 0) return;
+    undoEntries.push({ action, changes });
+    if (undoEntries.length > MAX_ENTRIES) undoEntries.shift();
+    redoEntries.length = 0;
+    notify();
+}
+
+/** Returns the entry that the next undo would revert, without removing it. */
+export function peekUndo() {
+    return undoEntries[undoEntries.length - 1] || null;
+}
+
+/** Returns the entry that the next redo would re-apply, without removing it. */
+export function peekRedo() {
+    return redoEntries[redoEntries.length - 1] || null;
+}
+
+/** Moves the latest entry from the undo stack to the redo stack and returns it. */
+export function takeUndo() {
+    const entry = undoEntries.pop();
+    if (entry) redoEntries.push(entry);
+    notify();
+    return entry || null;
+}
+
+/** Moves the latest entry from the redo stack back to the undo stack and returns it. */
+export function takeRedo() {
+    const entry = redoEntries.pop();
+    if (entry) undoEntries.push(entry);
+    notify();
+    return entry || null;
+}
+
+/** Puts an entry back where it was taken from, e.g. when saving the undo failed. */
+export function restoreEntry(entry, wasUndo) {
+    if (wasUndo) {
+        redoEntries.pop();
+        undoEntries.push(entry);
+    } else {
+        undoEntries.pop();
+        redoEntries.push(entry);
+    }
+    notify();
+}
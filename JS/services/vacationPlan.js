@@ -0,0 +1,39 @@
+import { DAYS } from '../config.js';
+import { sortShiftTypeIds } from './shiftTypes.js';
+import { findUnavailability } from './availability.js';
+import { getWeekId, toDateString } from '../utils.js';
+
+/**
+ * Lists the shifts an employee holds in a date range, each with the employees who could take it over:
+ * not on another shift that day and not unavailable for it.
+ * @param {Object} schedules - The schedule object.
+ * @param {string} employee - The employee going on vacation.
+ * @param {string} startDate - First day of the vacation (YYYY-MM-DD).
+ * @param {string} endDate - Last day of the vacation (YYYY-MM-DD).
+ * @param {Array<string>} candidates - Who may replace them, in order of preference (e.g. the vacation replacement first).
+ * @returns {Array<{cell: Object, shift: Object, date: string, candidates: Array<string>}>} In chronological order.
+ */
+export function findVacationShifts(schedules, employee, startDate, endDate, candidates) {
+    const affected = [];
+    const [year, month, dayOfMonth] = startDate.split('-').map(Number);
+    for (let date = new Date(year, month - 1, dayOfMonth); toDateString(date) <= endDate; date.setDate(date.getDate() + 1)) {
+        const dateString = toDateString(date);
+        const weekId = getWeekId(dateString);
+        const day = DAYS[date.getDay()];
+        const dayData = schedules[weekId]?.[day] || {};
+        const busy = new Set(Object.values(dayData).map(shift => shift?.employee));
+
+        sortShiftTypeIds(Object.keys(dayData)).forEach(shiftType => {
+            const shift = dayData[shiftType];
+            if (shift?.employee !== employee) return;
+            const cell = { weekId, day, shiftType };
+            affected.push({
+                cell,
+                shift,
+                date: dateString,
+                candidates: candidates.filter(name => name !== employee && !busy.has(name) && !findUnavailability(name, cell))
+            });
+        });
+    }
+    return affected;
+}
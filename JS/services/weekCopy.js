@@ -0,0 +1,99 @@
+import { DAYS } from '../config.js';
+import { getShiftTypesForDate, getDefaultShiftTimes } from './operatingRules.js';
+import { setScheduleCell } from './scheduleDiff.js';
+import { getAssignmentViolations } from './schedulingRules.js';
+import { getWeekDates, getWeekId, getDateOfDay, toDateString } from '../utils.js';
+
+// Copying a week (of the schedule, or a template) onto other weeks. Shifts that do not run on
+// the target day (e.g. a holiday that week) are never copied.
+
+export const COPY_MODES = {
+    MERGE: 'merge',         // Fill only the target's empty shifts
+    OVERWRITE: 'overwrite'  // Make the target match the source, clearing shifts the source leaves empty
+};
+
+const FRIDAY = 'שישי';
+
+const isAssigned = shift => Boolean(shift?.employee) && shift.employee !== 'none';
+
+/**
+ * Lists consecutive weeks starting with the week of a date.
+ * @param {string} startDate - Any date in the first week (YYYY-MM-DD).
+ * @param {number} count - How many weeks.
+ * @returns {string[]} Week ids.
+ */
+export function listWeekIds(startDate, count) {
+    const [year, month, day] = getWeekId(startDate).split('-').map(Number);
+    return Array.from({ length: count }, (_, index) => toDateString(new Date(year, month - 1, day + 7 * index)));
+}
+
+/**
+ * Plans copying a source week onto target weeks.
+ * With `rotateFriday`, each successive target week moves the Friday shifts one employee along
+ * `employees`, so repeating a week does not give the same person every Friday.
+ * Every copied shift is checked against the scheduling rules (availability included) with the
+ * copy placed so far; a shift that breaks one is left empty and reported instead.
+ * Copied hours are reset to the target day's hours when the policy hours of the source day differ.
+ * @param {Object} schedules - The schedule object (not modified).
+ * @param {Object} sourceWeek - The week to copy: { [day]: { [shiftType]: shift } }.
+ * @param {string[]} targetWeekIds - The weeks to copy onto, in order.
+ * @param {{mode: string, rotateFriday: boolean, employees: string[], sourceWeekId: ?string}} options -
+ *   `sourceWeekId` is null for a template, whose hours are always kept.
+ * @returns {{updates: Array<{cell: Object, date: string, before: ?Object, shift: ?Object}>,
+ *   skipped: Array<{cell: Object, date: string, employee: string, problems: string[]}>}}
+ *   Updates hold only cells that change; `shift` is null for a cleared cell.
+ */
+export function planWeekCopy(schedules, sourceWeek, targetWeekIds, { mode, rotateFriday = false, employees = [], sourceWeekId = null }) {
+    const draft = JSON.parse(JSON.stringify(schedules));
+    const updates = [];
+    const skipped = [];
+    targetWeekIds.forEach((weekId, weekIndex) => {
+        const weekDates = getWeekDates(new Date(weekId));
+        // Overwrite replaces the whole week, so the rules are checked against the copy alone
+        if (mode === COPY_MODES.OVERWRITE) {
+            weekDates.forEach((date, dayIndex) => getShiftTypesForDate(date).forEach(({ id: shiftType }) =>
+                setScheduleCell(draft, { weekId, day: DAYS[dayIndex], shiftType }, null)));
+        }
+
+        weekDates.forEach((date, dayIndex) => {
+            const day = DAYS[dayIndex];
+            getShiftTypesForDate(date).forEach(({ id: shiftType, start, end }) => {
+                const cell = { weekId, day, shiftType };
+                const before = schedules[weekId]?.[day]?.[shiftType] || null;
+                let source = sourceWeek[day]?.[shiftType];
+
+                if (isAssigned(source) && rotateFriday && day === FRIDAY) {
+                    const position = employees.indexOf(source.employee);
+                    if (position !== -1) {
+                        source = { ...source, employee: employees[(position + weekIndex + 1) % employees.length] };
+                    }
+                }
+
+                if (mode === COPY_MODES.MERGE && (isAssigned(before) || !isAssigned(source))) return;
+                let shift = null;
+                if (isAssigned(source)) {
+                    const sourceHours = sourceWeekId ? getDefaultShiftTimes(shiftType, getDateOfDay(sourceWeekId, day)) : null;
+                    const keepHours = !sourceHours || (sourceHours.start === start && sourceHours.end === end);
+                    // Templates may leave the hours out; the day's default hours are used then
+                    shift = keepHours
+                        ? { employee: source.employee, start: source.start || start, end: source.end || end }
+                        : { employee: source.employee, start, end };
+                    const problems = getAssignmentViolations(draft, cell, shift.employee).map(violation => violation.message);
+                    if (problems.length > 0) {
+                        skipped.push({ cell, date: toDateString(date), employee: shift.employee, problems });
+                        shift = null;
+                    }
+                }
+                if (shift) setScheduleCell(draft, cell, shift);
+
+                const unchanged = shift
+                    ? isAssigned(before) && before.employee === shift.employee && before.start === shift.start && before.end === shift.end
+                    : !isAssigned(before);
+                if (!unchanged) {
+                    updates.push({ cell, date: toDateString(date), before, shift });
+                }
+            });
+        });
+    });
+    return { updates, skipped };
+}
@@ -0,0 +1,65 @@
+import { sortShiftTypeIds } from './shiftTypes.js';
+
+// Named week templates, kept in the `templates` sheet with one row per shift. A template's week has
+// the same shape as a week of the schedule: { [day]: { [shiftType]: { employee, start, end } } }.
+
+export const TEMPLATE_HEADERS = ['name', 'day', 'shift_type', 'employee', 'start', 'end'];
+
+/**
+ * Parses the raw values of the `templates` sheet, sorted by name.
+ * @param {Array<Array<string>>} values - Raw sheet values, including the header row.
+ * @returns {Array<{name: string, week: Object}>}
+ */
+export function parseTemplateRows(values) {
+    if (!values || values.length <= 1) return [];
+
+    const headers = values[0];
+    const read = (row, name) => row[headers.indexOf(name)]?.trim() || '';
+    const templates = new Map();
+    values.slice(1).forEach(row => {
+        const name = row && read(row, 'name');
+        if (!name || !read(row, 'day') || !read(row, 'shift_type')) return;
+        if (!templates.has(name)) templates.set(name, { name, week: {} });
+        const week = templates.get(name).week;
+        const day = read(row, 'day');
+        if (!week[day]) week[day] = {};
+        week[day][read(row, 'shift_type')] = { employee: read(row, 'employee') || 'none', start: read(row, 'start'), end: read(row, 'end') };
+    });
+    return [...templates.values()].sort((a, b) => a.name.localeCompare(b.name, 'he'));
+}
+
+/**
+ * Converts templates back into sheet rows (header row first).
+ * @param {Array<{name: string, week: Object}>} templates - The templates.
+ * @returns {Array<Array<string>>}
+ */
+export function serializeTemplates(templates) {
+    const rows = [TEMPLATE_HEADERS];
+    templates.forEach(({ name, week }) => {
+        Object.entries(week).forEach(([day, dayData]) => {
+            sortShiftTypeIds(Object.keys(dayData || {})).forEach(shiftType => {
+                const shift = dayData[shiftType];
+                rows.push([name, day, shiftType, shift.employee || 'none', shift.start || '', shift.end || '']);
+            });
+        });
+    });
+    return rows;
+}
+
+/**
+ * Makes a template from a week of the schedule, keeping only assigned shifts.
+ * @param {string} name - The template name.
+ * @param {Object} weekData - A week of the schedule.
+ * @returns {{name: string, week: Object}}
+ */
+export function createTemplateFromWeek(name, weekData) {
+    const week = {};
+    Object.entries(weekData || {}).forEach(([day, dayData]) => {
+        Object.entries(dayData || {}).forEach(([shiftType, shift]) => {
+            if (!shift?.employee || shift.employee === 'none') return;
+            if (!week[day]) week[day] = {};
+            week[day][shiftType] = { employee: shift.employee, start: shift.start, end: shift.end };
+        });
+    });
+    return { name: name.trim(), week };
+}
@@ -24,6 +24,15 @@ export function debounce(func, wait) {
 };
 
 // --- General Helper Functions ---
+/**
+ * Escapes text typed by users (notes, comments) before it is placed in innerHTML.
+ * @param {string} text - The raw text.
+ * @returns {string} The text with HTML special characters escaped.
+ */
+export function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
 /**
  * Formats a Date object into a localized string.
  * @param {Date|string} date - The date to format (can be Date object or ISO string).
@@ -46,6 +55,27 @@ export function formatMonthYear(monthYearString) {
     return date.toLocaleDateString('he-IL', { month: 'long', year: 'numeric' });
 }
 
+/** Helper function to calculate duration in hours between two time strings (HH:MM:SS) */
+export function calculateHours(start, end) {
+    if (!start || !end) return 0;
+    try {
+        const startTime = new Date(`1970-01-01T${start}`);
+        const endTime = new Date(`1970-01-01T${end}`);
+        if (isNaN(startTime.getTime()) || isNaN(endTime.getTime())) return 0;
+        let diff = (endTime - startTime) / (1000 * 60 * 60);
+        if (diff < 0) diff += 24; // Handle overnight shifts if ever needed
+        return diff;
+    } catch (e) {
+        console.error("Error calculating hours", e);
+        return 0;
+    }
+}
+
+
+/** Formats a Date as a local YYYY-MM-DD string (the format of week IDs and `date-picker`). */
+export function toDateString(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
 
 /**
  * Calculates the week ID (Sunday's date) for a given date string.
@@ -76,6 +106,15 @@ export function getWeekDates(startDate) {
     }
     return dates;
 }
+/**
+ * Returns the calendar date of a weekday within a week.
+ * @param {string} weekId - The week ID (the Sunday, 'YYYY-MM-DD').
+ * @param {string} dayName - The Hebrew day name (one of DAYS).
+ * @returns {Date} The date of that day.
+ */
+export function getDateOfDay(weekId, dayName) {
+    return getWeekDates(new Date(weekId))[DAYS.indexOf(dayName)];
+}
 /**
  * Disables a button and shows a loading spinner inside it.
  * @param {HTMLButtonElement} button - The button element to modify.
@@ -20,7 +20,7 @@ exports.handler = async function(event) {
 
         // 4. בנה סיכום טקסטואלי של המשמרות
         const shiftsSummary = shifts.map(s => 
-            `- ${s.date} (יום ${s.dayName}, ${s.shiftType === 'morning' ? 'בוקר' : 'ערב'}): ${s.start.substring(0,5)}-${s.end.substring(0,5)}`
+            `- ${s.date} (יום ${s.dayName}, ${s.shiftLabel || s.shiftType}): ${s.start.substring(0,5)}-${s.end.substring(0,5)}`
         ).join('\n');
 
         // 5. *** שדרוג ה-prompt לניתוח מפורט יותר ***
@@ -34,7 +34,7 @@ exports.handler = async function(event) {
             Please provide a thorough and insightful analysis based on this data. Structure your response with a clear title and detailed bullet points. Go beyond generic statements and provide specific numbers and observations.
 
             **Your analysis must include the following specific points:**
-            1.  **Total Shift Count:** State the total number of shifts, and the exact breakdown between morning and evening shifts.
+            1.  **Total Shift Count:** State the total number of shifts, and the exact breakdown by shift type (morning, evening, night, on-call, etc.).
             2.  **Friday Work:** Precisely count how many Friday shifts the employee worked this month.
             3.  **Consecutive Work Days:** Identify the longest stretch of consecutive work days.
             4.  **Workload Distribution:** Comment on the workload distribution. Are there any weeks that were particularly heavy or light compared to others?
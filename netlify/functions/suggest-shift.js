@@ -14,8 +14,9 @@ exports.handler = async function(event) {
             return { statusCode: 500, body: JSON.stringify({ error: "Server configuration error." }) };
         }
         
-        // 3. חילוץ ה-prompt מגוף הבקשה
-        const { prompt } = JSON.parse(event.body);
+        // 3. חילוץ ה-prompt מגוף הבקשה. mode: 'week' מבקש הצעה לשבוע שלם כ-JSON במקום שם יחיד
+        const { prompt, mode } = JSON.parse(event.body);
+        const isWeekMode = mode === 'week';
 
         if (!prompt) {
             return { statusCode: 400, body: JSON.stringify({ error: "Bad Request: 'prompt' is missing." }) };
@@ -29,6 +30,9 @@ exports.handler = async function(event) {
                 parts: [{ text: prompt }]
             }]
         };
+        if (isWeekMode) {
+            payload.generationConfig = { responseMimeType: 'application/json' };
+        }
 
         // 5. שליחת הבקשה ל-Gemini
         console.log("שולח בקשה ל-Gemini..."); // הודעה שתופיע בלוגים
@@ -53,6 +57,25 @@ exports.handler = async function(event) {
         // 6. חילוץ ההצעה ושליחתה בחזרה לאתר
         const suggestion = result.candidates[0].content.parts[0].text.trim();
 
+        if (isWeekMode) {
+            // המודל מחזיר { assignments: [{ day, shiftType, employee, reason }] }; הבדיקה מול כללי הסידור נעשית באתר
+            let assignments;
+            try {
+                const parsed = JSON.parse(suggestion);
+                assignments = Array.isArray(parsed) ? parsed : parsed.assignments;
+            } catch (parseError) {
+                assignments = null;
+            }
+            if (!Array.isArray(assignments)) {
+                console.error("Gemini החזיר תשובה שאינה JSON תקין:", suggestion);
+                return { statusCode: 502, body: JSON.stringify({ error: "The model did not return a valid list of assignments." }) };
+            }
+            return {
+                statusCode: 200,
+                body: JSON.stringify({ assignments })
+            };
+        }
+
         return {
             statusCode: 200,
             body: JSON.stringify({ suggestion: suggestion })